@@ -0,0 +1,74 @@
+/**
+ * ChargeFinder service worker
+ *
+ * Keeps the app shell (index.html, the built JS/CSS and icons) cached so the app opens
+ * without a connection. Search results for offline use live in IndexedDB (saved areas and
+ * the response cache), not here. Google Maps, Open Charge Map and font requests go
+ * straight to the network.
+ */
+
+const CACHE_NAME = 'chargefinder-shell-v1';
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+// Built asset URLs referenced by index.html (hashed names change every build)
+const findAssetUrls = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.addAll(SHELL_URLS);
+      const index = await cache.match('/');
+      if (index) await cache.addAll(findAssetUrls(await index.text()));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+// Pages: network first so deploys show up, falling back to the cached shell (every
+// route, e.g. /map?q=..., renders from the same index.html)
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put('/', response.clone());
+    return response;
+  } catch (error) {
+    const shell = await cache.match('/');
+    if (shell) return shell;
+    throw error;
+  }
+};
+
+// Assets: hashed names never change, so cache first
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
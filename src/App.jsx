@@ -1,18 +1,44 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import LandingPage from './components/LandingPage';
 import MapView from './components/MapView';
+import OfflineBanner from './components/OfflineBanner';
+import { buildSearchUrl, parseSearchUrl } from './utils/urlState';
 import './styles/global.css';
 
 function App() {
-  const [searchData, setSearchData] = useState(null);
-  const [currentView, setCurrentView] = useState('landing'); // 'landing' or 'map'
+  // Restore the search from the URL so refreshes and shared links land on the same results
+  const [initialState] = useState(() => parseSearchUrl(window.location));
+  const [searchData, setSearchData] = useState(initialState.searchData);
+  const [currentView, setCurrentView] = useState(initialState.view); // 'landing' or 'map'
+  // Bumped whenever a new search starts so MapView remounts with fresh state
+  const [searchId, setSearchId] = useState(0);
+
+  // Browser back/forward between landing and map views
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = parseSearchUrl(window.location);
+      setSearchData(next.searchData);
+      setCurrentView(next.view);
+      setSearchId((id) => id + 1);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
   const handleSearch = (searchInfo) => {
+    window.history.pushState(null, '', buildSearchUrl({ searchData: searchInfo }));
     setSearchData(searchInfo);
     setCurrentView('map');
+    setSearchId((id) => id + 1);
+  };
+
+  // Saved areas open like a search, but MapView shows the stored results instead of fetching
+  const handleOpenSavedArea = (area) => {
+    handleSearch({ ...area.searchData, savedAreaId: area.id });
   };
 
   const handleBack = () => {
+    window.history.pushState(null, '', '/');
     setCurrentView('landing');
     setSearchData(null);
   };
@@ -20,10 +46,11 @@ function App() {
   return (
     <>
       {currentView === 'landing' ? (
-        <LandingPage onSearch={handleSearch} />
+        <LandingPage onSearch={handleSearch} onOpenSavedArea={handleOpenSavedArea} />
       ) : (
-        <MapView searchData={searchData} onBack={handleBack} />
+        <MapView key={searchId} searchData={searchData} onBack={handleBack} />
       )}
+      <OfflineBanner />
     </>
   );
 }
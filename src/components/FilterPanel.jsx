@@ -1,19 +1,32 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { DEFAULT_FILTERS } from '../utils/chargerFilters';
+import { loadPresets, savePreset, deletePreset } from '../services/preferences';
+import VehicleProfile from './VehicleProfile';
+import { KM_PER_MILE, distanceUnitLabel } from '../utils/distance';
+import { DEFAULT_TRAVEL_MODE, TRAVEL_MODES } from '../utils/travelModes';
+import { CURRENCY_CODES } from '../utils/tariff';
 import '../styles/filterPanel.css';
 
-const defaultFilters = {
-  operational: false, // false = show all, true = show operational only
-  access: 'all',
-  cost: 'all',
-  speed: 'all',
-  connectors: [],
-  walkingTime: 5, // Default 5 minutes
-  searchRadius: 10, // Default 10 miles
-};
-
-const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOptions = [] }) => {
-  const [localFilters, setLocalFilters] = useState(filters || defaultFilters);
-  const [appliedFilters, setAppliedFilters] = useState(filters || defaultFilters);
+const FilterPanel = ({
+  isOpen,
+  onClose,
+  filters,
+  onFilterChange,
+  connectorOptions = [],
+  exclusions = {},
+  vehicle = null,
+  onVehicleChange,
+  units = 'imperial',
+  onUnitsChange,
+  travelMode = DEFAULT_TRAVEL_MODE,
+  onTravelModeChange,
+}) => {
+  const [localFilters, setLocalFilters] = useState(filters || DEFAULT_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(filters || DEFAULT_FILTERS);
+  const [presets, setPresets] = useState(loadPresets);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const panelRef = useRef(null);
 
   // Update local filters when props change
   useEffect(() => {
@@ -23,6 +36,19 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
     }
   }, [filters]);
 
+  // The panel is a dialog: opening it moves focus inside, closing it returns focus to
+  // whatever opened it
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const opener = document.activeElement;
+    panelRef.current?.querySelector('button, select, input')?.focus();
+    return () => opener?.focus?.();
+  }, [isOpen]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') onClose();
+  };
+
   // Check if there are pending changes
   const hasPendingChanges = () => {
     return JSON.stringify(localFilters) !== JSON.stringify(appliedFilters);
@@ -41,12 +67,59 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
   };
 
   const clearFilters = () => {
-    const clearedFilters = { ...defaultFilters };
+    const clearedFilters = { ...DEFAULT_FILTERS };
     setLocalFilters(clearedFilters);
     setAppliedFilters(clearedFilters);
     onFilterChange(clearedFilters);
   };
 
+  // Presets apply immediately; the search radius is kept since it belongs to the area being searched
+  const applyPreset = (id) => {
+    setSelectedPresetId(id);
+    const preset = presets.find((p) => p.id === id);
+    if (!preset) return;
+    const presetFilters = {
+      ...DEFAULT_FILTERS,
+      searchRadius: localFilters.searchRadius,
+      ...preset.filters,
+    };
+    setLocalFilters(presetFilters);
+    setAppliedFilters(presetFilters);
+    onFilterChange(presetFilters);
+  };
+
+  const handleSavePreset = () => {
+    if (!presetName.trim()) return;
+    const next = savePreset(presetName, localFilters);
+    setPresets(next);
+    setSelectedPresetId(next[next.length - 1].id);
+    setPresetName('');
+  };
+
+  const handleDeletePreset = () => {
+    setPresets(deletePreset(selectedPresetId));
+    setSelectedPresetId('');
+  };
+
+  const selectedPreset = presets.find((p) => p.id === selectedPresetId);
+
+  // searchRadius is stored in miles; the slider works in the user's units
+  const radiusScale = units === 'metric' ? KM_PER_MILE : 1;
+  const radiusUnit = distanceUnitLabel(units);
+  const radiusMax = units === 'metric' ? 80 : 50;
+  const radiusValue = Math.round((localFilters.searchRadius || 10) * radiusScale);
+  const handleRadiusChange = (value) => {
+    const radius = parseInt(value) || 10;
+    // Keep whole miles in imperial; three decimals is plenty for kilometers
+    handleFilterChange('searchRadius', Math.round((radius / radiusScale) * 1000) / 1000);
+  };
+
+  const priceCurrency = localFilters.priceCurrency || DEFAULT_FILTERS.priceCurrency;
+
+  // How many currently hidden chargers fail a filter (based on applied, not pending, filters)
+  const renderHiddenCount = (key) =>
+    exclusions[key] > 0 ? <span className="filter-hidden-count">{exclusions[key]} hidden</span> : null;
+
   const toggleConnector = (name) => {
     const current = new Set(localFilters.connectors || []);
     if (current.has(name)) current.delete(name);
@@ -56,15 +129,124 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
 
   return (
     <>
-      <div className={`filter-overlay ${isOpen ? 'open' : ''}`} onClick={onClose} />
-      <div className={`filter-panel ${isOpen ? 'open' : ''}`}>
+      <div className={`filter-overlay ${isOpen ? 'open' : ''}`} onClick={onClose} aria-hidden="true" />
+      <div
+        id="filter-panel"
+        ref={panelRef}
+        className={`filter-panel ${isOpen ? 'open' : ''}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="filter-panel-title"
+        inert={!isOpen}
+        onKeyDown={handleKeyDown}
+      >
         <div className="filter-panel-header">
-          <h2>Options</h2>
-          <button className="close-button" onClick={onClose}>×</button>
+          <h2 id="filter-panel-title">Options</h2>
+          <button className="close-button" onClick={onClose} aria-label="Close options">×</button>
+        </div>
+
+        <div className="filter-section">
+          <h3>Presets</h3>
+          <div className="filter-preset-row">
+            <select
+              className="filter-select"
+              aria-label="Filter preset"
+              value={selectedPresetId}
+              onChange={(e) => applyPreset(e.target.value)}
+            >
+              <option value="">Choose a preset…</option>
+              {presets.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.name}
+                </option>
+              ))}
+            </select>
+            {selectedPreset && !selectedPreset.builtIn && (
+              <button type="button" className="preset-button" onClick={handleDeletePreset}>
+                Delete
+              </button>
+            )}
+          </div>
+          <div className="filter-preset-row">
+            <input
+              type="text"
+              className="filter-text-input"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Name these filters"
+              aria-label="Preset name"
+            />
+            <button
+              type="button"
+              className="preset-button"
+              onClick={handleSavePreset}
+              disabled={!presetName.trim()}
+            >
+              Save
+            </button>
+          </div>
+          <p className="filter-help-text">Your connectors, speed, walking time and radius are remembered between visits</p>
+        </div>
+
+        <div className="filter-section">
+          <h3 id="filter-units-heading">Units</h3>
+          <div className="filter-options" role="radiogroup" aria-labelledby="filter-units-heading">
+            {[
+              { key: 'imperial', label: 'Miles (imperial)' },
+              { key: 'metric', label: 'Kilometers (metric)' },
+            ].map((opt) => (
+              <label className="filter-option" key={opt.key}>
+                <input
+                  type="radio"
+                  name="units"
+                  checked={units === opt.key}
+                  onChange={() => onUnitsChange(opt.key)}
+                />
+                <span>{opt.label}</span>
+              </label>
+            ))}
+          </div>
+          <p className="filter-help-text">Applies right away to distances, the search radius and range estimates</p>
+        </div>
+
+        <div className="filter-section">
+          <h3 id="filter-travel-mode-heading">Getting There</h3>
+          <div className="filter-options" role="radiogroup" aria-labelledby="filter-travel-mode-heading">
+            {TRAVEL_MODES.map((mode) => (
+              <label className="filter-option" key={mode.key}>
+                <input
+                  type="radio"
+                  name="travelMode"
+                  checked={travelMode === mode.key}
+                  onChange={() => onTravelModeChange(mode.key)}
+                />
+                <span>{mode.label}</span>
+              </label>
+            ))}
+          </div>
+          <p className="filter-help-text">How distances and times to places are measured; chargers always use walking routes</p>
+        </div>
+
+        <div className="filter-section">
+          <h3>My Vehicle {renderHiddenCount('compatibleOnly')}</h3>
+          <VehicleProfile vehicle={vehicle} onVehicleChange={onVehicleChange} units={units} />
+          {vehicle && (
+            <div className="filter-options">
+              <label className="filter-option">
+                <input
+                  type="checkbox"
+                  name="compatibleOnly"
+                  checked={!!localFilters.compatibleOnly}
+                  onChange={(e) => handleFilterChange('compatibleOnly', e.target.checked)}
+                />
+                <span>Only show chargers my vehicle can use</span>
+              </label>
+            </div>
+          )}
         </div>
         
         <div className="filter-section">
-          <h3>Status</h3>
+          <h3>Status {renderHiddenCount('operational')}</h3>
           <div className="filter-options">
             <label className="filter-option">
               <input
@@ -79,8 +261,8 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
         </div>
 
         <div className="filter-section">
-          <h3>Access</h3>
-          <div className="filter-options">
+          <h3 id="filter-access-heading">Access {renderHiddenCount('access')}</h3>
+          <div className="filter-options" role="radiogroup" aria-labelledby="filter-access-heading">
             {[
               { key: 'all', label: 'All' },
               { key: 'public', label: 'Public' },
@@ -103,8 +285,8 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
         </div>
 
         <div className="filter-section">
-          <h3>Pricing</h3>
-          <div className="filter-options">
+          <h3 id="filter-cost-heading">Pricing {renderHiddenCount('cost')}</h3>
+          <div className="filter-options" role="radiogroup" aria-labelledby="filter-cost-heading">
             <label className="filter-option">
               <input
                 type="radio"
@@ -133,11 +315,46 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
               <span>All</span>
             </label>
           </div>
+          <div className="filter-price-limit">
+            <label className="filter-option">
+              <span>
+                Max price per kWh ({priceCurrency}) {renderHiddenCount('maxPricePerKwh')}
+              </span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                className="filter-text-input"
+                value={localFilters.maxPricePerKwh ?? ''}
+                onChange={(e) =>
+                  handleFilterChange('maxPricePerKwh', e.target.value === '' ? null : parseFloat(e.target.value))
+                }
+                placeholder="No limit"
+              />
+            </label>
+            <label className="filter-option">
+              <span>Currency</span>
+              <select
+                className="filter-select"
+                value={priceCurrency}
+                onChange={(e) => handleFilterChange('priceCurrency', e.target.value)}
+              >
+                {CURRENCY_CODES.map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <p className="filter-help-text">
+              Paid chargers without a clear per-kWh price in {priceCurrency} are hidden when set
+            </p>
+          </div>
         </div>
 
         <div className="filter-section">
-          <h3>Power / Speed</h3>
-          <div className="filter-options">
+          <h3 id="filter-speed-heading">Power / Speed {renderHiddenCount('speed')}</h3>
+          <div className="filter-options" role="radiogroup" aria-labelledby="filter-speed-heading">
             <label className="filter-option">
               <input
                 type="radio"
@@ -163,7 +380,7 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
                 checked={localFilters.speed === 'dc_fast'}
                 onChange={() => handleFilterChange('speed', 'dc_fast')}
               />
-                <span>DC Fast (>22kW)</span>
+              <span>DC Fast (&gt;22kW)</span>
             </label>
             <label className="filter-option">
               <input
@@ -178,7 +395,7 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
         </div>
 
         <div className="filter-section">
-          <h3>Connector Types</h3>
+          <h3>Connector Types {renderHiddenCount('connectors')}</h3>
           <div className="filter-options column">
             {connectorOptions.length === 0 && <span className="filter-help-text">No connector data yet</span>}
             {connectorOptions.map((name) => (
@@ -200,27 +417,33 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
           <div className="filter-search-radius">
             <label className="filter-option">
               <span>Search within:</span>
-              <span className="radius-value">{localFilters.searchRadius || 10} miles</span>
+              <span className="radius-value">
+                {radiusValue} {radiusUnit}
+              </span>
             </label>
             <input
               type="range"
               min="1"
-              max="50"
+              max={radiusMax}
               step="1"
-              value={localFilters.searchRadius || 10}
-              onChange={(e) => handleFilterChange('searchRadius', parseInt(e.target.value) || 10)}
+              value={radiusValue}
+              onChange={(e) => handleRadiusChange(e.target.value)}
               className="radius-slider"
+              aria-label="Search radius"
+              aria-valuetext={`${radiusValue} ${radiusUnit}`}
             />
             <div className="slider-labels">
-              <span>1 mi</span>
-              <span>50 mi</span>
+              <span>1 {radiusUnit}</span>
+              <span>
+                {radiusMax} {radiusUnit}
+              </span>
             </div>
             <p className="filter-help-text">Distance from starting location to search for places</p>
           </div>
         </div>
 
         <div className="filter-section">
-          <h3>Walking Time</h3>
+          <h3>Walking Time {renderHiddenCount('walkingTime')}</h3>
           <div className="filter-walking-distance">
             <label className="filter-option">
               <span>Max walking time from location:</span>
@@ -234,6 +457,8 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
               value={localFilters.walkingTime || 5}
               onChange={(e) => handleFilterChange('walkingTime', parseInt(e.target.value) || 5)}
               className="radius-slider"
+              aria-label="Max walking time"
+              aria-valuetext={`${localFilters.walkingTime || 5} minutes`}
             />
             <div className="slider-labels">
               <span>1 min</span>
@@ -243,6 +468,31 @@ const FilterPanel = ({ isOpen, onClose, filters, onFilterChange, connectorOption
           </div>
         </div>
 
+        <div className="filter-section">
+          <h3 id="filter-match-heading">Combine Filters</h3>
+          <div className="filter-options column" role="radiogroup" aria-labelledby="filter-match-heading">
+            <label className="filter-option">
+              <input
+                type="radio"
+                name="match"
+                checked={(localFilters.match || 'all') === 'all'}
+                onChange={() => handleFilterChange('match', 'all')}
+              />
+              <span>Match all filters</span>
+            </label>
+            <label className="filter-option">
+              <input
+                type="radio"
+                name="match"
+                checked={localFilters.match === 'any'}
+                onChange={() => handleFilterChange('match', 'any')}
+              />
+              <span>Match any filter</span>
+            </label>
+          </div>
+          <p className="filter-help-text">Whether a charger must pass every active filter or just one of them</p>
+        </div>
+
         <div className="filter-actions">
           <button 
             className={`apply-filters-button ${hasPendingChanges() ? 'has-changes' : ''}`}
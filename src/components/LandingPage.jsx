@@ -1,56 +1,43 @@
 import { useState, useEffect, useRef } from 'react';
 import { useJsApiLoader } from '@react-google-maps/api';
+import SavedAreas from './SavedAreas';
 import '../styles/landing.css';
 
 const GOOGLE_MAPS_LIBRARIES = ['places'];
 
-const LandingPageContent = ({ onSearch }) => {
-  const [query, setQuery] = useState('');
-  const [locationType, setLocationType] = useState('my-location'); // 'my-location' or 'custom'
-  const [customLocation, setCustomLocation] = useState('');
-  const customLocationInputRef = useRef(null);
-  const placesAutocompleteRef = useRef(null);
-  const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+/**
+ * Google Places Autocomplete on a normal <input>.
+ * We intentionally avoid <gmp-place-autocomplete> here because its input is encapsulated
+ * and it doesn't reliably expose the free-typed value until a prediction is selected.
+ * @param {Object} inputRef - Ref to the <input>
+ * @param {boolean} enabled - Whether the input is currently shown
+ * @param {Function} onSelect - Called with the selected place's address (a state setter, so stable)
+ * @param {Object} maps - {isMapsLoaded, mapsLoadError} from useJsApiLoader
+ */
+const usePlacesAutocomplete = (inputRef, enabled, onSelect, { isMapsLoaded, mapsLoadError }) => {
+  const autocompleteRef = useRef(null);
 
-  // Load Maps JS so autocomplete works even before MapView mounts.
-  const { isLoaded: isMapsLoaded, loadError: mapsLoadError } = useJsApiLoader({
-    id: 'google-maps-script',
-    googleMapsApiKey: GOOGLE_MAPS_API_KEY || '',
-    libraries: GOOGLE_MAPS_LIBRARIES,
-    version: 'beta',
-  });
-
-  // Initialize Google Places Autocomplete on a normal <input>.
-  // We intentionally avoid <gmp-place-autocomplete> here because its input is encapsulated
-  // and it doesn't reliably expose the free-typed value until a prediction is selected.
   useEffect(() => {
-    if (locationType !== 'custom') return;
-    if (!customLocationInputRef.current) return;
+    if (!enabled) return;
+    if (!inputRef.current) return;
     if (!isMapsLoaded || mapsLoadError) return;
 
     const initialize = () => {
       if (!window.google?.maps?.places) return false;
 
-      // Create once per "custom" session.
-      if (!placesAutocompleteRef.current) {
-        const autocomplete = new window.google.maps.places.Autocomplete(
-          customLocationInputRef.current,
-          {
-            fields: ['formatted_address', 'name', 'geometry'],
-          }
-        );
+      // Create once per session of the input being shown.
+      if (!autocompleteRef.current) {
+        const autocomplete = new window.google.maps.places.Autocomplete(inputRef.current, {
+          fields: ['formatted_address', 'name', 'geometry'],
+        });
 
         autocomplete.addListener('place_changed', () => {
           const place = autocomplete.getPlace();
-          const next =
-            place?.formatted_address ||
-            place?.name ||
-            customLocationInputRef.current?.value ||
-            '';
-          setCustomLocation(String(next));
+          const next = place?.formatted_address || place?.name || inputRef.current?.value || '';
+          onSelect(String(next));
         });
 
-        placesAutocompleteRef.current = autocomplete;
+        autocompleteRef.current = autocomplete;
       }
 
       return true;
@@ -69,20 +56,53 @@ const LandingPageContent = ({ onSearch }) => {
       clearInterval(checkInterval);
       clearTimeout(timeout);
       // No perfect "destroy" API; clearing listeners is enough.
-      if (placesAutocompleteRef.current) {
+      if (autocompleteRef.current) {
         try {
-          window.google?.maps?.event?.clearInstanceListeners(placesAutocompleteRef.current);
+          window.google?.maps?.event?.clearInstanceListeners(autocompleteRef.current);
         } catch (e) {
           // ignore
         }
       }
-      placesAutocompleteRef.current = null;
+      autocompleteRef.current = null;
     };
-  }, [locationType, isMapsLoaded, mapsLoadError]);
+  }, [inputRef, enabled, onSelect, isMapsLoaded, mapsLoadError]);
+};
+
+const LandingPageContent = ({ onSearch, onOpenSavedArea }) => {
+  const [query, setQuery] = useState('');
+  const [locationType, setLocationType] = useState('my-location'); // 'my-location' or 'custom'
+  const [customLocation, setCustomLocation] = useState('');
+  const [mode, setMode] = useState('place'); // 'place' or 'route'
+  const [destination, setDestination] = useState('');
+  const customLocationInputRef = useRef(null);
+  const destinationInputRef = useRef(null);
+  const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+
+  // Load Maps JS so autocomplete works even before MapView mounts.
+  const { isLoaded: isMapsLoaded, loadError: mapsLoadError } = useJsApiLoader({
+    id: 'google-maps-script',
+    googleMapsApiKey: GOOGLE_MAPS_API_KEY || '',
+    libraries: GOOGLE_MAPS_LIBRARIES,
+    version: 'beta',
+  });
+
+  usePlacesAutocomplete(customLocationInputRef, locationType === 'custom', setCustomLocation, {
+    isMapsLoaded,
+    mapsLoadError,
+  });
+  usePlacesAutocomplete(destinationInputRef, mode === 'route', setDestination, {
+    isMapsLoaded,
+    mapsLoadError,
+  });
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!query.trim()) return;
+    const destinationValue = destination.trim() || destinationInputRef.current?.value?.trim() || '';
+    if (mode === 'route' && !destinationValue) {
+      destinationInputRef.current?.focus();
+      return;
+    }
 
     // If Maps failed to load, still allow search but warn in console for debugging.
     if (mapsLoadError) {
@@ -114,6 +134,8 @@ const LandingPageContent = ({ onSearch }) => {
         locationType: locationType,
         // If custom location type, pass the value (even if empty string) so MapView knows it's custom
         customLocation: locationType === 'custom' ? (locationValue ?? '') : null,
+        // Route searches start at the chosen location and end at the destination
+        ...(mode === 'route' ? { mode: 'route', destination: destinationValue } : {}),
       };
       
       console.log('[LandingPage] Final locationValue:', locationValue);
@@ -131,6 +153,24 @@ const LandingPageContent = ({ onSearch }) => {
           <h1 className="landing-title">Charge Finder</h1>
           <p className="landing-subtitle">Easily find EV charging close to your destination</p>
         </div>
+        <div className="search-mode-toggle" role="group" aria-label="Search mode">
+          <button
+            type="button"
+            className={`search-mode-button ${mode === 'place' ? 'active' : ''}`}
+            aria-pressed={mode === 'place'}
+            onClick={() => setMode('place')}
+          >
+            Near a place
+          </button>
+          <button
+            type="button"
+            className={`search-mode-button ${mode === 'route' ? 'active' : ''}`}
+            aria-pressed={mode === 'route'}
+            onClick={() => setMode('route')}
+          >
+            Along a route
+          </button>
+        </div>
         <form onSubmit={handleSubmit} className="search-form">
           <div className="search-form-content">
             <span className="search-form-text">Find me</span>
@@ -142,7 +182,7 @@ const LandingPageContent = ({ onSearch }) => {
               className="search-input-textbox"
               autoFocus
             />
-            <span className="search-form-text">near</span>
+            <span className="search-form-text">{mode === 'route' ? 'on the way from' : 'near'}</span>
             <div className="location-selector">
               {locationType === 'my-location' ? (
                 <select
@@ -174,18 +214,33 @@ const LandingPageContent = ({ onSearch }) => {
                 </div>
               )}
             </div>
+            {mode === 'route' && (
+              <>
+                <span className="search-form-text">to</span>
+                <input
+                  ref={destinationInputRef}
+                  type="text"
+                  value={destination}
+                  onChange={(e) => setDestination(e.target.value)}
+                  placeholder="Destination"
+                  className="search-input-custom search-input-destination"
+                  autoComplete="off"
+                />
+              </>
+            )}
             <button type="submit" className="search-arrow-button">
               →
             </button>
           </div>
         </form>
+        <SavedAreas onOpen={onOpenSavedArea} />
       </div>
     </div>
   );
 };
 
-const LandingPage = ({ onSearch }) => {
-  return <LandingPageContent onSearch={onSearch} />;
+const LandingPage = ({ onSearch, onOpenSavedArea }) => {
+  return <LandingPageContent onSearch={onSearch} onOpenSavedArea={onOpenSavedArea} />;
 };
 
 export default LandingPage;
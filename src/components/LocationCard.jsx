@@ -1,27 +1,102 @@
+import { isActivationKey } from '../utils/listNavigation';
 import '../styles/locationCard.css';
 
-const LocationCard = ({ location, distance, onSelect }) => {
+/**
+ * A place in the locations sidebar. While results stream in, parts that haven't loaded
+ * yet show skeletons: the whole card when there's no `location`, the distance while
+ * `distanceStatus` is 'loading', and the charger count while `location.chargerStatus` is.
+ * 'failed' statuses show what couldn't be loaded instead.
+ *
+ * Loaded cards are options in the sidebar's listbox: `isFocusable` puts the card in the tab
+ * order (see utils/listNavigation) and Enter or Space selects it like a click.
+ * `chargerDetails` adds to the charger count, e.g. "up to 150kW • 2 free".
+ */
+const LocationCard = ({
+  location,
+  distance,
+  distanceStatus,
+  chargerDetails,
+  id,
+  isSelected = false,
+  isFocusable = false,
+  onSelect,
+  onFocus,
+}) => {
+  if (!location) {
+    return (
+      <div className="location-card location-card-skeleton" aria-hidden="true">
+        <div className="location-card-header">
+          <span className="skeleton skeleton-title" />
+          <span className="skeleton skeleton-distance" />
+        </div>
+        <span className="skeleton skeleton-line" />
+        <div className="location-chargers">
+          <span className="skeleton skeleton-count" />
+        </div>
+      </div>
+    );
+  }
+
+  const renderDistance = () => {
+    if (distanceStatus === 'loading') return <span className="skeleton skeleton-distance" aria-label="Loading distance" />;
+    if (distanceStatus === 'failed' && !distance) {
+      return (
+        <span className="location-distance location-unavailable" title="Drive distance couldn't be loaded">
+          Distance unavailable
+        </span>
+      );
+    }
+    return distance && <span className="location-distance">{distance}</span>;
+  };
+
+  const renderChargers = () => {
+    if (location.chargerStatus === 'loading') {
+      return <span className="skeleton skeleton-count" aria-label="Loading chargers" />;
+    }
+    if (location.chargerStatus === 'failed') {
+      return <span className="location-unavailable">Couldn't load nearby chargers</span>;
+    }
+    return (
+      <>
+        <span className="charger-count">
+          {location.chargerCount} charger{location.chargerCount !== 1 ? 's' : ''} nearby
+        </span>
+        {chargerDetails && <span className="location-charger-details">{chargerDetails}</span>}
+      </>
+    );
+  };
+
+  const select = () => onSelect && onSelect(location);
+
   return (
-    <div className="location-card" onClick={() => onSelect && onSelect(location)}>
+    <div
+      id={id}
+      className={`location-card ${isSelected ? 'selected' : ''}`}
+      role="option"
+      aria-selected={isSelected}
+      tabIndex={isFocusable ? 0 : -1}
+      onClick={select}
+      onFocus={() => onFocus && onFocus(location)}
+      onKeyDown={(e) => {
+        if (!isActivationKey(e)) return;
+        e.preventDefault();
+        select();
+      }}
+    >
       <div className="location-card-header">
         <h3 className="location-name">{location.name}</h3>
-        {distance && <span className="location-distance">{distance}</span>}
+        {renderDistance()}
       </div>
 
       {(location.formatted_address || location.vicinity) && (
         <p className="location-address">{location.formatted_address || location.vicinity}</p>
       )}
 
-      {location.chargerCount !== undefined && (
-        <div className="location-chargers">
-          <span className="charger-count">
-            {location.chargerCount} charger{location.chargerCount !== 1 ? 's' : ''} nearby
-          </span>
-        </div>
+      {(location.chargerCount !== undefined || location.chargerStatus) && (
+        <div className="location-chargers">{renderChargers()}</div>
       )}
     </div>
   );
 };
 
 export default LocationCard;
-
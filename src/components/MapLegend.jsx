@@ -0,0 +1,45 @@
+import { CHARGER_PIN_LEGEND } from '../utils/chargerPins';
+import '../styles/mapLegend.css';
+
+/**
+ * Key for the map pins, collapsed to a button until opened. Charger swatches come from
+ * the same styles the markers use (utils/chargerPins).
+ */
+const MapLegend = ({ isOpen, onToggle }) => (
+  <div className={`map-legend ${isOpen ? 'open' : ''}`}>
+    <button
+      type="button"
+      className="map-legend-toggle"
+      onClick={onToggle}
+      aria-expanded={isOpen}
+      aria-controls="map-legend-list"
+    >
+      {isOpen ? 'Hide legend' : 'Legend'}
+    </button>
+    {isOpen && (
+      <ul id="map-legend-list" className="map-legend-list">
+        <li>
+          <span className="map-legend-swatch" style={{ background: '#9d50bb' }} />
+          Place
+        </li>
+        {CHARGER_PIN_LEGEND.map(({ key, label, style }) => (
+          <li key={key}>
+            <span
+              className="map-legend-swatch"
+              style={{ background: style.background, borderColor: style.borderColor, opacity: style.opacity }}
+            >
+              {style.glyph === 'offline' ? '✕' : '⚡'}
+            </span>
+            {label}
+          </li>
+        ))}
+        <li>
+          <span className="map-legend-swatch map-legend-cluster">3</span>
+          Several chargers (click to zoom in)
+        </li>
+      </ul>
+    )}
+  </div>
+);
+
+export default MapLegend;
@@ -1,11 +1,52 @@
 import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
-import { GoogleMap, InfoWindow, useJsApiLoader } from '@react-google-maps/api';
+import { GoogleMap, InfoWindow, Polyline, useJsApiLoader } from '@react-google-maps/api';
 import { getCurrentLocation } from '../services/geolocation';
-import { searchPlaces, getMultipleDistances, geocodeAddress } from '../services/googleMaps';
-import { getChargersForLocations, parseChargerData } from '../services/openChargeMap';
-import { calculateDistance, calculateWalkingTime, walkingTimeToDistanceKm } from '../utils/distance';
+import { searchPlaces, getMultipleDistances, geocodeAddress, getWalkingRoute } from '../services/googleMaps';
+import { getChargersForPlaces } from '../services/chargers';
+import { searchAlongRoute } from '../services/routeSearch';
+import { FIXTURE_MODE } from '../services/fixtures';
+import { subscribeToCache } from '../services/responseCache';
+import { isServiceDegraded } from '../services/requestPolicy';
+import { saveArea, getSavedArea } from '../services/savedAreas';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import {
+  calculateWalkingTime,
+  walkingTimeToDistanceKm,
+  formatDistance,
+  milesToKm,
+  kmToMiles,
+  distanceUnitLabel,
+} from '../utils/distance';
+import { formatCurrency, formatDate, formatNumber } from '../utils/format';
+import { DEFAULT_FILTERS, filterChargers, describeExclusions, isNearPlace } from '../utils/chargerFilters';
+import { buildSearchUrl } from '../utils/urlState';
+import { groupByRouteDistance } from '../utils/route';
+import { isAbortError } from '../utils/abort';
+import { getTravelMode } from '../utils/travelModes';
+import { isInViewport, planMarkers } from '../utils/markerClusters';
+import { areaCenter, areaRadiusKm, hasAreaChanged } from '../utils/searchArea';
+import { describeChargerPin, getChargerPinStyle } from '../utils/chargerPins';
+import { focusListItem, handleListKeyDown, isActivationKey } from '../utils/listNavigation';
+import { PLACE_SORT_OPTIONS, placeDistance, sortPlaces, summarizePlaceChargers } from '../utils/placeSort';
+import {
+  getPreferredFilters,
+  savePreferences,
+  loadPreferences,
+  loadVehicle,
+  saveVehicle,
+} from '../services/preferences';
+import { describeCompatibility } from '../utils/vehicleCompatibility';
+import { describeTariff } from '../utils/tariff';
+import {
+  DEFAULT_CHARGE_PLAN,
+  CHARGE_SORT_OPTIONS,
+  estimateCharge,
+  sortChargersByEstimate,
+} from '../utils/chargeEstimate';
 import FilterPanel from './FilterPanel';
 import LocationCard from './LocationCard';
+import TripPlanner from './TripPlanner';
+import MapLegend from './MapLegend';
 import '../styles/mapView.css';
 
 const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
@@ -22,8 +63,196 @@ const defaultCenter = {
   lng: -122.4194, // San Francisco default
 };
 
+// Estimated stop cost, flagged when the tariff text was only partly understood
+const formatEstimatedCost = (estimate) => {
+  if (estimate.estimatedCost === null) return 'Cost unknown';
+  if (estimate.estimatedCost === 0) return 'Free';
+  const amount = formatCurrency(estimate.estimatedCost, estimate.currency || 'USD');
+  return `≈ ${amount}${estimate.costConfidence < 0.7 ? '?' : ''}`;
+};
+
+// Places along a route are listed in stretches of this length
+const routeGroupKm = (units) => (units === 'metric' ? 25 : milesToKm(20));
+
+const formatRouteStretch = (group, units) => {
+  const toUnits = (km) => (units === 'metric' ? km : kmToMiles(km));
+  const start = formatNumber(toUnits(group.startKm));
+  const end = formatNumber(toUnits(group.endKm));
+  return `${start}–${end} ${distanceUnitLabel(units)} along the route`;
+};
+
+// Position of a place relative to the route, for its location card
+const formatRoutePosition = (place, units) =>
+  `${formatDistance(place.routeDistanceKm, { units, decimals: 0 })} along • ` +
+  `${formatDistance(place.routeOffsetKm, { units })} off route`;
+
+const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Travel distance and time for a location card, in the user's units
+const formatTravel = (result, units) => {
+  if (!result) return null;
+  const distance =
+    typeof result.distanceValue === 'number'
+      ? formatDistance(result.distanceValue / 1000, { units })
+      : result.distance;
+  if (result.approximate) return `~${distance} straight line`;
+  return `${distance} (${result.duration})`;
+};
+
+// Walking time and distance from a charger to a place: the walking route ({distanceValue}
+// meters, {durationValue} seconds) when it has loaded, otherwise estimated from the
+// straight-line distance
+const formatWalk = (distanceKm, walk, units) => {
+  if (walk && !walk.approximate && typeof walk.durationValue === 'number') {
+    return `${formatDuration(walk.durationValue)} (${formatDistance(walk.distanceValue / 1000, { units })})`;
+  }
+  return `~${calculateWalkingTime(distanceKm)} (${formatDistance(distanceKm, { units })})`;
+};
+
+const chargerKey = (charger) => `${charger.source || 'unknown'}:${charger.id}`;
+
+const placeLocation = (place) => ({ lat: place.geometry.location.lat, lng: place.geometry.location.lng });
+
+// Element ids of list items, so a marker can move focus to its item
+const placeCardId = (placeId) => `place-card-${placeId}`;
+const chargerCardId = (charger) => `charger-card-${chargerKey(charger)}`;
+
+// Dotted line for the walk between a selected charger and its place, like walking directions
+const WALKING_LINE_OPTIONS = {
+  strokeOpacity: 0,
+  clickable: false,
+  zIndex: 2,
+  icons: [
+    {
+      icon: { path: 'M 0,-1 0,1', strokeColor: '#9d50bb', strokeOpacity: 1, scale: 3 },
+      offset: '0',
+      repeat: '10px',
+    },
+  ],
+};
+
+// Icons for legacy google.maps.Marker, used when advanced markers aren't available.
+// Charger pins take their look from `style` (see utils/chargerPins), like advanced markers.
+const getMarkerIcon = (type, { count = 0, style = getChargerPinStyle(null) } = {}) => {
+  if (!window.google || !window.google.maps) {
+    return undefined; // Use default marker if API not loaded
+  }
+
+  // Custom pin path (teardrop shape - standard Google Maps pin)
+  // Path creates a pin with rounded top and pointed bottom
+  const pinOutline = 'M 12,2 C 8.13,2 5,5.13 5,9 c 0,5.25 7,13 7,13 0,0 7,-7.75 7,-13 0,-3.87 -3.13,-7 -7,-7 z';
+  const pinPath = `${pinOutline} m 0,9.5 c -1.38,0 -2.5,-1.12 -2.5,-2.5 0,-1.38 1.12,-2.5 2.5,-2.5 1.38,0 2.5,1.12 2.5,2.5 0,1.38 -1.12,2.5 -2.5,2.5 z`;
+
+  if (type === 'place') {
+    // Location pin for places (groceries, etc.) - purple pin
+    return {
+      path: pinPath,
+      fillColor: '#9d50bb', // Neon Purple
+      fillOpacity: 1,
+      strokeColor: '#fff',
+      strokeWeight: 2.4, // Slightly thicker stroke for larger pin
+      scale: 1.2,
+      anchor: new window.google.maps.Point(12, 20), // Anchor at bottom point of pin
+    };
+  } else if (type === 'charger') {
+    // Charging pin colored and sized by speed, outlined when free, greyed out when out of service.
+    // Out of service pins are solid, with the cross drawn as the marker label (see chargerLabel).
+    const offline = style.glyph === 'offline';
+    return {
+      path: offline ? pinOutline : pinPath,
+      fillColor: style.background,
+      fillOpacity: style.opacity,
+      strokeColor: style.borderColor,
+      strokeWeight: 2.4, // Slightly thicker stroke for larger pin
+      scale: 1.2 * style.scale,
+      anchor: new window.google.maps.Point(12, 20), // Anchor at bottom point of pin
+      labelOrigin: new window.google.maps.Point(12, 9), // Centre of the pin head
+    };
+  } else if (type === 'cluster') {
+    // Green circle sized by how many chargers it stands for; the count is the marker label
+    return {
+      path: window.google.maps.SymbolPath.CIRCLE,
+      scale: count >= 100 ? 22 : count >= 10 ? 18 : 15,
+      fillColor: '#00cc7a',
+      fillOpacity: 0.9,
+      strokeColor: '#fff',
+      strokeWeight: 2,
+    };
+  } else {
+    // User location - keep as circle
+    return {
+      path: window.google.maps.SymbolPath.CIRCLE,
+      scale: 8,
+      fillColor: '#00d2ff', // Neon Blue
+      fillOpacity: 1,
+      strokeColor: '#fff',
+      strokeWeight: 2,
+    };
+  }
+};
+
+const clusterLabel = (count) => ({ text: String(count), color: '#ffffff', fontSize: '12px', fontWeight: '600' });
+
+// Legacy charger pins have no glyph, so the out-of-service cross is their label
+const chargerLabel = (style) =>
+  style?.glyph === 'offline' ? { text: '✕', color: '#ffffff', fontSize: '12px', fontWeight: '700' } : null;
+
+// Take a marker (advanced or legacy) off the map
+const removeMapMarker = (marker) => {
+  try {
+    if (typeof marker.setMap === 'function') {
+      marker.setMap(null);
+    } else {
+      marker.map = null;
+    }
+  } catch {
+    // ignore
+  }
+};
+
+// Emphasize the marker for the focused list item
+const setMarkerHighlight = (marker, highlighted) => {
+  try {
+    if (typeof marker.setZIndex === 'function') {
+      // Legacy markers can only be brought to the front
+      marker.setZIndex(highlighted ? 1000 : marker.__data?.items.length > 1 ? 1 : undefined);
+    } else {
+      marker.content?.classList.toggle('marker-focused', highlighted);
+      marker.zIndex = highlighted ? 1000 : marker.__data?.items.length > 1 ? 1 : null;
+    }
+  } catch {
+    // ignore
+  }
+};
+
+// Places with charger counts for those whose chargers have loaded; the rest are marked
+// 'loading' or 'failed' so their cards can say so
+const withChargerCounts = (places, chargers, { loadedPlaceIds = [], failedPlaceIds = [] } = {}) =>
+  places.map((place) => {
+    if (failedPlaceIds.includes(place.place_id)) {
+      return { ...place, chargerCount: undefined, chargerStatus: 'failed' };
+    }
+    if (!loadedPlaceIds.includes(place.place_id)) {
+      return { ...place, chargerCount: undefined, chargerStatus: 'loading' };
+    }
+    return {
+      ...place,
+      chargerCount: chargers.filter((c) => isNearPlace(c, place.place_id)).length,
+      chargerStatus: 'loaded',
+    };
+  });
+
 const MapView = ({ searchData, onBack }) => {
   const searchQuery = searchData?.query || '';
+  const routeDestination = searchData?.mode === 'route' ? searchData.destination : null;
+  const isRouteSearch = !!routeDestination;
+  // Opened from the landing page's saved areas: show the stored results, no API calls
+  const savedAreaId = searchData?.savedAreaId || null;
+  const isOnline = useOnlineStatus();
   const mapsKeyMissing =
     !GOOGLE_MAPS_API_KEY ||
     GOOGLE_MAPS_API_KEY === 'your_google_maps_api_key_here' ||
@@ -37,34 +266,97 @@ const MapView = ({ searchData, onBack }) => {
     version: 'beta',
   });
 
+  // Without the Maps JS API (no key, or it failed to load) results are shown as a list.
+  // Fixture mode and saved areas don't need Google at all; other searches still work for
+  // place searches cached on this device, and chargers come from Open Charge Map either way.
+  const mapUnavailable = mapsKeyMissing || !!mapsLoadError;
+
   const [map, setMap] = useState(null);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [places, setPlaces] = useState([]);
   const [chargers, setChargers] = useState([]);
   const [filteredChargers, setFilteredChargers] = useState([]);
+  const [exclusions, setExclusions] = useState({});
   const [distances, setDistances] = useState({});
+  // Driving route for "along a route" searches: {path, distanceMeters, durationSeconds, destination}
+  const [route, setRoute] = useState(null);
   const [selectedPlace, setSelectedPlace] = useState(null);
   const [selectedCharger, setSelectedCharger] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  // null once drive distances are in (or for route searches); 'loading' | 'failed' otherwise,
+  // or 'approximate' when some places only have straight-line distances (no route, or the
+  // Distance Matrix was throttled)
+  const [distanceStatus, setDistanceStatus] = useState(null);
+  // Why chargers couldn't be loaded when the provider is throttled or paused by its circuit breaker
+  const [chargerIssue, setChargerIssue] = useState(null);
   const [error, setError] = useState(null);
   const [filterPanelOpen, setFilterPanelOpen] = useState(false);
   const [chargerPanelOpen, setChargerPanelOpen] = useState(false);
-  const [filters, setFilters] = useState({
-    operational: false, // false = show all, true = show operational only
-    access: 'all',
-    cost: 'all',
-    speed: 'all',
-    connectors: [],
-    walkingTime: 5,
-    searchRadius: 10,
-  });
+  const [tripPlannerOpen, setTripPlannerOpen] = useState(false);
+  // When any shown response came from the cache: the oldest fetch time, and whether a
+  // fresher copy is being fetched in the background
+  const [dataAsOf, setDataAsOf] = useState(null);
+  const [isRevalidating, setIsRevalidating] = useState(false);
+  // Cache keys behind the current results, so a finished revalidation can refresh them
+  const resultCacheKeys = useRef(new Set());
+  // The chargers array last saved with "Save Area", to tell whether the results shown are saved
+  const [savedChargers, setSavedChargers] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null); // null | 'saving' | 'error'
+  // A URL (refresh or shared link) encodes every non-default filter, so it is applied over the
+  // defaults; a fresh search from the landing page starts from the user's saved preferences.
+  const [vehicle, setVehicle] = useState(loadVehicle);
+  const [units, setUnits] = useState(() => loadPreferences().units);
+  // Read by loadDataFromLocation without making it reload when units change
+  const unitsRef = useRef(units);
+  // How distances to places are measured (see utils/travelModes); changing it reloads
+  const [travelMode, setTravelMode] = useState(() => loadPreferences().travelMode);
+  // Walking distances from each place to its chargers, fetched when the place (or one of
+  // its chargers) is selected: place_id -> charger key -> distance result
+  const [walkingDistances, setWalkingDistances] = useState({});
+  // Walking route between the selected charger and its place: {key, path, distanceMeters, durationSeconds}
+  const [walkingRoute, setWalkingRoute] = useState(null);
+  // Planned stop at the selected place, for charge time/cost estimates
+  const [chargePlan, setChargePlan] = useState(DEFAULT_CHARGE_PLAN);
+  const [chargerSort, setChargerSort] = useState('recommended');
+  const [filters, setFilters] = useState(() =>
+    searchData?.filters ? { ...DEFAULT_FILTERS, ...searchData.filters } : getPreferredFilters()
+  );
   const mapRef = useRef(null);
   const [searchCenter, setSearchCenter] = useState(null);
-  const isInitialMount = useRef(true);
+  // Area the results were restricted to by "Search this area"; null for center + radius searches
+  const [searchBounds, setSearchBounds] = useState(null);
+  // The initial load runs once; later loads come from Search Again or the options below
+  const hasStartedInitialLoad = useRef(false);
+  // Search radius, walking time and travel mode the current results were fetched with;
+  // changing any of them reloads from the current search center
+  const lastFetchOptions = useRef(`${filters.searchRadius}|${filters.walkingTime}|${travelMode}`);
+  // Controller for the load in flight. Starting a new load aborts it, so an older
+  // response can never overwrite newer results.
+  const loadController = useRef(null);
+  // Place/charger selection from the URL, applied once results are loaded
+  const pendingSelection = useRef(
+    searchData?.selection?.placeId || searchData?.selection?.chargerId ? searchData.selection : null
+  );
   const previousPlacesSignature = useRef('');
   const markersRef = useRef({ user: null, places: new Map(), chargers: new Map() });
+  // Visible area and zoom ({north, south, east, west, zoom}), updated when the map settles
+  const [viewport, setViewport] = useState(null);
+  const viewportRef = useRef(null);
+  // Visible area when the current results were loaded. "Search this area" is offered once
+  // the map moves far enough from it. After a search fits the map to its results, the area
+  // is taken from the next idle event instead.
+  const [searchedArea, setSearchedArea] = useState(null);
+  // An area search came back empty: shown in the sidebar so the map stays usable
+  const [noPlacesInArea, setNoPlacesInArea] = useState(false);
+  const captureSearchedArea = useRef(false);
   const [markerMode, setMarkerMode] = useState('pending'); // 'pending' | 'advanced' | 'legacy'
+  const [legendOpen, setLegendOpen] = useState(false);
+  // List item with keyboard focus ({type: 'place'|'charger', key}); its marker is highlighted
+  const [focusedItem, setFocusedItem] = useState(null);
   const [isMobile, setIsMobile] = useState(false);
+  // Results as a list instead of the map; small screens can switch to it
+  const [resultsView, setResultsView] = useState('map'); // 'map' | 'list'
+  const [placeSort, setPlaceSort] = useState('distance');
   const [isLocationsSidebarMinimized, setIsLocationsSidebarMinimized] = useState(true);
 
   // Detect mobile screen size
@@ -95,60 +387,206 @@ const MapView = ({ searchData, onBack }) => {
     setMap(mapInstance);
   }, []);
 
+  // Record the visible area once the map settles after a pan or zoom
+  const handleMapIdle = useCallback(() => {
+    const bounds = mapRef.current?.getBounds();
+    if (!bounds) return;
+    const northEast = bounds.getNorthEast();
+    const southWest = bounds.getSouthWest();
+    const next = {
+      north: northEast.lat(),
+      south: southWest.lat(),
+      east: northEast.lng(),
+      west: southWest.lng(),
+      zoom: mapRef.current.getZoom(),
+    };
+    viewportRef.current = next;
+    if (captureSearchedArea.current) {
+      captureSearchedArea.current = false;
+      setSearchedArea(next);
+    }
+    setViewport((prev) =>
+      prev && Object.keys(next).every((key) => prev[key] === next[key]) ? prev : next
+    );
+  }, []);
+
   // Load initial data when map is ready
 
   // Function to load data from a specific location
-  const loadDataFromLocation = useCallback(async (centerLocation) => {
-    if (!isMapsLoaded || !mapRef.current || !window.google || !window.google.maps || !searchQuery) {
+  // `background` refreshes the current results in place (after a cache revalidation):
+  // no loading overlay, no re-fitting the map, and failures keep what's shown. It's skipped
+  // while another load is running, since that one will bring fresh results anyway.
+  // `bounds` ({north, south, east, west}) searches that area instead of the radius filter
+  // around the center, and leaves the map where it is.
+  const loadDataFromLocation = useCallback(async (centerLocation, { background = false, bounds = null } = {}) => {
+    if (!searchQuery) {
+      return;
+    }
+    if (!mapUnavailable && (!isMapsLoaded || !mapRef.current || !window.google || !window.google.maps)) {
+      return;
+    }
+    if (background && loadController.current) {
       return;
     }
 
-    setIsLoading(true);
+    loadController.current?.abort();
+    const controller = new AbortController();
+    loadController.current = controller;
+    const { signal } = controller;
+
+    if (!background) {
+      setIsLoading(true);
+      // The sidebar shows skeleton cards until the new places arrive
+      setPlaces([]);
+      setChargers([]);
+      setDistanceStatus(null);
+      setWalkingDistances({});
+      setSearchedArea(bounds || viewportRef.current);
+      captureSearchedArea.current = false;
+    }
     setError(null);
+    setChargerIssue(null);
+    setNoPlacesInArea(false);
 
-    // Safety watchdog so the UI never hangs indefinitely if an upstream promise stalls.
+    const cacheReads = [];
+    const stopTrackingCache = subscribeToCache((event) => {
+      if (event.type !== 'revalidated') cacheReads.push(event);
+    });
+
+    // Safety watchdog so the UI never hangs indefinitely if an upstream promise stalls: it
+    // cancels the load rather than leaving it running behind the error.
+    // Route searches run one search per route segment, so they get longer.
+    const watchdogMs = isRouteSearch ? 30000 : 15000;
     const watchdog = setTimeout(() => {
-      console.warn('[MapView] loadDataFromLocation timed out after 15s');
+      console.warn(`[MapView] loadDataFromLocation timed out after ${watchdogMs / 1000}s`);
+      controller.abort();
+      if (background) return;
       setError('Taking too long to load results. Please retry or adjust your search.');
       setIsLoading(false);
-    }, 15000);
+    }, watchdogMs);
 
     try {
+      if (isRouteSearch) {
+        const result = await searchAlongRoute({
+          map: mapRef.current,
+          query: searchQuery,
+          origin: centerLocation,
+          destination: routeDestination,
+          walkingDistanceKm: walkingTimeToDistanceKm(filters.walkingTime || 5),
+          signal,
+        });
+        signal.throwIfAborted();
+        setRoute(result.route);
+        setDistances({});
+
+        if (result.places.length === 0) {
+          setPlaces([]);
+          setChargers([]);
+          setError('No locations found along this route. Try a different search or destination.');
+          return;
+        }
+
+        setChargers(result.chargers);
+        setFilteredChargers(result.chargers);
+        setPlaces(
+          result.places.map((place) => ({
+            ...place,
+            chargerCount: result.chargers.filter((c) => isNearPlace(c, place.place_id)).length,
+          }))
+        );
+
+        if (!background && mapRef.current && window.google && window.google.maps) {
+          const bounds = new window.google.maps.LatLngBounds();
+          result.route.path.forEach((point) => bounds.extend(point));
+          mapRef.current.fitBounds(bounds, { padding: 50 });
+        }
+        return;
+      }
+
+      // Results stream in: places as soon as the search returns, then drive distances,
+      // then charger counts batch by batch. Background refreshes skip the intermediate
+      // steps so the current results don't flicker back to skeletons.
       // Search for places using PlacesService (requires map instance)
       // Use search radius from filters (default 2 miles)
-      const searchRadiusMeters = (filters.searchRadius || 2) * 1609.34; // Convert miles to meters
-      const placeResults = await searchPlaces(mapRef.current, searchQuery, centerLocation, searchRadiusMeters);
+      // An area search covers the visible map instead
+      const searchRadiusMeters = bounds
+        ? areaRadiusKm(bounds) * 1000
+        : (filters.searchRadius || 2) * 1609.34; // Convert miles to meters
+      const placeResults = await searchPlaces(mapRef.current, searchQuery, centerLocation, searchRadiusMeters, {
+        signal,
+        bounds: bounds || undefined,
+      });
+      signal.throwIfAborted();
       
+      if (placeResults.length === 0 && bounds) {
+        setPlaces([]);
+        setChargers([]);
+        setNoPlacesInArea(true);
+        setIsLoading(false);
+        return;
+      }
       if (placeResults.length === 0) {
         setError('No locations found. Try a different search or move the map to a different area.');
         setIsLoading(false);
         return;
       }
 
+      if (!background) {
+        setDistances({});
+        setDistanceStatus('loading');
+        setPlaces(placeResults.map((place) => ({ ...place, chargerStatus: 'loading' })));
+      }
+
       // Get distances from center location to each place
       const placeLocations = placeResults.map((p) => ({
         lat: p.geometry.location.lat,
         lng: p.geometry.location.lng,
       }));
 
-      const distanceResults = await getMultipleDistances(centerLocation, placeLocations);
+      // Without drive distances the places are still worth showing, unsorted and unfiltered
       const distanceMap = {};
-      placeResults.forEach((place, index) => {
-        distanceMap[place.place_id] = distanceResults[index];
-      });
+      try {
+        const distanceResults = await getMultipleDistances(centerLocation, placeLocations, {
+          units: unitsRef.current,
+          travelMode,
+          signal,
+        });
+        placeResults.forEach((place, index) => {
+          distanceMap[place.place_id] = distanceResults[index];
+        });
+        setDistanceStatus(distanceResults.some((result) => result.approximate) ? 'approximate' : null);
+      } catch (distanceErr) {
+        if (isAbortError(distanceErr)) throw distanceErr;
+        console.warn('[MapView] Travel distances failed, showing places without them:', distanceErr);
+        setDistanceStatus('failed');
+      }
+      signal.throwIfAborted();
       setDistances(distanceMap);
 
       // Filter places to only include those within the search radius
       // The Places API may return results outside the radius, so we filter them out
       const placesWithinRadius = placeResults.filter((place) => {
+        if (bounds) return isInViewport(placeLocation(place), bounds);
         const distanceValue = distanceMap[place.place_id]?.distanceValue;
         // Keep places that are within the search radius (or if distance calculation failed, keep them)
-        return distanceValue === null || distanceValue <= searchRadiusMeters;
+        return distanceValue === null || distanceValue === undefined || distanceValue <= searchRadiusMeters;
       });
 
       // Check if we have any places within the radius after filtering
+      if (placesWithinRadius.length === 0 && bounds) {
+        setPlaces([]);
+        setChargers([]);
+        setNoPlacesInArea(true);
+        setIsLoading(false);
+        return;
+      }
       if (placesWithinRadius.length === 0) {
-        setError(`No locations found within ${filters.searchRadius || 2} miles. Try increasing the search radius or moving to a different area.`);
+        const radius = formatDistance(milesToKm(filters.searchRadius || 2), {
+          units: unitsRef.current,
+          decimals: 0,
+        });
+        setPlaces([]);
+        setError(`No locations found within ${radius}. Try increasing the search radius or moving to a different area.`);
         setIsLoading(false);
         return;
       }
@@ -159,76 +597,71 @@ const MapView = ({ searchData, onBack }) => {
         const distB = distanceMap[b.place_id]?.distanceValue || Infinity;
         return distA - distB;
       });
-      setPlaces(sortedPlaces);
-
-      // Get chargers near each place (within walking time)
-      const walkingTimeMinutes = filters.walkingTime || 5;
-      const walkingDistanceKm = walkingTimeToDistanceKm(walkingTimeMinutes);
-      const apiFilters = {};
-      if (filters.cost === 'free') apiFilters.free = true;
-      else if (filters.cost === 'paid') apiFilters.free = false;
-      if (filters.speed && filters.speed !== 'all') apiFilters.speed = filters.speed;
-
-      const chargerResults = await getChargersForLocations(placeLocations, walkingDistanceKm, apiFilters);
-      
-      // Combine all chargers and parse them, filtering by walking time
-      const allChargers = [];
-      chargerResults.forEach((locationChargers, index) => {
-        const placeLocation = placeLocations[index];
-        const parsedChargers = locationChargers
-          .map(parseChargerData)
-          .filter((charger) => {
-            // Filter chargers within walking time
-            const distanceKm = calculateDistance(placeLocation, charger.location);
-            return distanceKm <= walkingDistanceKm;
-          });
-        
-        parsedChargers.forEach((charger) => {
-          charger.placeId = placeResults[index].place_id;
-          charger.distanceFromPlace = calculateDistance(placeLocation, charger.location);
-        });
-        allChargers.push(...parsedChargers);
-      });
-
-      setChargers(allChargers);
-      setFilteredChargers(allChargers);
-
-      // Update places with charger counts (only within walking distance)
-      const updatedPlaces = sortedPlaces.map((place) => {
-        const placeChargers = allChargers.filter((c) => c.placeId === place.place_id);
-        return {
-          ...place,
-          chargerCount: placeChargers.length,
-        };
-      });
-      setPlaces(updatedPlaces);
-
-      // Fit map bounds to show all filtered places, chargers, and center location
-      if (mapRef.current && updatedPlaces.length > 0 && window.google && window.google.maps) {
-        const bounds = new window.google.maps.LatLngBounds();
-        
-        // Include the search center location
-        bounds.extend(centerLocation);
-        
-        // Include all filtered places
-        updatedPlaces.forEach((place) => {
-          bounds.extend({
+      if (!background) setPlaces(withChargerCounts(sortedPlaces, []));
+
+      // Fit map bounds to show the search center and every place; chargers are within
+      // walking distance of them, so the view doesn't need to move again when they arrive
+      // (an area search is already showing what was searched, so the map stays put)
+      if (!background && !bounds && mapRef.current && window.google && window.google.maps) {
+        const resultBounds = new window.google.maps.LatLngBounds();
+        resultBounds.extend(centerLocation);
+        sortedPlaces.forEach((place) => {
+          resultBounds.extend({
             lat: place.geometry.location.lat,
             lng: place.geometry.location.lng,
           });
         });
-        
-        // Include all charger locations (they're already filtered by walking distance)
-        allChargers.forEach((charger) => {
-          bounds.extend(charger.location);
-        });
-        
-        // Fit bounds to show everything, allowing zoom out as needed
-        mapRef.current.fitBounds(bounds, {
+        captureSearchedArea.current = true;
+        mapRef.current.fitBounds(resultBounds, {
           padding: 50, // Add padding around bounds for better visibility
         });
       }
+
+      // Get chargers near each place (within walking time). The Options panel filters are
+      // applied client-side by filterChargers so we can report what each filter hides.
+      const walkingTimeMinutes = filters.walkingTime || 5;
+      const walkingDistanceKm = walkingTimeToDistanceKm(walkingTimeMinutes);
+
+      // One batched lookup for all places; a charger near several places is returned once
+      // and associated with each of them. Places fill in as their batch resolves, and a
+      // failed batch only marks its own places.
+      let chargerProgress = { chargers: [], loadedPlaceIds: [], failedPlaceIds: [], errors: [] };
+      const showChargers = (progress) => {
+        setChargerIssue(progress.errors.find(isServiceDegraded)?.message || null);
+        setChargers(progress.chargers);
+        setFilteredChargers(progress.chargers);
+        setPlaces(withChargerCounts(sortedPlaces, progress.chargers, progress));
+      };
+      try {
+        await getChargersForPlaces(sortedPlaces, walkingDistanceKm, {}, {
+          signal,
+          onProgress: (progress) => {
+            chargerProgress = progress;
+            if (!background) showChargers(progress);
+          },
+        });
+      } catch (chargerErr) {
+        if (isAbortError(chargerErr)) throw chargerErr;
+        console.warn('[MapView] Charger lookup failed, showing places without chargers:', chargerErr);
+        chargerProgress = {
+          chargers: [],
+          loadedPlaceIds: [],
+          failedPlaceIds: sortedPlaces.map((place) => place.place_id),
+          errors: [chargerErr],
+        };
+      }
+      signal.throwIfAborted();
+      showChargers(chargerProgress);
     } catch (err) {
+      if (isAbortError(err)) {
+        // Superseded by a newer load, timed out (the watchdog reports that) or unmounted
+        console.log('[MapView] Load cancelled');
+        return;
+      }
+      if (background) {
+        console.warn('[MapView] Background refresh failed, keeping current results:', err);
+        return;
+      }
       console.error('='.repeat(50));
       console.error('[MapView] Error loading data:');
       console.error('[MapView] Error type:', err.constructor.name);
@@ -258,30 +691,41 @@ const MapView = ({ searchData, onBack }) => {
       } else if (err.request) {
         errorMessage = 'Network error: Could not reach the server. Please check your internet connection and API keys.';
       }
+      // Searches need Google unless their results are cached on this device
+      if (mapUnavailable && !FIXTURE_MODE && !window.google?.maps) {
+        errorMessage = mapsKeyMissing
+          ? 'Google Maps API key is not configured. Please add VITE_GOOGLE_MAPS_API_KEY to your .env.local file.'
+          : `Google Maps couldn't load${mapsLoadError?.message ? ` (${mapsLoadError.message})` : ''}, and this search isn't saved on this device. Check your connection and retry.`;
+      }
       setError(errorMessage);
     } finally {
       clearTimeout(watchdog);
-      setIsLoading(false);
+      stopTrackingCache();
+      // A newer load owns the loading state and cache indicator now
+      if (loadController.current === controller) {
+        loadController.current = null;
+        setIsLoading(false);
+        if (!signal.aborted) {
+          resultCacheKeys.current = new Set(cacheReads.map((event) => event.key));
+          const cached = cacheReads.filter((event) => event.type !== 'miss');
+          setDataAsOf(cached.length ? Math.min(...cached.map((event) => event.fetchedAt)) : null);
+          setIsRevalidating(cached.some((event) => event.type === 'stale'));
+        }
+      }
     }
-  }, [searchQuery, filters.walkingTime, filters.searchRadius, isMapsLoaded]);
+  }, [searchQuery, filters.walkingTime, filters.searchRadius, travelMode, isMapsLoaded, mapUnavailable, mapsKeyMissing, mapsLoadError, isRouteSearch, routeDestination]);
 
   // Initial load - get user location and load data
   useEffect(() => {
-    if (mapsKeyMissing) {
-      setError('Google Maps API key is not configured. Please add VITE_GOOGLE_MAPS_API_KEY to your .env.local file.');
-      setIsLoading(false);
-      return;
-    }
-    if (mapsLoadError) {
-      setError(`Failed to load Google Maps JavaScript API. ${mapsLoadError?.message || ''}`.trim());
-      setIsLoading(false);
-      return;
-    }
     if (!searchQuery) {
       setIsLoading(false);
       return;
     }
-    if (searchQuery && isMapsLoaded && map && mapRef.current && window.google && window.google.maps) {
+    if (savedAreaId) return; // Loaded from the device below
+    if (hasStartedInitialLoad.current) return;
+    const mapReady = isMapsLoaded && map && mapRef.current && window.google && window.google.maps;
+    if (searchQuery && (mapReady || mapUnavailable)) {
+      hasStartedInitialLoad.current = true;
       const initializeLocation = async () => {
         try {
           let startLocation;
@@ -302,7 +746,11 @@ const MapView = ({ searchData, onBack }) => {
           
           console.log('[MapView] hasCustomLocation:', hasCustomLocation);
           
-          if (hasCustomLocation) {
+          if (searchData?.center) {
+            // Restored from a shared link / refresh: reuse the resolved center
+            console.log('[MapView] Using search center from URL:', searchData.center);
+            startLocation = searchData.center;
+          } else if (hasCustomLocation) {
             // Geocode custom location - NEVER fall back to geolocation
             try {
               const customLocationTrimmed = searchData.customLocation.trim();
@@ -341,10 +789,63 @@ const MapView = ({ searchData, onBack }) => {
       };
       initializeLocation();
     }
-  }, [searchQuery, isMapsLoaded, map, loadDataFromLocation, searchData, mapsKeyMissing, mapsLoadError]);
+  }, [searchQuery, isMapsLoaded, map, loadDataFromLocation, searchData, mapUnavailable, savedAreaId]);
+
+  // Saved area: show the stored results as they were when saved
+  useEffect(() => {
+    if (!savedAreaId) return undefined;
+    let cancelled = false;
+    getSavedArea(savedAreaId)
+      .then((area) => {
+        if (cancelled) return;
+        if (!area) {
+          setError('This saved area is no longer stored on this device. Go back to search again.');
+          return;
+        }
+        console.log('[MapView] Showing saved area:', area.label);
+        setCurrentLocation(area.center);
+        setSearchCenter(area.center);
+        setRoute(area.route);
+        setDistances(area.distances);
+        setChargers(area.chargers);
+        setFilteredChargers(area.chargers);
+        setPlaces(area.places);
+        setSavedChargers(area.chargers);
+        setDataAsOf(area.savedAt);
+        setIsRevalidating(false);
+      })
+      .catch((err) => {
+        console.error('[MapView] Could not read saved area:', err);
+        if (!cancelled) setError('Could not open this saved area.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [savedAreaId]);
+
+  const handleSaveArea = async () => {
+    setSaveStatus('saving');
+    try {
+      await saveArea({ searchData, center: searchCenter, places, chargers, distances, route });
+      setSavedChargers(chargers);
+      setSaveStatus(null);
+    } catch (err) {
+      console.error('[MapView] Saving area failed:', err);
+      setSaveStatus('error');
+    }
+  };
+  const isAreaSaved = savedChargers !== null && savedChargers === chargers;
 
   // Handle search again button - use current map center (where user has dragged to)
   const handleSearchAgain = useCallback(async () => {
+    if ((mapUnavailable || isRouteSearch) && searchCenter) {
+      // No map to drag around (or the search follows a route), so search the same area again.
+      await loadDataFromLocation(searchCenter);
+      return;
+    }
     if (!isMapsLoaded || !mapRef.current || !window.google || !window.google.maps) {
       return;
     }
@@ -356,20 +857,65 @@ const MapView = ({ searchData, onBack }) => {
         lng: center.lng(),
       };
       setSearchCenter(centerLocation);
+      setSearchBounds(null);
       await loadDataFromLocation(centerLocation);
     }
-  }, [isMapsLoaded, loadDataFromLocation]);
+  }, [isMapsLoaded, loadDataFromLocation, mapUnavailable, isRouteSearch, searchCenter]);
+
+  // "Search this area": search exactly what's visible, so the results match the map
+  const showSearchAreaChip =
+    !isRouteSearch && !mapUnavailable && !isLoading && hasAreaChanged(searchedArea, viewport);
+
+  const handleSearchThisArea = useCallback(() => {
+    if (!viewport) return;
+    const { north, south, east, west } = viewport;
+    const bounds = { north, south, east, west };
+    const center = areaCenter(bounds);
+    setSearchCenter(center);
+    setSearchBounds(bounds);
+    loadDataFromLocation(center, { bounds });
+  }, [viewport, loadDataFromLocation]);
+
+  // Stale responses are revalidated in the background; once a fresher copy of anything
+  // behind the current results arrives, redo the search (now served from the cache)
+  useEffect(() => {
+    if (!searchCenter) return undefined;
+    let refreshTimer = null;
+    const unsubscribe = subscribeToCache((event) => {
+      if (event.type !== 'revalidated' || !resultCacheKeys.current.has(event.key)) return;
+      // Several responses usually revalidate together; refresh once
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => {
+        console.log('[MapView] Cached data revalidated, refreshing results');
+        loadDataFromLocation(searchCenter, { background: true, bounds: searchBounds });
+      }, 300);
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(refreshTimer);
+    };
+  }, [searchCenter, searchBounds, loadDataFromLocation]);
 
-  // Reload data when search radius changes (but not on initial mount)
+  // Stop waiting for a load that's still running when leaving the map view
   useEffect(() => {
-    if (isInitialMount.current) {
-      isInitialMount.current = false;
-      return;
-    }
-    if (isMapsLoaded && searchCenter && map && mapRef.current && window.google && window.google.maps && searchQuery) {
-      loadDataFromLocation(searchCenter);
+    const controllerRef = loadController;
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  // Reload data when the search radius, walking time or travel mode changes. Only a change counts: this
+  // effect also re-runs when the search center or map changes, and those loads are started
+  // elsewhere (running them here too used to load everything twice).
+  useEffect(() => {
+    const fetchOptions = `${filters.searchRadius}|${filters.walkingTime}|${travelMode}`;
+    if (fetchOptions === lastFetchOptions.current) return;
+    lastFetchOptions.current = fetchOptions;
+    // A saved area keeps its saved results; "Search Again" fetches fresh ones
+    if (savedAreaId) return;
+    const mapReady = isMapsLoaded && map && mapRef.current && window.google && window.google.maps;
+    if (searchCenter && searchQuery && (mapReady || mapUnavailable)) {
+      loadDataFromLocation(searchCenter, { bounds: searchBounds });
     }
-  }, [filters.searchRadius, searchCenter, map, searchQuery, loadDataFromLocation, isMapsLoaded]);
+  }, [filters.searchRadius, filters.walkingTime, travelMode, searchCenter, searchBounds, map, searchQuery, loadDataFromLocation, isMapsLoaded, mapUnavailable, savedAreaId]);
 
   // Apply filters
   useEffect(() => {
@@ -377,164 +923,224 @@ const MapView = ({ searchData, onBack }) => {
     if (places.length === 0 || chargers.length === 0) {
       if (chargers.length === 0) {
         setFilteredChargers([]);
+        setExclusions({});
       }
       return;
     }
 
-    let filtered = [...chargers];
-
-    if (filters.operational) {
-      // Only show chargers that are explicitly operational (exclude false and null)
-      filtered = filtered.filter((c) => c.status?.isOperational === true);
-    }
-
-    if (filters.access && filters.access !== 'all') {
-      filtered = filtered.filter((c) => c.access?.category === filters.access);
-    }
-
-    if (filters.cost && filters.cost !== 'all') {
-      filtered = filtered.filter((c) => (filters.cost === 'free' ? c.isFree : c.isFree === false));
-    }
-
-    if (filters.speed && filters.speed !== 'all') {
-      filtered = filtered.filter((c) => c.powerTier === filters.speed);
-    }
-
-    if (filters.connectors && filters.connectors.length > 0) {
-      filtered = filtered.filter((c) => {
-        const types = (c.connectors || []).map((conn) => conn.type);
-        // Show chargers that have ANY of the selected connector types (OR logic)
-        return filters.connectors.some((sel) => types.includes(sel));
-      });
-    }
-
-    // Filter by walking time (already filtered when loading, but re-filter if time changed)
-    if (filters.walkingTime) {
-      const walkingDistanceKm = walkingTimeToDistanceKm(filters.walkingTime);
-      filtered = filtered.filter((charger) => {
-        const place = places.find((p) => p.place_id === charger.placeId);
-        if (!place) return false;
-        const distanceKm = calculateDistance(
-          { lat: place.geometry.location.lat, lng: place.geometry.location.lng },
-          charger.location
-        );
-        return distanceKm <= walkingDistanceKm;
-      });
-    }
+    const result = filterChargers(chargers, places, filters, { distances, vehicle });
+    setFilteredChargers(result.chargers);
+    setExclusions(result.exclusions);
 
-    setFilteredChargers(filtered);
-    
-    // Update charger counts for places and maintain sort order by distance
-    const updatedPlaces = places.map((place) => {
-      const placeChargers = filtered.filter((c) => c.placeId === place.place_id);
-      const featuredCharger = [...placeChargers].sort((a, b) => {
-        const opA = a.status?.isOperational ? 1 : 0;
-        const opB = b.status?.isOperational ? 1 : 0;
-        if (opB !== opA) return opB - opA;
-        return (b.maxPower || 0) - (a.maxPower || 0);
-      })[0];
-
-      return {
-        ...place,
-        chargerCount: placeChargers.length,
-        featuredCharger,
-      };
-    });
-    
-    // Re-sort by distance to ensure closest first
-    const sortedPlaces = [...updatedPlaces].sort((a, b) => {
-      const distA = distances[a.place_id]?.distanceValue || Infinity;
-      const distB = distances[b.place_id]?.distanceValue || Infinity;
-      return distA - distB;
-    });
-    
     // Only update places if they actually changed
-    // Compare by creating a signature string for each place (ID + chargerCount)
-    const newSignature = sortedPlaces.map(p => `${p.place_id}:${p.chargerCount || 0}`).join(',');
+    // Compare by creating a signature string for each place (ID + visible/hidden counts)
+    const newSignature = result.places
+      .map((p) => `${p.place_id}:${p.chargerCount || 0}:${p.hiddenCount || 0}`)
+      .join(',');
     
     // Only update if the signature actually changed from the last update
     if (previousPlacesSignature.current !== newSignature) {
       previousPlacesSignature.current = newSignature;
-      setPlaces(sortedPlaces);
+      setPlaces(result.places);
     }
-  }, [filters, chargers, places, distances]);
+  }, [filters, chargers, places, distances, vehicle]);
 
   const handleFilterChange = (newFilters) => {
+    // A new search radius means searching around the center again rather than the area
+    if (newFilters.searchRadius !== filters.searchRadius) setSearchBounds(null);
     setFilters(newFilters);
+    savePreferences({ filters: newFilters });
+  };
+
+  const handleUnitsChange = (nextUnits) => {
+    unitsRef.current = nextUnits;
+    setUnits(nextUnits);
+    savePreferences({ units: nextUnits });
+  };
+
+  const handleTravelModeChange = (nextTravelMode) => {
+    setTravelMode(nextTravelMode);
+    savePreferences({ travelMode: nextTravelMode });
+  };
+
+  // Throws for an invalid profile; VehicleProfile shows the message
+  const handleVehicleChange = (nextVehicle) => {
+    setVehicle(saveVehicle(nextVehicle));
   };
 
   const connectorOptions = useMemo(() => {
-    const set = new Set();
+    // Selected connectors stay listed, so a saved one missing from this area can be cleared
+    const set = new Set(filters.connectors || []);
     chargers.forEach((c) => {
       c.connectors?.forEach((conn) => {
         if (conn.type) set.add(conn.type);
       });
     });
     return Array.from(set).sort();
-  }, [chargers]);
+  }, [chargers, filters.connectors]);
 
   // Don't auto-select connectors - let user choose which connector types to filter by
 
   const chargersForSelectedPlace = useMemo(() => {
     if (!selectedPlace) return [];
-    return filteredChargers.filter((c) => c.placeId === selectedPlace.place_id);
-  }, [filteredChargers, selectedPlace]);
+    const placeId = selectedPlace.place_id;
+    const placeChargers = filteredChargers
+      .filter((c) => isNearPlace(c, placeId))
+      .map((c) => ({
+        ...c,
+        // Walking distance from this place, not the charger's nearest one
+        distanceFromPlace: c.placeDistances?.[placeId] ?? c.distanceFromPlace,
+        walk: walkingDistances[placeId]?.[chargerKey(c)],
+        estimate: estimateCharge(c, chargePlan, vehicle),
+      }));
+    return sortChargersByEstimate(placeChargers, chargerSort);
+  }, [filteredChargers, selectedPlace, chargePlan, vehicle, chargerSort, walkingDistances]);
+
+  const listView = mapUnavailable || (isMobile && resultsView === 'list');
+  // Route searches keep their order along the route
+  const sortListPlaces = listView && !isRouteSearch;
+  const listedPlaces = useMemo(
+    () =>
+      sortListPlaces
+        ? sortPlaces(places, { sort: placeSort, chargers: filteredChargers, distances, center: searchCenter })
+        : places,
+    [sortListPlaces, places, placeSort, filteredChargers, distances, searchCenter]
+  );
+
+  // Real walking distances for the chargers near the selected place (or the selected
+  // charger's place), in batched Distance Matrix requests. Until they arrive, and if they
+  // fail, walking times are estimated from straight-line distance.
+  const walkTimesPlaceId = selectedPlace?.place_id ?? selectedCharger?.placeId ?? null;
+  useEffect(() => {
+    if (!walkTimesPlaceId || walkTimesPlaceId in walkingDistances) return;
+    const place = places.find((p) => p.place_id === walkTimesPlaceId);
+    const nearby = chargers.filter((c) => c.location && isNearPlace(c, walkTimesPlaceId));
+    if (!place || nearby.length === 0) return;
+
+    const controller = new AbortController();
+    getMultipleDistances(
+      placeLocation(place),
+      nearby.map((c) => c.location),
+      { units: unitsRef.current, travelMode: 'walking', signal: controller.signal }
+    )
+      .then((results) => {
+        const byCharger = Object.fromEntries(nearby.map((c, index) => [chargerKey(c), results[index]]));
+        setWalkingDistances((prev) => ({ ...prev, [walkTimesPlaceId]: byCharger }));
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.warn('[MapView] Walking distances failed, using estimates:', err);
+        setWalkingDistances((prev) => ({ ...prev, [walkTimesPlaceId]: {} }));
+      });
+    return () => controller.abort();
+  }, [walkTimesPlaceId, walkingDistances, places, chargers]);
+
+  // The walk shown for a selected charger: to the selected place when the charger is near
+  // it, otherwise to the charger's nearest place
+  const walkPlaceId =
+    selectedCharger && selectedPlace && isNearPlace(selectedCharger, selectedPlace.place_id)
+      ? selectedPlace.place_id
+      : selectedCharger?.placeId;
+  const walkPlace = walkPlaceId ? places.find((p) => p.place_id === walkPlaceId) : null;
+  const walkKey = selectedCharger?.location && walkPlace ? `${chargerKey(selectedCharger)}|${walkPlaceId}` : null;
+  const walkFromLat = selectedCharger?.location?.lat;
+  const walkFromLng = selectedCharger?.location?.lng;
+  const walkToLat = walkPlace?.geometry.location.lat;
+  const walkToLng = walkPlace?.geometry.location.lng;
+
+  useEffect(() => {
+    if (!walkKey) return;
+    const controller = new AbortController();
+    getWalkingRoute(
+      { lat: walkFromLat, lng: walkFromLng },
+      { lat: walkToLat, lng: walkToLng },
+      { signal: controller.signal }
+    )
+      .then((result) => setWalkingRoute({ key: walkKey, ...result }))
+      .catch((err) => {
+        if (!isAbortError(err)) console.warn('[MapView] Walking route failed:', err);
+      });
+    return () => controller.abort();
+  }, [walkKey, walkFromLat, walkFromLng, walkToLat, walkToLng]);
+
+  // Only the route for the current selection is shown
+  const selectedWalkingRoute = walkKey && walkingRoute?.key === walkKey ? walkingRoute : null;
+
+  const handleChargePlanChange = (key, value) => {
+    setChargePlan((plan) => ({ ...plan, [key]: value }));
+  };
+
+  // selectedPlace is a snapshot from when it was clicked; read live exclusion counts from places
+  const selectedPlaceExclusions = useMemo(() => {
+    if (!selectedPlace) return [];
+    const current = places.find((p) => p.place_id === selectedPlace.place_id);
+    return describeExclusions(current?.exclusions);
+  }, [places, selectedPlace]);
 
-  const getMarkerIcon = (type) => {
-    if (!window.google || !window.google.maps) {
-      return undefined; // Use default marker if API not loaded
+  // Restore the place/charger selection from the URL once results include it
+  useEffect(() => {
+    const pending = pendingSelection.current;
+    if (!pending || places.length === 0) return;
+
+    const place = pending.placeId ? places.find((p) => p.place_id === pending.placeId) : null;
+    const charger = pending.chargerId
+      ? filteredChargers.find(
+          (c) => String(c.id) === pending.chargerId && (!place || isNearPlace(c, place.place_id))
+        )
+      : null;
+    // Wait for chargers to arrive before giving up on a charger selection
+    if (pending.chargerId && !charger && filteredChargers.length === 0) return;
+
+    pendingSelection.current = null;
+    if (place) {
+      setSelectedPlace(place);
+      setChargerPanelOpen(true);
     }
-    
-    // Custom pin path (teardrop shape - standard Google Maps pin)
-    // Path creates a pin with rounded top and pointed bottom
-    const pinPath = 'M 12,2 C 8.13,2 5,5.13 5,9 c 0,5.25 7,13 7,13 0,0 7,-7.75 7,-13 0,-3.87 -3.13,-7 -7,-7 z m 0,9.5 c -1.38,0 -2.5,-1.12 -2.5,-2.5 0,-1.38 1.12,-2.5 2.5,-2.5 1.38,0 2.5,1.12 2.5,2.5 0,1.38 -1.12,2.5 -2.5,2.5 z';
-    
-     if (type === 'place') {
-       // Location pin for places (groceries, etc.) - purple pin
-       return {
-         path: pinPath,
-         fillColor: '#9d50bb', // Neon Purple
-         fillOpacity: 1,
-         strokeColor: '#fff',
-         strokeWeight: 2.4, // Slightly thicker stroke for larger pin
-         scale: 1.2,
-         anchor: new window.google.maps.Point(12, 20), // Anchor at bottom point of pin
-       };
-     } else if (type === 'charger') {
-       // Charging pin for chargers - darker green pin
-       return {
-         path: pinPath,
-         fillColor: '#00cc7a', // Darker, less bright green (was #00ff9f)
-         fillOpacity: 1,
-         strokeColor: '#fff',
-         strokeWeight: 2.4, // Slightly thicker stroke for larger pin
-         scale: 1.2,
-         anchor: new window.google.maps.Point(12, 20), // Anchor at bottom point of pin
-       };
-    } else {
-      // User location - keep as circle
-      return {
-        path: window.google.maps.SymbolPath.CIRCLE,
-        scale: 8,
-        fillColor: '#00d2ff', // Neon Blue
-        fillOpacity: 1,
-        strokeColor: '#fff',
-        strokeWeight: 2,
-      };
+    if (charger) {
+      setSelectedCharger(charger);
     }
-  };
+  }, [places, filteredChargers]);
+
+  // Keep the URL in sync so the current search can be refreshed or shared
+  useEffect(() => {
+    if (!searchQuery) return;
+    const pending = pendingSelection.current;
+    const url = buildSearchUrl({
+      searchData,
+      center: searchCenter || searchData?.center,
+      filters,
+      selection: pending || {
+        placeId: selectedPlace?.place_id,
+        chargerId: selectedCharger?.id,
+      },
+    });
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }, [searchQuery, searchData, searchCenter, filters, selectedPlace, selectedCharger]);
+
+  // Markers only for what's in view (plus a margin). Chargers that would overlap at the
+  // current zoom share a cluster marker showing how many there are.
+  const placeMarkers = useMemo(
+    () => planMarkers(places, { getKey: (place) => place.place_id, getPosition: placeLocation, viewport, cluster: false }),
+    [places, viewport]
+  );
+  const chargerMarkers = useMemo(
+    () => planMarkers(filteredChargers, { getKey: chargerKey, viewport }),
+    [filteredChargers, viewport]
+  );
 
   // Use AdvancedMarkerElement instead of deprecated google.maps.Marker when available.
+  // Markers persist between renders: each update only adds, moves or removes what changed.
   useEffect(() => {
     if (!isMapsLoaded || !mapRef.current || !window.google || !window.google.maps) return;
 
     let cancelled = false;
 
     const ensureMarkerLibrary = async () => {
+      if (markerMode === 'legacy') return null;
       try {
-        const lib = await window.google.maps.importLibrary('marker');
-        if (cancelled) return null;
-        return lib;
+        return await window.google.maps.importLibrary('marker');
       } catch (e) {
         console.warn('[MapView] Advanced markers not available, falling back to legacy markers:', e);
         if (!cancelled) setMarkerMode('legacy');
@@ -542,23 +1148,15 @@ const MapView = ({ searchData, onBack }) => {
       }
     };
 
-    const updateAdvancedMarkers = async () => {
+    const updateMarkers = async () => {
       const markerLib = await ensureMarkerLibrary();
-      if (cancelled || !markerLib) return;
+      // Without the library, wait for the re-run in legacy mode
+      if (cancelled || (!markerLib && markerMode !== 'legacy')) return;
 
-      const { AdvancedMarkerElement, PinElement } = markerLib;
       const mapInstance = mapRef.current;
       const store = markersRef.current;
 
-      if (markerMode !== 'advanced') setMarkerMode('advanced');
-
-      const setMarkerMapNull = (m) => {
-        try {
-          m.map = null;
-        } catch (e) {
-          // ignore
-        }
-      };
+      if (markerLib && markerMode !== 'advanced') setMarkerMode('advanced');
 
       const makeUserContent = () => {
         const el = document.createElement('div');
@@ -571,7 +1169,19 @@ const MapView = ({ searchData, onBack }) => {
         return el;
       };
 
-      const makePin = (type) => {
+      const makeClusterContent = (count) => {
+        const el = document.createElement('div');
+        el.className = 'marker-cluster';
+        updateClusterContent(el, count);
+        return el;
+      };
+
+      const updateClusterContent = (el, count) => {
+        el.textContent = String(count);
+        el.dataset.size = count >= 100 ? 'large' : count >= 10 ? 'medium' : 'small';
+      };
+
+      const makePin = (type, style) => {
         const createLightningGlyph = () => {
           // Inline version of `lightning-charge-fill-svgrepo-com.svg` with white fill.
           const svgNS = 'http://www.w3.org/2000/svg';
@@ -592,171 +1202,357 @@ const MapView = ({ searchData, onBack }) => {
         };
 
         if (type === 'place') {
-          return new PinElement({
+          return new markerLib.PinElement({
             background: '#9d50bb',
             borderColor: '#ffffff',
             glyphColor: '#ffffff',
             scale: 1.1,
           });
         }
-        // charger
-        return new PinElement({
-          background: '#00cc7a',
-          borderColor: '#ffffff',
-          glyph: createLightningGlyph(),
-          scale: 1.1,
+        // charger: colored and sized by speed, outlined when free, a cross when out of service
+        const pin = new markerLib.PinElement({
+          background: style.background,
+          borderColor: style.borderColor,
+          glyph: style.glyph === 'offline' ? '✕' : createLightningGlyph(),
+          glyphColor: '#ffffff',
+          scale: 1.1 * style.scale,
         });
+        pin.element.style.opacity = String(style.opacity);
+        return pin;
       };
 
-      // User marker
-      if (currentLocation) {
-        if (!store.user) {
-          store.user = new AdvancedMarkerElement({
+      const makeContent = (type, count, style) => {
+        if (type === 'user') return makeUserContent();
+        if (type === 'cluster') return makeClusterContent(count);
+        return makePin(type, style).element;
+      };
+
+      // Advanced and legacy markers have different APIs; these cover both
+      const createMarker = ({ type, position, title, count, style }) => {
+        if (markerLib) {
+          return new markerLib.AdvancedMarkerElement({
             map: mapInstance,
-            position: currentLocation,
-            title: 'Your Location',
-            content: makeUserContent(),
+            position,
+            title,
+            content: makeContent(type, count, style),
+            zIndex: type === 'cluster' ? 1 : undefined,
+            // Focusable and keyboard-operable (Tab to the map, then arrow keys between markers)
+            gmpClickable: type !== 'user',
           });
-        } else {
-          store.user.position = currentLocation;
-          store.user.map = mapInstance;
         }
-      } else if (store.user) {
-        setMarkerMapNull(store.user);
-        store.user = null;
-      }
+        return new window.google.maps.Marker({
+          map: mapInstance,
+          position,
+          title,
+          icon: getMarkerIcon(type, { count, style }),
+          label: type === 'cluster' ? clusterLabel(count) : type === 'charger' ? chargerLabel(style) : undefined,
+          zIndex: type === 'cluster' ? 1 : undefined,
+        });
+      };
 
-      // Place markers
-      const nextPlaceIds = new Set(places.map((p) => p.place_id));
-      for (const [id, marker] of store.places.entries()) {
-        if (!nextPlaceIds.has(id)) {
-          setMarkerMapNull(marker);
-          store.places.delete(id);
+      const updateMarker = (marker, { type, position, title, count, style }) => {
+        // A charger whose status, speed or price changed needs a new pin
+        const restyle = style && marker.__styleKey !== style.key;
+        if (markerLib) {
+          marker.position = position;
+          marker.title = title;
+          if (type === 'cluster') updateClusterContent(marker.content, count);
+          if (restyle) marker.content = makeContent(type, count, style);
+          marker.map = mapInstance;
+          return;
         }
-      }
-      for (const place of places) {
-        const id = place.place_id;
-        const pos = {
-          lat: place.geometry.location.lat,
-          lng: place.geometry.location.lng,
-        };
+        marker.setPosition(position);
+        marker.setTitle(title);
+        if (type === 'cluster') {
+          marker.setIcon(getMarkerIcon(type, { count }));
+          marker.setLabel(clusterLabel(count));
+        }
+        if (restyle) {
+          marker.setIcon(getMarkerIcon(type, { style }));
+          marker.setLabel(chargerLabel(style));
+        }
+        marker.setMap(mapInstance);
+      };
 
-        let marker = store.places.get(id);
-        if (!marker) {
-          const pin = makePin('place');
-          marker = new AdvancedMarkerElement({
-            map: mapInstance,
-            position: pos,
-            title: place.name,
-            content: pin.element,
-          });
-          marker.__data = place;
-          marker.addListener('click', () => {
-            setSelectedPlace(marker.__data);
-            setSelectedCharger(null);
-            setChargerPanelOpen(true);
-          });
-          store.places.set(id, marker);
+      // Bring a store of markers in line with the planned entries ({key, position, items})
+      const syncMarkers = (markers, entries, describe, onClick) => {
+        const nextKeys = new Set(entries.map((entry) => entry.key));
+        for (const [key, marker] of markers.entries()) {
+          if (!nextKeys.has(key)) {
+            removeMapMarker(marker);
+            markers.delete(key);
+          }
+        }
+        entries.forEach((entry) => {
+          const options = { position: entry.position, ...describe(entry) };
+          let marker = markers.get(entry.key);
+          if (!marker) {
+            marker = createMarker(options);
+            marker.addListener('click', () => onClick(marker.__data));
+            markers.set(entry.key, marker);
+          } else {
+            updateMarker(marker, options);
+          }
+          marker.__data = entry;
+          marker.__styleKey = options.style?.key;
+        });
+      };
+
+      // User marker
+      if (currentLocation) {
+        const options = { type: 'user', position: currentLocation, title: 'Your Location' };
+        if (!store.user) {
+          store.user = createMarker(options);
         } else {
-          marker.__data = place;
-          marker.position = pos;
-          marker.title = place.name;
-          marker.map = mapInstance;
+          updateMarker(store.user, options);
         }
+      } else if (store.user) {
+        removeMapMarker(store.user);
+        store.user = null;
       }
 
-      // Charger markers
-      const chargerKey = (c) => `${c.id}:${c.location?.lat},${c.location?.lng}`;
-      const nextChargerKeys = new Set(filteredChargers.map(chargerKey));
-      for (const [key, marker] of store.chargers.entries()) {
-        if (!nextChargerKeys.has(key)) {
-          setMarkerMapNull(marker);
-          store.chargers.delete(key);
+      syncMarkers(
+        store.places,
+        placeMarkers,
+        ({ items: [place] }) => ({ type: 'place', title: place.name }),
+        ({ items: [place] }) => {
+          setSelectedPlace(place);
+          setSelectedCharger(null);
+          setChargerPanelOpen(true);
+          // Keep the list in step with the map
+          focusListItem(placeCardId(place.place_id));
         }
-      }
-      for (const charger of filteredChargers) {
-        const key = chargerKey(charger);
-        let marker = store.chargers.get(key);
-        if (!marker) {
-          const pin = makePin('charger');
-          marker = new AdvancedMarkerElement({
-            map: mapInstance,
-            position: charger.location,
-            title: charger.name,
-            content: pin.element,
-          });
-          marker.__data = charger;
-          marker.addListener('click', () => {
-            setSelectedCharger(marker.__data);
-            setSelectedPlace(null);
-          });
-          store.chargers.set(key, marker);
-        } else {
-          marker.__data = charger;
-          marker.position = charger.location;
-          marker.title = charger.name;
-          marker.map = mapInstance;
+      );
+
+      syncMarkers(
+        store.chargers,
+        chargerMarkers,
+        ({ items }) =>
+          items.length > 1
+            ? { type: 'cluster', title: `${items.length} chargers, select to zoom in`, count: items.length }
+            : {
+                type: 'charger',
+                title: `${items[0].name} (${describeChargerPin(items[0])})`,
+                style: getChargerPinStyle(items[0]),
+              },
+        (entry) => {
+          if (entry.items.length > 1) {
+            // Zoom in until the cluster splits up
+            const bounds = new window.google.maps.LatLngBounds();
+            entry.items.forEach((charger) => bounds.extend(charger.location));
+            mapRef.current?.fitBounds(bounds, 80);
+            return;
+          }
+          setSelectedCharger(entry.items[0]);
+          setSelectedPlace(null);
         }
-      }
+      );
     };
 
-    updateAdvancedMarkers();
+    updateMarkers();
 
     return () => {
       cancelled = true;
-      // Clean up all markers when the map view unmounts
-      const store = markersRef.current;
-      if (store.user) {
-        try {
-          store.user.map = null;
-        } catch (e) {
-          // ignore
-        }
-        store.user = null;
-      }
-      for (const m of store.places.values()) {
-        try {
-          m.map = null;
-        } catch (e) {
-          // ignore
-        }
-      }
-      for (const m of store.chargers.values()) {
-        try {
-          m.map = null;
-        } catch (e) {
-          // ignore
-        }
-      }
+    };
+  }, [map, currentLocation, placeMarkers, chargerMarkers, markerMode, isMapsLoaded]);
+
+  // Highlight the marker of the focused list item: a charger in a cluster highlights the cluster
+  useEffect(() => {
+    if (!focusedItem) return undefined;
+    const store = markersRef.current;
+    const marker =
+      focusedItem.type === 'place'
+        ? store.places.get(focusedItem.key)
+        : [...store.chargers.values()].find((m) => m.__data?.items.some((c) => chargerKey(c) === focusedItem.key));
+    if (!marker) return undefined;
+    setMarkerHighlight(marker, true);
+    return () => setMarkerHighlight(marker, false);
+  }, [focusedItem, placeMarkers, chargerMarkers, markerMode]);
+
+  // Remove every marker when the map view unmounts
+  useEffect(() => {
+    const store = markersRef.current;
+    return () => {
+      if (store.user) removeMapMarker(store.user);
+      store.user = null;
+      store.places.forEach(removeMapMarker);
+      store.chargers.forEach(removeMapMarker);
       store.places.clear();
       store.chargers.clear();
     };
-  }, [map, currentLocation, places, filteredChargers, markerMode, isMapsLoaded]);
+  }, []);
+
+  // Location card for the sidebar; route searches show where the place is along the route
+  const failedChargerPlaces = places.filter((place) => place.chargerStatus === 'failed').length;
+  const travelModeInfo = getTravelMode(travelMode);
+
+  // One card at a time is in the tab order: the selected place's, or the first
+  const focusablePlaceId = places.some((place) => place.place_id === selectedPlace?.place_id)
+    ? selectedPlace.place_id
+    : listedPlaces[0]?.place_id;
+
+  // The list view doesn't need travel distances: without them it shows straight-line ones
+  const placeTravel = (place) => {
+    if (distances[place.place_id] || !listView) return formatTravel(distances[place.place_id], units);
+    const straightLine = placeDistance(place, null, searchCenter);
+    return straightLine && formatTravel({ distanceValue: straightLine.km * 1000, approximate: true }, units);
+  };
+
+  // What the list view shows next to the charger count
+  const describePlaceChargers = (place) => {
+    if (!listView || place.chargerStatus === 'loading' || place.chargerStatus === 'failed') return null;
+    const { maxPower, freeCount } = summarizePlaceChargers(place, filteredChargers);
+    return [maxPower > 0 && `up to ${maxPower}kW`, freeCount > 0 && `${freeCount} free`].filter(Boolean).join(' • ');
+  };
+
+  const renderLocationCard = (place) => (
+    <LocationCard
+      key={place.place_id}
+      id={placeCardId(place.place_id)}
+      location={place}
+      isSelected={place.place_id === selectedPlace?.place_id}
+      isFocusable={place.place_id === focusablePlaceId}
+      onFocus={() => setFocusedItem({ type: 'place', key: place.place_id })}
+      distance={isRouteSearch ? formatRoutePosition(place, units) : placeTravel(place)}
+      chargerDetails={describePlaceChargers(place)}
+      distanceStatus={isRouteSearch ? null : distanceStatus}
+      onSelect={(loc) => {
+        setSelectedPlace(loc);
+        setSelectedCharger(null);
+        setChargerPanelOpen(true);
+        setTripPlannerOpen(false);
+        if (mapRef.current) {
+          const position = {
+            lat: loc.geometry.location.lat,
+            lng: loc.geometry.location.lng,
+          };
+          mapRef.current.panTo(position);
+          mapRef.current.setZoom(15);
+        }
+      }}
+    />
+  );
+
+  // Focus leaving a list stops highlighting its item's marker
+  const handleListBlur = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setFocusedItem(null);
+  };
+
+  const selectCharger = (charger) => {
+    setSelectedCharger(charger);
+    if (mapRef.current && charger.location) {
+      mapRef.current.panTo(charger.location);
+      mapRef.current.setZoom(15);
+    }
+  };
+
+  const selectedChargerKey = selectedCharger ? chargerKey(selectedCharger) : null;
+  const focusableChargerKey = chargersForSelectedPlace.some((c) => chargerKey(c) === selectedChargerKey)
+    ? selectedChargerKey
+    : chargersForSelectedPlace[0] && chargerKey(chargersForSelectedPlace[0]);
+
+  // Closing a details window or the chargers panel from the keyboard puts focus back on the
+  // list item it belongs to
+  const closePlaceDetails = () => {
+    const placeId = selectedPlace?.place_id;
+    setSelectedPlace(null);
+    if (placeId) focusListItem(placeCardId(placeId));
+  };
+  const closeChargerDetails = () => {
+    const charger = selectedCharger;
+    setSelectedCharger(null);
+    if (charger) focusListItem(chargerCardId(charger));
+  };
+  const closeOnEscape = (close) => (event) => {
+    if (event.key !== 'Escape') return;
+    event.stopPropagation();
+    close();
+  };
+
+  // Read out by screen readers as results load (errors use role="alert" instead)
+  const resultsAnnouncement = error
+    ? ''
+    : isLoading
+      ? places.length > 0
+        ? distanceStatus === 'loading'
+          ? `Loading ${travelModeInfo.noun} times…`
+          : 'Finding chargers…'
+        : `Searching for ${searchQuery}…`
+      : searchQuery
+        ? `${places.length} location${places.length === 1 ? '' : 's'} found.${
+            failedChargerPlaces > 0
+              ? ` Chargers couldn't be loaded for ${failedChargerPlaces} place${failedChargerPlaces === 1 ? '' : 's'}.`
+              : ''
+          }`
+        : '';
+  const chargersAnnouncement =
+    selectedPlace && chargerPanelOpen && !tripPlannerOpen
+      ? `${chargersForSelectedPlace.length} charger${chargersForSelectedPlace.length === 1 ? '' : 's'} near ${
+          selectedPlace.name || selectedPlace.formatted_address
+        }.`
+      : '';
 
   return (
     <div className="map-view-container">
+        <div className="visually-hidden" role="status" aria-live="polite">
+          <span>{resultsAnnouncement}</span> <span>{chargersAnnouncement}</span>
+        </div>
         <div className="map-header">
           <button className="back-button" onClick={onBack}>
             ← Back
           </button>
-          <h2 className="map-title">{searchData?.query || searchQuery}</h2>
+          <h2 className="map-title">
+            {searchData?.query || searchQuery}
+            {isRouteSearch && <span className="map-title-route"> on the way to {routeDestination}</span>}
+          </h2>
           <div className="map-header-actions">
             <button
               className="search-again-button"
               onClick={handleSearchAgain}
-              disabled={isLoading || !isMapsLoaded}
+              disabled={!isOnline || (!isMapsLoaded && !mapUnavailable)}
             >
               Search Again
             </button>
+            <button
+              className="filter-toggle"
+              disabled={isLoading || places.length === 0 || isAreaSaved || saveStatus === 'saving'}
+              onClick={handleSaveArea}
+              title="Keep these places and chargers on this device for offline use"
+            >
+              {isAreaSaved ? 'Area Saved' : saveStatus === 'error' ? 'Save Failed, Retry' : 'Save Area'}
+            </button>
+            {isRouteSearch && (
+              <button
+                className="filter-toggle"
+                disabled={!route}
+                onClick={() => {
+                  setTripPlannerOpen((open) => !open);
+                  setChargerPanelOpen(false);
+                }}
+              >
+                Charging Stops
+              </button>
+            )}
             <button
               className="filter-toggle"
               disabled={!selectedPlace}
-              onClick={() => setChargerPanelOpen((open) => !open)}
+              aria-expanded={!!selectedPlace && chargerPanelOpen && !tripPlannerOpen}
+              onClick={() => {
+                setChargerPanelOpen((open) => !open);
+                setTripPlannerOpen(false);
+              }}
             >
               Chargers {selectedPlace ? `(${chargersForSelectedPlace.length})` : ''}
             </button>
+            {isMobile && !mapUnavailable && (
+              <button className="filter-toggle" onClick={() => setResultsView(listView ? 'map' : 'list')}>
+                {listView ? 'Show Map' : 'Show List'}
+              </button>
+            )}
             <button
               className="filter-toggle"
+              aria-expanded={filterPanelOpen}
+              aria-controls="filter-panel"
               onClick={() => setFilterPanelOpen(!filterPanelOpen)}
             >
               Options
@@ -764,19 +1560,20 @@ const MapView = ({ searchData, onBack }) => {
           </div>
         </div>
 
-        {!error && (!isMapsLoaded || isLoading) && (
+        {/* Results stream into the sidebar, so this only covers loading the map itself */}
+        {!error && !isMapsLoaded && !mapUnavailable && (
           <div className="loading-overlay">
             <div className="loading-spinner">
               <div>Loading...</div>
               <div style={{ fontSize: '0.9rem', marginTop: '0.5rem', opacity: 0.8 }}>
-                Finding charging stations near you
+                {isRouteSearch ? 'Finding charging stations along your route' : 'Finding charging stations near you'}
               </div>
             </div>
           </div>
         )}
 
         {error && (
-          <div className="error-message">
+          <div className="error-message" role="alert">
             <h3>Error</h3>
             <p>{error}</p>
             <div className="error-actions">
@@ -796,155 +1593,203 @@ const MapView = ({ searchData, onBack }) => {
           </div>
         )}
 
-        {!error && isMapsLoaded && (
+        {!error && (isMapsLoaded || mapUnavailable) && (
           <>
-            <GoogleMap
-              mapContainerStyle={mapContainerStyle}
-              center={currentLocation || defaultCenter}
-              zoom={12}
-              onLoad={onMapLoad}
-              options={{
-                mapId: GOOGLE_MAPS_MAP_ID, // Custom Map ID from Google Cloud Console
-                disableDefaultUI: false,
-                zoomControl: true,
-                streetViewControl: false,
-                mapTypeControl: false,
-                fullscreenControl: true,
-                colorScheme: 'dark',
-              }}
-            >
-              {/* Markers are rendered imperatively via AdvancedMarkerElement (see effect above). */}
-
-              {/* Place info window */}
-              {selectedPlace && (
-                <InfoWindow
-                  position={{
-                    lat: selectedPlace.geometry.location.lat,
-                    lng: selectedPlace.geometry.location.lng,
+            {/* Kept mounted while the list is shown, so switching back is instant */}
+            {!mapUnavailable && (
+              <div className="map-canvas" hidden={listView}>
+                <GoogleMap
+                  mapContainerStyle={mapContainerStyle}
+                  center={currentLocation || defaultCenter}
+                  zoom={12}
+                  onLoad={onMapLoad}
+                  onIdle={handleMapIdle}
+                  options={{
+                    mapId: GOOGLE_MAPS_MAP_ID, // Custom Map ID from Google Cloud Console
+                    disableDefaultUI: false,
+                    zoomControl: true,
+                    streetViewControl: false,
+                    mapTypeControl: false,
+                    fullscreenControl: true,
+                    colorScheme: 'dark',
                   }}
-                  options={window.google?.maps ? {
-                    pixelOffset: new window.google.maps.Size(0, -40), // Offset upward by 40px to show pin
-                  } : undefined}
-                  onCloseClick={() => setSelectedPlace(null)}
                 >
-                  <div className="info-window">
-                    <div className="info-window-header">
-                      <h3 className="info-window-title">{selectedPlace.name}</h3>
-                      <button
-                        type="button"
-                        className="info-window-close"
-                        aria-label="Close"
-                        onClick={() => setSelectedPlace(null)}
-                      >
-                        ×
-                      </button>
-                    </div>
-                    {selectedPlace.vicinity && <p>{selectedPlace.vicinity}</p>}
-                    {distances[selectedPlace.place_id] && (
-                      <p>
-                        <strong>Distance:</strong>{' '}
-                        {distances[selectedPlace.place_id].distance} (
-                        {distances[selectedPlace.place_id].duration})
-                      </p>
-                    )}
-                    {selectedPlace.chargerCount !== undefined && (
-                      <p>
-                        <strong>Nearby Chargers:</strong> {selectedPlace.chargerCount}
-                      </p>
-                    )}
-                  </div>
-                </InfoWindow>
-              )}
-
-              {/* Charger info window */}
-              {selectedCharger && (
-                <InfoWindow
-                  position={selectedCharger.location}
-                  options={window.google?.maps ? {
-                    pixelOffset: new window.google.maps.Size(0, -40), // Offset upward by 40px to show pin
-                  } : undefined}
-                  onCloseClick={() => setSelectedCharger(null)}
-                >
-                  <div className="info-window">
-                    <div className="info-window-header">
-                      <h3 className="info-window-title">{selectedCharger.name}</h3>
-                      <button
-                        type="button"
-                        className="info-window-close"
-                        aria-label="Close"
-                        onClick={() => setSelectedCharger(null)}
-                      >
-                        ×
-                      </button>
-                    </div>
-                    {selectedCharger.address && (
-                      <a
-                        className="info-window-address"
-                        href={`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
-                          selectedCharger.address ||
-                            `${selectedCharger.location?.lat},${selectedCharger.location?.lng}`
-                        )}`}
-                        target="_blank"
-                        rel="noreferrer"
-                      >
-                        {selectedCharger.address}
-                      </a>
-                    )}
-                    <p>
-                      <strong>Status:</strong> {selectedCharger.status?.title || 'Unknown'}
-                    </p>
-                    <p>
-                      <strong>Access:</strong> {selectedCharger.access?.title || 'Unknown'}
-                    </p>
-                    {selectedCharger.operator && (
-                      <p>
-                        <strong>Network/Operator:</strong> {selectedCharger.operator}
-                      </p>
-                    )}
-                    <p>
-                      <strong>Cost:</strong> {selectedCharger.cost || 'Unknown'}
-                    </p>
-                    <p>
-                      <strong>Power:</strong> {selectedCharger.speed}
-                    </p>
-                    {selectedCharger.distanceFromPlace !== undefined && (
-                      <p>
-                        <strong>Walking Time:</strong> {calculateWalkingTime(selectedCharger.distanceFromPlace)}
-                      </p>
-                    )}
-                    {selectedCharger.numberOfPoints && (
-                      <p>
-                        <strong>Number of Stations:</strong> {selectedCharger.numberOfPoints}
-                      </p>
-                    )}
-                    {selectedCharger.maxPower > 0 && (
-                      <p>
-                        <strong>Max Power:</strong> {selectedCharger.maxPower}kW
-                        {selectedCharger.hasMultiplePowerLevels && selectedCharger.minPower && (
-                          <span> (Range: {selectedCharger.minPower}-{selectedCharger.maxPower}kW)</span>
+                  {route?.path?.length > 1 && (
+                    <Polyline
+                      path={route.path}
+                      options={{ strokeColor: '#9d50bb', strokeOpacity: 0.85, strokeWeight: 5, clickable: false }}
+                    />
+                  )}
+                  {selectedWalkingRoute?.path?.length > 1 && (
+                    <Polyline path={selectedWalkingRoute.path} options={WALKING_LINE_OPTIONS} />
+                  )}
+                  {/* Markers are rendered imperatively via AdvancedMarkerElement (see effect above). */}
+
+                  {/* Place info window */}
+                  {selectedPlace && (
+                    <InfoWindow
+                      position={{
+                        lat: selectedPlace.geometry.location.lat,
+                        lng: selectedPlace.geometry.location.lng,
+                      }}
+                      options={window.google?.maps ? {
+                        pixelOffset: new window.google.maps.Size(0, -40), // Offset upward by 40px to show pin
+                      } : undefined}
+                      onCloseClick={() => setSelectedPlace(null)}
+                    >
+                      <div className="info-window" onKeyDown={closeOnEscape(closePlaceDetails)}>
+                        <div className="info-window-header">
+                          <h3 className="info-window-title">{selectedPlace.name}</h3>
+                          <button
+                            type="button"
+                            className="info-window-close"
+                            aria-label={`Close details for ${selectedPlace.name}`}
+                            onClick={closePlaceDetails}
+                          >
+                            ×
+                          </button>
+                        </div>
+                        {selectedPlace.vicinity && <p>{selectedPlace.vicinity}</p>}
+                        {distances[selectedPlace.place_id] && (
+                          <p>
+                            <strong>Distance:</strong>{' '}
+                            {formatTravel(distances[selectedPlace.place_id], units)}
+                          </p>
                         )}
-                      </p>
-                    )}
-                    {selectedCharger.connectors?.length > 0 && (
-                      <p>
-                        <strong>Connectors:</strong>{' '}
-                        {selectedCharger.connectors.map((c) => c.type).filter(Boolean).join(', ')}
-                      </p>
-                    )}
-                    <p>
-                      <strong>Live status:</strong>{' '}
-                      {selectedCharger.availability?.hasLiveStatus ? 'Provided' : 'Not available'}
-                    </p>
-                  </div>
-                </InfoWindow>
-              )}
-            </GoogleMap>
+                        {selectedPlace.chargerCount !== undefined && (
+                          <p>
+                            <strong>Nearby Chargers:</strong> {selectedPlace.chargerCount}
+                          </p>
+                        )}
+                      </div>
+                    </InfoWindow>
+                  )}
+
+                  {/* Charger info window */}
+                  {selectedCharger && (
+                    <InfoWindow
+                      position={selectedCharger.location}
+                      options={window.google?.maps ? {
+                        pixelOffset: new window.google.maps.Size(0, -40), // Offset upward by 40px to show pin
+                      } : undefined}
+                      onCloseClick={() => setSelectedCharger(null)}
+                    >
+                      <div className="info-window" onKeyDown={closeOnEscape(closeChargerDetails)}>
+                        <div className="info-window-header">
+                          <h3 className="info-window-title">{selectedCharger.name}</h3>
+                          <button
+                            type="button"
+                            className="info-window-close"
+                            aria-label={`Close details for ${selectedCharger.name}`}
+                            onClick={closeChargerDetails}
+                          >
+                            ×
+                          </button>
+                        </div>
+                        {selectedCharger.address && (
+                          <a
+                            className="info-window-address"
+                            href={`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
+                              selectedCharger.address ||
+                                `${selectedCharger.location?.lat},${selectedCharger.location?.lng}`
+                            )}`}
+                            target="_blank"
+                            rel="noreferrer"
+                          >
+                            {selectedCharger.address}
+                          </a>
+                        )}
+                        <p>
+                          <strong>Status:</strong> {selectedCharger.status?.title || 'Unknown'}
+                        </p>
+                        <p>
+                          <strong>Access:</strong> {selectedCharger.access?.title || 'Unknown'}
+                        </p>
+                        {selectedCharger.operator && (
+                          <p>
+                            <strong>Network/Operator:</strong> {selectedCharger.operator}
+                          </p>
+                        )}
+                        <p>
+                          <strong>Cost:</strong> {selectedCharger.cost || 'Unknown'}
+                        </p>
+                        {describeTariff(selectedCharger.tariff) &&
+                          describeTariff(selectedCharger.tariff) !== selectedCharger.cost && (
+                            <p>
+                              <strong>Pricing:</strong> {describeTariff(selectedCharger.tariff)}
+                              {selectedCharger.tariff.confidence < 0.7 && ' (best guess)'}
+                            </p>
+                          )}
+                        <p>
+                          <strong>Power:</strong> {selectedCharger.speed}
+                        </p>
+                        {selectedCharger.distanceFromPlace !== undefined && (
+                          <p>
+                            <strong>Walking Time:</strong>{' '}
+                            {formatWalk(
+                              selectedCharger.distanceFromPlace,
+                              selectedWalkingRoute
+                                ? {
+                                    distanceValue: selectedWalkingRoute.distanceMeters,
+                                    durationValue: selectedWalkingRoute.durationSeconds,
+                                  }
+                                : walkingDistances[walkPlaceId]?.[chargerKey(selectedCharger)],
+                              units
+                            )}
+                          </p>
+                        )}
+                        {selectedCharger.numberOfPoints && (
+                          <p>
+                            <strong>Number of Stations:</strong> {selectedCharger.numberOfPoints}
+                          </p>
+                        )}
+                        {selectedCharger.maxPower > 0 && (
+                          <p>
+                            <strong>Max Power:</strong> {selectedCharger.maxPower}kW
+                            {selectedCharger.hasMultiplePowerLevels && selectedCharger.minPower && (
+                              <span> (Range: {selectedCharger.minPower}-{selectedCharger.maxPower}kW)</span>
+                            )}
+                          </p>
+                        )}
+                        {selectedCharger.compatibility && (
+                          <p>
+                            <strong>Effective Power:</strong> {describeCompatibility(selectedCharger.compatibility)}
+                          </p>
+                        )}
+                        {selectedCharger.connectors?.length > 0 && (
+                          <p>
+                            <strong>Connectors:</strong>{' '}
+                            {selectedCharger.connectors.map((c) => c.type).filter(Boolean).join(', ')}
+                          </p>
+                        )}
+                        <p>
+                          <strong>Live status:</strong>{' '}
+                          {selectedCharger.availability?.hasLiveStatus ? 'Provided' : 'Not available'}
+                        </p>
+                      </div>
+                    </InfoWindow>
+                  )}
+                </GoogleMap>
+                {showSearchAreaChip && (
+                  <button
+                    type="button"
+                    className="search-area-chip"
+                    onClick={handleSearchThisArea}
+                    disabled={!isOnline}
+                  >
+                    Search this area
+                  </button>
+                )}
+                <MapLegend isOpen={legendOpen} onToggle={() => setLegendOpen((open) => !open)} />
+              </div>
+            )}
 
-            {/* Location cards sidebar */}
-            {places.length > 0 && (
+            {/* Location cards sidebar (skeleton cards while the first results load), or the
+                whole view in list mode */}
+            {(listView || places.length > 0 || isLoading || noPlacesInArea) && (
               <>
                 {/* Minimized button (mobile only) */}
-                {isMobile && isLocationsSidebarMinimized && (
+                {isMobile && isLocationsSidebarMinimized && !listView && (
                   <button
                     className="locations-sidebar-minimized"
                     onClick={toggleLocationsSidebar}
@@ -971,11 +1816,17 @@ const MapView = ({ searchData, onBack }) => {
                 )}
 
                 {/* Full sidebar */}
-                {(!isMobile || !isLocationsSidebarMinimized) && (
-                  <div className={`locations-sidebar ${isMobile ? 'mobile-expanded' : ''}`}>
+                {(listView || !isMobile || !isLocationsSidebarMinimized) && (
+                  <div
+                    className={`locations-sidebar ${listView ? 'list-view' : isMobile ? 'mobile-expanded' : ''}`}
+                    role="region"
+                    aria-labelledby="locations-heading"
+                  >
                     <div className="locations-sidebar-header">
-                      <h3>Locations ({places.length})</h3>
-                      {isMobile && (
+                      <h3 id="locations-heading">
+                        {places.length > 0 || !isLoading ? `Locations (${places.length})` : 'Searching…'}
+                      </h3>
+                      {isMobile && !listView && (
                         <button
                           className="locations-sidebar-minimize"
                           onClick={toggleLocationsSidebar}
@@ -985,125 +1836,308 @@ const MapView = ({ searchData, onBack }) => {
                         </button>
                       )}
                     </div>
-                    <div className="locations-sidebar-content">
-                      {places.map((place) => (
-                        <LocationCard
-                          key={place.place_id}
-                          location={place}
-                          distance={
-                            distances[place.place_id]
-                              ? `${distances[place.place_id].distance} (${distances[place.place_id].duration})`
-                              : null
-                          }
-                          onSelect={(loc) => {
-                            setSelectedPlace(loc);
-                            setSelectedCharger(null);
-                            setChargerPanelOpen(true);
-                            if (mapRef.current) {
-                              const position = {
-                                lat: loc.geometry.location.lat,
-                                lng: loc.geometry.location.lng,
-                              };
-                              mapRef.current.panTo(position);
-                              mapRef.current.setZoom(15);
-                            }
-                          }}
-                        />
-                      ))}
+                    {mapUnavailable && (
+                      <p className="load-warning">
+                        {savedAreaId
+                          ? 'Map unavailable offline. Showing the places and chargers saved for this area.'
+                          : FIXTURE_MODE
+                            ? 'Map unavailable in offline fixture mode. Results are served from recorded fixtures.'
+                            : "The map couldn't load, so results are shown as a list. Distances marked ~ are straight-line."}
+                      </p>
+                    )}
+                    {sortListPlaces && (
+                      <label className="locations-sort">
+                        <span>Sort by</span>
+                        <select value={placeSort} onChange={(e) => setPlaceSort(e.target.value)}>
+                          {PLACE_SORT_OPTIONS.map((option) => (
+                            <option key={option.key} value={option.key}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                    {dataAsOf && (
+                      <p className="data-as-of" title="Some results were loaded from this device's cache">
+                        Data as of {formatDate(dataAsOf, { withTime: true })}
+                        {isRevalidating && ' • updating…'}
+                      </p>
+                    )}
+                    {isLoading && places.length > 0 && (
+                      <p className="load-status">
+                        {distanceStatus === 'loading' ? `Loading ${travelModeInfo.noun} times…` : 'Finding chargers…'}
+                      </p>
+                    )}
+                    {distanceStatus === 'failed' && (
+                      <p className="load-warning">
+                        {travelModeInfo.label} distances couldn't be loaded,{' '}
+                        {listView ? 'so distances are straight-line estimates (~).' : "so places aren't sorted by distance."}
+                      </p>
+                    )}
+                    {distanceStatus === 'approximate' && (
+                      <p className="load-warning">
+                        {Object.values(distances).every((result) => result?.approximate)
+                          ? `${travelModeInfo.label} times are unavailable right now, so distances are straight-line estimates.`
+                          : `Some ${travelModeInfo.noun} times are unavailable; those distances are straight-line estimates (~).`}
+                      </p>
+                    )}
+                    {failedChargerPlaces > 0 && (
+                      <p className="load-warning">
+                        {chargerIssue && `${chargerIssue} `}
+                        Chargers couldn't be loaded for {failedChargerPlaces} place{failedChargerPlaces !== 1 ? 's' : ''}.
+                        Search Again to retry.
+                      </p>
+                    )}
+                    {route && (
+                      <p className="route-summary">
+                        {formatDistance(route.distanceMeters / 1000, { units, decimals: 0 })} •{' '}
+                        {formatDuration(route.durationSeconds)} drive
+                      </p>
+                    )}
+                    {noPlacesInArea && !isLoading && (
+                      <p className="locations-empty">
+                        No locations found in this area. Zoom out or move the map, then search this area again.
+                      </p>
+                    )}
+                    <div
+                      className="locations-sidebar-content"
+                      role="listbox"
+                      aria-labelledby="locations-heading"
+                      aria-busy={isLoading}
+                      onKeyDown={handleListKeyDown}
+                      onBlur={handleListBlur}
+                    >
+                      {places.length === 0 &&
+                        !noPlacesInArea &&
+                        Array.from({ length: 4 }, (_, index) => <LocationCard key={index} />)}
+                      {isRouteSearch
+                        ? groupByRouteDistance(places, routeGroupKm(units)).map((group) => (
+                            <div
+                              className="route-group"
+                              key={group.startKm}
+                              role="group"
+                              aria-label={formatRouteStretch(group, units)}
+                            >
+                              <p className="route-group-label" aria-hidden="true">
+                                {formatRouteStretch(group, units)}
+                              </p>
+                              {group.items.map(renderLocationCard)}
+                            </div>
+                          ))
+                        : listedPlaces.map(renderLocationCard)}
                     </div>
                   </div>
                 )}
               </>
             )}
 
-            {selectedPlace && chargerPanelOpen && (
-              <div className="chargers-sidebar">
+            {tripPlannerOpen && route && (
+              <TripPlanner
+                route={route}
+                origin={searchCenter}
+                originLabel={searchData?.customLocation || 'My location'}
+                destinationLabel={routeDestination}
+                amenities={places}
+                amenityLabel={searchQuery}
+                vehicle={vehicle}
+                units={units}
+                onSelectStop={(charger) => {
+                  setSelectedCharger(charger);
+                  if (mapRef.current) {
+                    mapRef.current.panTo(charger.location);
+                    mapRef.current.setZoom(14);
+                  }
+                }}
+                onClose={() => setTripPlannerOpen(false)}
+              />
+            )}
+
+            {selectedPlace && chargerPanelOpen && !tripPlannerOpen && (
+              <div
+                className={`chargers-sidebar ${listView ? 'list-view' : ''}`}
+                role="region"
+                aria-labelledby="chargers-title"
+                onKeyDown={closeOnEscape(() => {
+                  setChargerPanelOpen(false);
+                  focusListItem(placeCardId(selectedPlace.place_id));
+                })}
+              >
                 <div className="chargers-header">
                   <div>
                     <p className="chargers-label">Chargers near</p>
-                    <h3 className="chargers-title">{selectedPlace.name || selectedPlace.formatted_address}</h3>
+                    <h3 className="chargers-title" id="chargers-title">
+                      {selectedPlace.name || selectedPlace.formatted_address}
+                    </h3>
                     <p className="chargers-subtitle">
                       {chargersForSelectedPlace.length} charger{chargersForSelectedPlace.length === 1 ? '' : 's'} nearby
                     </p>
+                    {selectedPlaceExclusions.length > 0 && (
+                      <ul className="chargers-hidden-summary">
+                        {selectedPlaceExclusions.map((message) => (
+                          <li key={message}>{message}</li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
-                  <button className="chargers-close" onClick={() => setChargerPanelOpen(false)}>
+                  <button
+                    className="chargers-close"
+                    aria-label="Close chargers"
+                    onClick={() => {
+                      setChargerPanelOpen(false);
+                      focusListItem(placeCardId(selectedPlace.place_id));
+                    }}
+                  >
                     ×
                   </button>
                 </div>
 
-                <div className="chargers-list">
-                  {chargersForSelectedPlace.length === 0 && (
-                    <p className="chargers-empty">No chargers within walking distance for this location.</p>
+                <div className="charge-plan">
+                  <label>
+                    <span>Battery now</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={chargePlan.currentSoc}
+                      onChange={(e) => handleChargePlanChange('currentSoc', e.target.value)}
+                    />
+                    <span>%</span>
+                  </label>
+                  <label>
+                    <span>Staying</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="5"
+                      value={chargePlan.dwellMinutes}
+                      onChange={(e) => handleChargePlanChange('dwellMinutes', e.target.value)}
+                    />
+                    <span>min</span>
+                  </label>
+                  <label>
+                    <span>Sort</span>
+                    <select value={chargerSort} onChange={(e) => setChargerSort(e.target.value)}>
+                      {CHARGE_SORT_OPTIONS.map((option) => (
+                        <option key={option.key} value={option.key}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {!vehicle?.batteryKwh && (
+                    <p className="charge-plan-note">Estimates assume a typical EV; add your vehicle in Options.</p>
                   )}
+                </div>
+
+                {chargersForSelectedPlace.length === 0 && (
+                  <p className="chargers-empty">
+                    {selectedPlaceExclusions.length > 0
+                      ? 'All chargers near this location are hidden by your filters.'
+                      : 'No chargers within walking distance for this location.'}
+                  </p>
+                )}
 
-                  {chargersForSelectedPlace.map((charger) => {
-                    const connectorNames = (charger.connectors || []).map((c) => c.type).filter(Boolean);
-                    const walking = charger.distanceFromPlace
-                      ? calculateWalkingTime(charger.distanceFromPlace)
-                      : null;
-                    return (
-                      <div
-                        key={`${charger.id}-${charger.location?.lat}-${charger.location?.lng}`}
-                        className="charger-card"
-                        onClick={() => {
-                          setSelectedCharger(charger);
-                          setSelectedPlace((prev) => prev);
-                          if (mapRef.current && charger.location) {
-                            mapRef.current.panTo(charger.location);
-                            mapRef.current.setZoom(15);
-                          }
-                        }}
-                      >
-                        <div className="charger-card-header">
-                          <div>
-                            <h4 className="charger-name">{charger.name}</h4>
-                            {walking && <span className="charger-distance">Walking: {walking}</span>}
+                {chargersForSelectedPlace.length > 0 && (
+                  <div
+                    className="chargers-list"
+                    role="listbox"
+                    aria-labelledby="chargers-title"
+                    onKeyDown={handleListKeyDown}
+                    onBlur={handleListBlur}
+                  >
+                    {chargersForSelectedPlace.map((charger) => {
+                      const connectorNames = (charger.connectors || []).map((c) => c.type).filter(Boolean);
+                      const walking = charger.distanceFromPlace
+                        ? formatWalk(charger.distanceFromPlace, charger.walk, units)
+                        : null;
+                      return (
+                        <div
+                          key={`${charger.id}-${charger.location?.lat}-${charger.location?.lng}`}
+                          id={chargerCardId(charger)}
+                          className={`charger-card ${chargerKey(charger) === selectedChargerKey ? 'selected' : ''}`}
+                          role="option"
+                          aria-selected={chargerKey(charger) === selectedChargerKey}
+                          tabIndex={chargerKey(charger) === focusableChargerKey ? 0 : -1}
+                          onClick={() => selectCharger(charger)}
+                          onFocus={() => setFocusedItem({ type: 'charger', key: chargerKey(charger) })}
+                          onKeyDown={(e) => {
+                            if (!isActivationKey(e)) return;
+                            e.preventDefault();
+                            selectCharger(charger);
+                          }}
+                        >
+                          <div className="charger-card-header">
+                            <div>
+                              <h4 className="charger-name">{charger.name}</h4>
+                              {walking && <span className="charger-distance">Walking: {walking}</span>}
+                            </div>
+                            <span className={`status-badge ${charger.status?.isOperational ? 'status-ok' : 'status-warn'}`}>
+                              {charger.status?.title || 'Status unknown'}
+                            </span>
                           </div>
-                          <span className={`status-badge ${charger.status?.isOperational ? 'status-ok' : 'status-warn'}`}>
-                            {charger.status?.title || 'Status unknown'}
-                          </span>
-                        </div>
-                        <div className="charger-meta-row">
-                          <span className="meta-chip">Access: {charger.access?.title || 'Unknown'}</span>
-                          <span className="meta-chip">Cost: {charger.cost || 'Unknown'}</span>
-                        </div>
-                        <div className="charger-meta-row">
-                          <span className="meta-chip">
-                            Power: {charger.speed || 'Unknown'}
-                            {charger.maxPower ? ` • ${charger.maxPower}kW` : ''}
-                          </span>
-                          {charger.numberOfPoints && (
-                            <span className="meta-chip">{charger.numberOfPoints} point{charger.numberOfPoints === 1 ? '' : 's'}</span>
+                          <div className="charger-meta-row">
+                            <span className="meta-chip">Access: {charger.access?.title || 'Unknown'}</span>
+                            <span className="meta-chip">Cost: {charger.cost || 'Unknown'}</span>
+                          </div>
+                          <div className="charger-meta-row">
+                            <span className="meta-chip">
+                              Power: {charger.speed || 'Unknown'}
+                              {charger.maxPower ? ` • ${charger.maxPower}kW` : ''}
+                            </span>
+                            {charger.numberOfPoints && (
+                              <span className="meta-chip">{charger.numberOfPoints} point{charger.numberOfPoints === 1 ? '' : 's'}</span>
+                            )}
+                          </div>
+                          {charger.estimate && (
+                            <div className="charger-estimate">
+                              +{formatDistance(milesToKm(charger.estimate.milesAdded), { units, decimals: 0 })} (
+                              {formatNumber(charger.estimate.kWhAdded, { decimals: 1 })} kWh) in{' '}
+                              {charger.estimate.chargingMinutes} min → {charger.estimate.endSoc}%
+                              <span className="charger-estimate-cost">
+                                {formatEstimatedCost(charger.estimate)}
+                              </span>
+                            </div>
                           )}
-                        </div>
-                        {connectorNames.length > 0 && (
-                          <div className="connector-row">
-                            <span className="connector-label">Connectors:</span>
-                            <div className="connector-tags">
-                              {connectorNames.map((name) => (
-                                <span className="connector-tag" key={name}>
-                                  {name}
-                                </span>
-                              ))}
+                          {charger.compatibility && (
+                            <div className="charger-meta-row">
+                              <span
+                                className={`meta-chip compatibility-chip ${
+                                  charger.compatibility.compatible ? 'compatible' : 'incompatible'
+                                }`}
+                              >
+                                {describeCompatibility(charger.compatibility)}
+                              </span>
+                            </div>
+                          )}
+                          {connectorNames.length > 0 && (
+                            <div className="connector-row">
+                              <span className="connector-label">Connectors:</span>
+                              <div className="connector-tags">
+                                {connectorNames.map((name) => (
+                                  <span className="connector-tag" key={name}>
+                                    {name}
+                                  </span>
+                                ))}
+                              </div>
                             </div>
+                          )}
+                          <div className="location-footnotes">
+                            <span>
+                              {charger.status?.lastUpdated
+                                ? `Updated ${formatDate(charger.status.lastUpdated)}`
+                                : 'No recent update'}
+                            </span>
+                            <span>
+                              {charger.availability?.hasLiveStatus
+                                ? 'Live status provided'
+                                : 'Real-time status not available'}
+                            </span>
                           </div>
-                        )}
-                        <div className="location-footnotes">
-                          <span>
-                            {charger.status?.lastUpdated
-                              ? `Updated ${new Date(charger.status.lastUpdated).toLocaleDateString()}`
-                              : 'No recent update'}
-                          </span>
-                          <span>
-                            {charger.availability?.hasLiveStatus
-                              ? 'Live status provided'
-                              : 'Real-time status not available'}
-                          </span>
                         </div>
-                      </div>
-                    );
-                  })}
-                </div>
+                      );
+                    })}
+                  </div>
+                )}
               </div>
             )}
           </>
@@ -1115,6 +2149,13 @@ const MapView = ({ searchData, onBack }) => {
           filters={filters}
           onFilterChange={handleFilterChange}
           connectorOptions={connectorOptions}
+          exclusions={exclusions}
+          vehicle={vehicle}
+          onVehicleChange={handleVehicleChange}
+          units={units}
+          onUnitsChange={handleUnitsChange}
+          travelMode={travelMode}
+          onTravelModeChange={handleTravelModeChange}
         />
       </div>
   );
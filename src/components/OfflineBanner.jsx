@@ -0,0 +1,20 @@
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import '../styles/offlineBanner.css';
+
+/**
+ * Shown while the device is offline. Saved areas and cached results keep working;
+ * anything else needs a connection.
+ */
+const OfflineBanner = () => {
+  const isOnline = useOnlineStatus();
+  if (isOnline) return null;
+
+  return (
+    <div className="offline-banner" role="status">
+      <strong>You're offline.</strong> Saved areas and recent results are still available; new searches
+      need a connection.
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { listSavedAreas, deleteSavedArea } from '../services/savedAreas';
+import { formatDate, formatNumber } from '../utils/format';
+import '../styles/savedAreas.css';
+
+/**
+ * Areas saved from the map view for offline use. Renders nothing until one exists.
+ */
+const SavedAreas = ({ onOpen }) => {
+  const [areas, setAreas] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSavedAreas()
+      .then((saved) => {
+        if (!cancelled) setAreas(saved);
+      })
+      .catch((err) => console.warn('[SavedAreas] Could not list saved areas:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteSavedArea(id);
+      setAreas((prev) => prev.filter((area) => area.id !== id));
+    } catch (err) {
+      console.error('[SavedAreas] Delete failed:', err);
+    }
+  };
+
+  if (areas.length === 0) return null;
+
+  return (
+    <section className="saved-areas" aria-label="Saved areas">
+      <h2 className="saved-areas-title">Saved for offline</h2>
+      <ul className="saved-areas-list">
+        {areas.map((area) => (
+          <li key={area.id} className="saved-area">
+            <button type="button" className="saved-area-open" onClick={() => onOpen(area)}>
+              <span className="saved-area-label">{area.label}</span>
+              <span className="saved-area-meta">
+                {formatNumber(area.placeCount)} places • {formatNumber(area.chargerCount)} chargers • saved{' '}
+                {formatDate(area.savedAt)}
+              </span>
+            </button>
+            <button
+              type="button"
+              className="saved-area-delete"
+              onClick={() => handleDelete(area.id)}
+              aria-label={`Delete saved area ${area.label}`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default SavedAreas;
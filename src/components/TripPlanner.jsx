@@ -0,0 +1,241 @@
+import { useEffect, useRef, useState } from 'react';
+import { planRoadTrip } from '../services/routeSearch';
+import { isAbortError } from '../utils/abort';
+import { handleListKeyDown, isActivationKey } from '../utils/listNavigation';
+import { DEFAULT_TRIP_OPTIONS, buildDirectionsUrl, buildItineraryText } from '../utils/tripPlanner';
+import { formatDistance } from '../utils/distance';
+import '../styles/tripPlanner.css';
+
+const clampPercent = (value) => Math.min(100, Math.max(0, Number(value) || 0));
+
+const stopKey = (stop) => `${stop.charger.source}-${stop.charger.id}`;
+
+/**
+ * Charging stop planner for route searches. Shown in the chargers sidebar slot.
+ * Stops with one of the search results nearby (`amenities`) are preferred when
+ * "Prefer stops near …" is checked.
+ */
+const TripPlanner = ({
+  route,
+  origin,
+  originLabel,
+  destinationLabel,
+  amenities,
+  amenityLabel,
+  vehicle,
+  units = 'imperial',
+  onSelectStop,
+  onClose,
+}) => {
+  const [options, setOptions] = useState({
+    startSoc: DEFAULT_TRIP_OPTIONS.startSoc,
+    reserveSoc: DEFAULT_TRIP_OPTIONS.reserveSoc,
+  });
+  const [preferAmenities, setPreferAmenities] = useState(true);
+  const [plan, setPlan] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedStopKey, setSelectedStopKey] = useState(null);
+  const planController = useRef(null);
+
+  // Closing the planner stops its charger lookups
+  useEffect(() => {
+    const controllerRef = planController;
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  const handleOptionChange = (key, value) => {
+    setOptions((prev) => ({ ...prev, [key]: clampPercent(value) }));
+  };
+
+  const handlePlan = async () => {
+    planController.current?.abort();
+    const controller = new AbortController();
+    planController.current = controller;
+
+    setIsPlanning(true);
+    setError(null);
+    try {
+      const result = await planRoadTrip({
+        route,
+        amenities: preferAmenities ? amenities : [],
+        vehicle,
+        startSoc: options.startSoc,
+        reserveSoc: options.reserveSoc,
+        signal: controller.signal,
+      });
+      setPlan(result);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('[TripPlanner] Planning failed:', err);
+      setError(err.message || 'Could not plan charging stops. Please try again.');
+    } finally {
+      if (planController.current === controller) setIsPlanning(false);
+    }
+  };
+
+  const selectStop = (stop) => {
+    setSelectedStopKey(stopKey(stop));
+    onSelectStop(stop.charger);
+  };
+
+  // The selected stop (or the first) is the list's tab stop
+  const stops = plan?.stops || [];
+  const focusableStopKey = stops.some((stop) => stopKey(stop) === selectedStopKey)
+    ? selectedStopKey
+    : stops[0] && stopKey(stops[0]);
+
+  const itineraryOptions = {
+    from: originLabel || 'Start',
+    to: destinationLabel || 'Destination',
+    units,
+    vehicleName: vehicle?.name,
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([buildItineraryText(plan, itineraryOptions)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'chargefinder-itinerary.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const distance = (km) => formatDistance(km, { units, decimals: 0 });
+
+  return (
+    <div className="chargers-sidebar trip-planner">
+      <div className="chargers-header">
+        <div>
+          <p className="chargers-label">Charging stops to</p>
+          <h3 className="chargers-title">{destinationLabel}</h3>
+          <p className="chargers-subtitle">DC fast chargers along your route</p>
+        </div>
+        <button className="chargers-close" aria-label="Close charging stops" onClick={onClose}>
+          ×
+        </button>
+      </div>
+
+      <div className="charge-plan">
+        <label>
+          <span>Leaving with</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={options.startSoc}
+            onChange={(e) => handleOptionChange('startSoc', e.target.value)}
+          />
+          <span>%</span>
+        </label>
+        <label>
+          <span>Keep at least</span>
+          <input
+            type="number"
+            min="0"
+            max="50"
+            value={options.reserveSoc}
+            onChange={(e) => handleOptionChange('reserveSoc', e.target.value)}
+          />
+          <span>%</span>
+        </label>
+        {amenityLabel && (
+          <label>
+            <input
+              type="checkbox"
+              checked={preferAmenities}
+              onChange={(e) => setPreferAmenities(e.target.checked)}
+            />
+            <span>Prefer stops near {amenityLabel}</span>
+          </label>
+        )}
+        {!vehicle?.batteryKwh && (
+          <p className="charge-plan-note">Range assumes a typical EV; add your vehicle in Options.</p>
+        )}
+      </div>
+
+      <button type="button" className="trip-plan-button" onClick={handlePlan} disabled={isPlanning}>
+        {isPlanning ? 'Planning…' : plan ? 'Plan again' : 'Plan charging stops'}
+      </button>
+
+      {error && <p className="trip-plan-error">{error}</p>}
+
+      {plan && (
+        <div className="trip-plan">
+          {plan.stops.length === 0 && plan.feasible && (
+            <p className="chargers-empty">No charging needed: you should arrive with about {plan.arrivalSoc}%.</p>
+          )}
+
+          <ol className="trip-stops" role="listbox" aria-label="Charging stops" onKeyDown={handleListKeyDown}>
+            {plan.stops.map((stop) => (
+              <li
+                key={stopKey(stop)}
+                className={`charger-card trip-stop ${stopKey(stop) === selectedStopKey ? 'selected' : ''}`}
+                role="option"
+                aria-selected={stopKey(stop) === selectedStopKey}
+                tabIndex={stopKey(stop) === focusableStopKey ? 0 : -1}
+                onClick={() => selectStop(stop)}
+                onKeyDown={(e) => {
+                  if (!isActivationKey(e)) return;
+                  e.preventDefault();
+                  selectStop(stop);
+                }}
+              >
+                <div className="charger-card-header">
+                  <h4 className="charger-name">{stop.charger.name}</h4>
+                  <span className="charger-distance">{distance(stop.distanceAlongKm)}</span>
+                </div>
+                <div className="charger-estimate">
+                  <span>
+                    {stop.arriveSoc}% → {stop.departSoc}%
+                  </span>
+                  {stop.chargeMinutes !== null && (
+                    <span className="charger-estimate-cost">~{stop.chargeMinutes} min</span>
+                  )}
+                </div>
+                <p className="trip-stop-meta">
+                  {stop.charger.powerKw ? `${stop.charger.powerKw}kW` : 'Power unknown'}
+                  {stop.amenity && ` • near ${stop.amenity.name}`}
+                </p>
+              </li>
+            ))}
+          </ol>
+
+          {plan.feasible ? (
+            plan.stops.length > 0 && (
+              <p className="trip-plan-summary">
+                {plan.stops.length} stop{plan.stops.length !== 1 ? 's' : ''} • ~{plan.totalChargeMinutes} min
+                charging • arrive with about {plan.arrivalSoc}%
+              </p>
+            )
+          ) : (
+            <p className="trip-plan-error">
+              {plan.candidateCount === 0
+                ? 'No compatible DC fast chargers found along this route.'
+                : `No reachable DC fast charger after ${distance(plan.stuckAtKm)}. Try leaving with more charge or lowering your reserve.`}
+            </p>
+          )}
+
+          {plan.stops.length > 0 && (
+            <div className="trip-plan-export">
+              <button type="button" className="trip-export-button" onClick={handleDownload}>
+                Download itinerary
+              </button>
+              <a
+                className="trip-export-button"
+                href={buildDirectionsUrl(origin, route.destination, plan.stops)}
+                target="_blank"
+                rel="noreferrer"
+              >
+                Open in Google Maps
+              </a>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TripPlanner;
@@ -0,0 +1,207 @@
+import { useState } from 'react';
+import {
+  CONNECTOR_FAMILIES,
+  VEHICLE_PORTS,
+  DEFAULT_VEHICLE,
+  VEHICLE_TEMPLATES,
+} from '../utils/vehicleCompatibility';
+import { KM_PER_MILE, distanceUnitLabel } from '../utils/distance';
+
+const familyLabel = (id) => CONNECTOR_FAMILIES.find((f) => f.id === id)?.label || id;
+
+/**
+ * Vehicle profile editor shown in the Options panel.
+ * Saving applies immediately (unlike filters, which wait for Apply).
+ */
+const VehicleProfile = ({ vehicle, onVehicleChange, units = 'imperial' }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(vehicle || DEFAULT_VEHICLE);
+  const [error, setError] = useState(null);
+
+  const startEditing = () => {
+    setDraft(vehicle || DEFAULT_VEHICLE);
+    setError(null);
+    setIsEditing(true);
+  };
+
+  const toggleInList = (key, id) => {
+    const current = new Set(draft[key] || []);
+    if (current.has(id)) current.delete(id);
+    else current.add(id);
+    setDraft({ ...draft, [key]: Array.from(current) });
+  };
+
+  const applyTemplate = (name) => {
+    const template = VEHICLE_TEMPLATES.find((t) => t.name === name);
+    if (template) setDraft({ ...template });
+  };
+
+  // Efficiency is stored in mi/kWh and edited in the user's units
+  const efficiencyScale = units === 'metric' ? KM_PER_MILE : 1;
+  const efficiencyValue =
+    draft.efficiency === '' || draft.efficiency === undefined
+      ? ''
+      : Math.round(draft.efficiency * efficiencyScale * 10) / 10;
+  const handleEfficiencyChange = (value) => {
+    setDraft({ ...draft, efficiency: value === '' ? '' : Number(value) / efficiencyScale });
+  };
+
+  const handleSave = () => {
+    try {
+      onVehicleChange(draft);
+      setIsEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isEditing) {
+    return (
+      <div className="vehicle-summary">
+        {vehicle ? (
+          <>
+            <p>
+              <strong>{vehicle.name}</strong>
+            </p>
+            <p className="filter-help-text">
+              {vehicle.ports.map(familyLabel).join(', ')}
+              {vehicle.adapters?.length > 0 && ` + adapters: ${vehicle.adapters.map(familyLabel).join(', ')}`}
+              {` • AC ${vehicle.maxAcKw || '?'}kW • DC ${vehicle.maxDcKw || '?'}kW`}
+              {vehicle.batteryKwh > 0 && ` • ${vehicle.batteryKwh}kWh battery`}
+            </p>
+            <div className="filter-preset-row">
+              <button type="button" className="preset-button" onClick={startEditing}>
+                Edit
+              </button>
+              <button type="button" className="preset-button" onClick={() => onVehicleChange(null)}>
+                Remove
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="filter-help-text">Add your vehicle to see which chargers fit it and how fast they charge it</p>
+            <button type="button" className="preset-button" onClick={startEditing}>
+              Add vehicle
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="vehicle-form">
+      <div className="filter-preset-row">
+        <select className="filter-select" value="" onChange={(e) => applyTemplate(e.target.value)}>
+          <option value="">Start from a common vehicle…</option>
+          {VEHICLE_TEMPLATES.map((t) => (
+            <option key={t.name} value={t.name}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="filter-preset-row">
+        <input
+          type="text"
+          className="filter-text-input"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          placeholder="Vehicle name"
+        />
+      </div>
+
+      <p className="vehicle-form-label">Charge ports</p>
+      <div className="vehicle-option-grid">
+        {VEHICLE_PORTS.map((family) => (
+          <label className="filter-option" key={family.id}>
+            <input
+              type="checkbox"
+              checked={draft.ports?.includes(family.id)}
+              onChange={() => toggleInList('ports', family.id)}
+            />
+            <span>{family.label}</span>
+          </label>
+        ))}
+      </div>
+
+      <p className="vehicle-form-label">Adapters you carry</p>
+      <div className="vehicle-option-grid">
+        {CONNECTOR_FAMILIES.map((family) => (
+          <label className="filter-option" key={family.id}>
+            <input
+              type="checkbox"
+              checked={draft.adapters?.includes(family.id)}
+              onChange={() => toggleInList('adapters', family.id)}
+            />
+            <span>{family.label}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="vehicle-power-row">
+        <label>
+          <span>Max AC (kW)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            className="filter-text-input"
+            value={draft.maxAcKw}
+            onChange={(e) => setDraft({ ...draft, maxAcKw: e.target.value })}
+          />
+        </label>
+        <label>
+          <span>Max DC (kW)</span>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            className="filter-text-input"
+            value={draft.maxDcKw}
+            onChange={(e) => setDraft({ ...draft, maxDcKw: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <div className="vehicle-power-row">
+        <label>
+          <span>Battery (kWh)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            className="filter-text-input"
+            value={draft.batteryKwh ?? ''}
+            onChange={(e) => setDraft({ ...draft, batteryKwh: e.target.value })}
+          />
+        </label>
+        <label>
+          <span>Efficiency ({distanceUnitLabel(units)}/kWh)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            className="filter-text-input"
+            value={efficiencyValue}
+            onChange={(e) => handleEfficiencyChange(e.target.value)}
+          />
+        </label>
+      </div>
+
+      {error && <p className="vehicle-form-error">{error}</p>}
+
+      <div className="filter-preset-row">
+        <button type="button" className="preset-button" onClick={handleSave}>
+          Save vehicle
+        </button>
+        <button type="button" className="preset-button" onClick={() => setIsEditing(false)}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VehicleProfile;
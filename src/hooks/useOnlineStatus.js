@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Whether the browser thinks it has a network connection (navigator.onLine), kept up to
+ * date with the online/offline events
+ * @returns {boolean}
+ */
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() =>
+    typeof navigator === 'undefined' ? true : navigator.onLine
+  );
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
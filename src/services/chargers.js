@@ -0,0 +1,352 @@
+/**
+ * Charger data provider layer
+ *
+ * Every charger source (Open Charge Map, NREL AFDC, OCPI feeds, local fixtures...)
+ * is a provider object with this shape:
+ *
+ *   {
+ *     id: 'ocm',                                   // short source id, stored on each charger as `source`
+ *     name: 'Open Charge Map',                     // human readable name for logs/errors
+ *     fetchByRadius(location, distanceKm, {signal}),  // => Promise<Array> of raw records
+ *     fetchByBoundingBox({north, south, east, west}, {signal, minPowerKw}), // => Promise<Array> of raw records
+ *     normalize(record),                           // => canonical charger (see parseChargerData)
+ *   }
+ *
+ * `minPowerKw` asks for chargers with a connection of at least that power. It's a hint:
+ * a provider that can't filter may return everything, so callers still filter the results.
+ *
+ * The UI only ever sees normalized chargers, so adding a source means registering
+ * a provider - nothing downstream has to learn a new record format.
+ *
+ * Lookups take an optional AbortSignal, passed on to providers so they can cancel their
+ * requests; a cancelled lookup rejects with an AbortError (see utils/abort).
+ */
+
+import { openChargeMapProvider } from './openChargeMap';
+import { FIXTURE_MODE, fixtureChargerProvider } from './fixtures';
+import { filterChargers } from '../utils/chargerFilters';
+import { calculateDistance, boundsAround } from '../utils/distance';
+import { cachedFetch } from './responseCache';
+import { isAbortError } from '../utils/abort';
+
+const providers = new Map();
+
+// Locations further apart than this are fetched in separate bounding boxes, so one
+// box doesn't cover a huge area (and hit the provider's result limit) for a long route
+const MAX_BATCH_SPAN_KM = 50;
+
+/**
+ * Register (or replace) a charger data provider
+ * @param {Object} provider - Provider object (see module docs)
+ */
+export const registerChargerProvider = (provider) => {
+  if (!provider?.id || typeof provider.normalize !== 'function') {
+    throw new Error('Charger providers need an id and a normalize() function.');
+  }
+  providers.set(provider.id, provider);
+};
+
+/**
+ * Remove a registered provider
+ * @param {string} id - Provider id
+ */
+export const unregisterChargerProvider = (id) => {
+  providers.delete(id);
+};
+
+/**
+ * Get the currently registered providers
+ * @returns {Array} Provider objects
+ */
+export const getChargerProviders = () => Array.from(providers.values());
+
+// Part of every cache key, so registering a provider doesn't serve another provider's results
+const providerIds = () => Array.from(providers.keys()).sort();
+
+registerChargerProvider(FIXTURE_MODE ? fixtureChargerProvider : openChargeMapProvider);
+
+/**
+ * Merge normalized charger lists from several providers, dropping duplicates
+ * @param {Array<Array>} lists - Normalized charger arrays
+ * @returns {Array} Merged chargers
+ */
+export const mergeChargers = (lists) => {
+  const seen = new Set();
+  const merged = [];
+  lists.forEach((list) => {
+    (list || []).forEach((charger) => {
+      const key = `${charger.source || 'unknown'}:${charger.id}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      merged.push(charger);
+    });
+  });
+  return merged;
+};
+
+/**
+ * Call `fetch` on every provider and merge the normalized results.
+ * A failing provider is logged and skipped; if every provider fails the first error is thrown.
+ * @param {Function} fetch - (provider) => Promise<Array> of raw records
+ * @param {AbortSignal} [signal] - Cancellation is rethrown rather than treated as a provider failure
+ * @returns {Promise<Array>} Merged, normalized chargers
+ */
+const fetchFromProviders = async (fetch, signal) => {
+  const active = getChargerProviders();
+  if (active.length === 0) {
+    throw new Error('No charger data providers are registered.');
+  }
+
+  const settled = await Promise.allSettled(
+    active.map(async (provider) => {
+      const records = await fetch(provider);
+      return (records || []).map((record) => provider.normalize(record));
+    })
+  );
+  signal?.throwIfAborted();
+
+  const lists = [];
+  const errors = [];
+  settled.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      lists.push(result.value);
+    } else {
+      console.warn(`[Chargers] ${active[index].name} failed:`, result.reason);
+      errors.push(result.reason);
+    }
+  });
+
+  if (lists.length === 0) {
+    throw errors[0];
+  }
+
+  return mergeChargers(lists);
+};
+
+/**
+ * Fetch nearby EV chargers from every registered provider
+ * @param {Object} location - {lat, lng}
+ * @param {number} distance - Search radius in km (default: 2)
+ * @param {Object} filters - Options panel filters to pre-apply (see filterChargers)
+ * @param {Object} options - {signal} to cancel the lookup
+ * @returns {Promise<Array>} Array of normalized chargers
+ */
+export const getNearbyChargers = async (location, distance = 2, filters = {}, { signal } = {}) => {
+  console.log('[Chargers] Fetching chargers:', { location, distance, filters });
+
+  const chargers = await cachedFetch(
+    'chargers',
+    { providers: providerIds(), location, distance },
+    (fetchSignal) =>
+      fetchFromProviders((provider) => provider.fetchByRadius(location, distance, { signal: fetchSignal }), fetchSignal),
+    { signal }
+  );
+  const { chargers: filtered } = filterChargers(chargers, [], filters);
+
+  console.log('[Chargers] Returning', filtered.length, 'chargers');
+  return filtered;
+};
+
+/**
+ * Fetch EV chargers inside a bounding box from every registered provider
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {Object} filters - Options panel filters to pre-apply (see filterChargers)
+ * @param {Object} options - {signal} to cancel the lookup
+ * @returns {Promise<Array>} Array of normalized chargers
+ */
+export const getChargersInBounds = async (bounds, filters = {}, { signal } = {}) => {
+  console.log('[Chargers] Fetching chargers in bounds:', { bounds, filters });
+
+  const chargers = await fetchFromProviders(
+    (provider) => provider.fetchByBoundingBox(bounds, { signal }),
+    signal
+  );
+  return filterChargers(chargers, [], filters).chargers;
+};
+
+const boundsSpanKm = (bounds) =>
+  Math.max(
+    calculateDistance({ lat: bounds.north, lng: bounds.west }, { lat: bounds.south, lng: bounds.west }),
+    calculateDistance({ lat: bounds.north, lng: bounds.west }, { lat: bounds.north, lng: bounds.east })
+  );
+
+// Batches as {bounds, locations}: which locations each box was planned for
+const splitIntoBatches = (locations, paddingKm) => {
+  if (!locations.length) return [];
+  const bounds = boundsAround(locations, paddingKm);
+  if (locations.length === 1 || boundsSpanKm(bounds) <= MAX_BATCH_SPAN_KM) return [{ bounds, locations }];
+
+  const latSpan = bounds.north - bounds.south;
+  const lngSpan = (bounds.east - bounds.west) * Math.cos(((bounds.north + bounds.south) / 2) * (Math.PI / 180));
+  const axis = latSpan >= lngSpan ? 'lat' : 'lng';
+  const sorted = [...locations].sort((a, b) => a[axis] - b[axis]);
+  const middle = Math.ceil(sorted.length / 2);
+  return [
+    ...splitIntoBatches(sorted.slice(0, middle), paddingKm),
+    ...splitIntoBatches(sorted.slice(middle), paddingKm),
+  ];
+};
+
+/**
+ * Group locations into as few bounding boxes as possible, splitting along the longer
+ * axis until every box spans at most MAX_BATCH_SPAN_KM
+ * @param {Array} locations - Array of {lat, lng}
+ * @param {number} paddingKm - Padding around the locations (the search radius)
+ * @returns {Array<Object>} Bounding boxes {north, south, east, west}
+ */
+export const planChargerBatches = (locations, paddingKm = 0) =>
+  splitIntoBatches(locations, paddingKm).map((batch) => batch.bounds);
+
+/**
+ * Normalized chargers inside a bounding box (through the response cache)
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {Object} options - {signal}; {minPowerKw} passed on to providers
+ * @returns {Promise<Array>} Unfiltered chargers inside the box
+ */
+const fetchBatch = (bounds, { signal, minPowerKw } = {}) =>
+  cachedFetch(
+    'chargers',
+    { providers: providerIds(), bounds, minPowerKw },
+    (fetchSignal) =>
+      fetchFromProviders(
+        (provider) => provider.fetchByBoundingBox(bounds, { signal: fetchSignal, minPowerKw }),
+        fetchSignal
+      ),
+    { signal }
+  );
+
+/**
+ * Fetch every charger within `distance` km of any of the locations, using one bounding-box
+ * request per batch (usually one in total) instead of one request per location
+ * @param {Array} locations - Array of {lat, lng}
+ * @param {number} distance - Radius around each location in km
+ * @param {Object} filters - Options panel filters to pre-apply (see filterChargers)
+ * @param {Object} options - {signal, minPowerKw} (see fetchBatch)
+ * @returns {Promise<Array>} Normalized chargers, each once
+ */
+const fetchChargersNear = async (locations, distance, filters, options) => {
+  const batches = planChargerBatches(locations, distance);
+  console.log('[Chargers] Fetching chargers for', locations.length, 'locations in', batches.length, 'batch(es)');
+
+  const chargers = mergeChargers(await Promise.all(batches.map((bounds) => fetchBatch(bounds, options)))).filter((charger) =>
+    locations.some((location) => calculateDistance(location, charger.location) <= distance)
+  );
+  return filterChargers(chargers, [], filters).chargers;
+};
+
+/**
+ * Get chargers near multiple locations
+ * @param {Array} locations - Array of {lat, lng}
+ * @param {number} distance - Search radius in km
+ * @param {Object} filters - Filter options
+ * @param {Object} options - {signal} to cancel the lookup; {minPowerKw} to let providers skip
+ *   slower chargers (e.g. when only DC fast chargers are wanted)
+ * @returns {Promise<Array>} Array of charger arrays (one per location). A charger near two
+ *   locations appears in both arrays, but is only fetched once.
+ */
+export const getChargersForLocations = async (locations, distance = 5, filters = {}, { signal, minPowerKw } = {}) => {
+  try {
+    const chargers = await fetchChargersNear(locations, distance, filters, { signal, minPowerKw });
+    return locations.map((location) =>
+      chargers.filter((charger) => calculateDistance(location, charger.location) <= distance)
+    );
+  } catch (error) {
+    if (!isAbortError(error)) console.error('Error fetching chargers for locations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Attach each charger to every place within `maxDistanceKm`
+ * @param {Array} chargers - Normalized chargers
+ * @param {Array} places - Place results (place_id, geometry.location)
+ * @param {number} maxDistanceKm - Max distance between a charger and a place
+ * @returns {Array} Chargers near at least one place, each once, with `placeIds` (nearest first),
+ *   `placeDistances` (place_id -> km) and `placeId`/`distanceFromPlace` for the nearest place
+ */
+export const assignChargersToPlaces = (chargers, places, maxDistanceKm) => {
+  const assigned = [];
+  chargers.forEach((charger) => {
+    const nearby = places
+      .map((place) => ({
+        placeId: place.place_id,
+        distanceKm: calculateDistance(
+          { lat: place.geometry.location.lat, lng: place.geometry.location.lng },
+          charger.location
+        ),
+      }))
+      .filter(({ distanceKm }) => distanceKm <= maxDistanceKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+    if (nearby.length === 0) return;
+
+    assigned.push({
+      ...charger,
+      placeIds: nearby.map((n) => n.placeId),
+      placeDistances: Object.fromEntries(nearby.map((n) => [n.placeId, n.distanceKm])),
+      placeId: nearby[0].placeId,
+      distanceFromPlace: nearby[0].distanceKm,
+    });
+  });
+  return assigned;
+};
+
+/**
+ * Get chargers near a set of places in one batched lookup
+ *
+ * Each batch covers every charger near the places it was planned for, so those places'
+ * results are complete as soon as it resolves; `onProgress` reports them batch by batch.
+ * A failed batch only marks its own places as failed. If every batch fails, the first
+ * error is thrown.
+ * @param {Array} places - Place results (place_id, geometry.location)
+ * @param {number} distance - Max distance from a place in km
+ * @param {Object} filters - Filter options
+ * @param {Object} options - {signal} to cancel the lookup; {onProgress} called after each batch
+ *   with {chargers, loadedPlaceIds, failedPlaceIds, errors} so far
+ * @returns {Promise<Array>} Chargers tagged with their places (see assignChargersToPlaces)
+ */
+export const getChargersForPlaces = async (places, distance = 5, filters = {}, { signal, onProgress } = {}) => {
+  const locations = places.map((place) => ({
+    lat: place.geometry.location.lat,
+    lng: place.geometry.location.lng,
+    placeId: place.place_id,
+  }));
+  const batches = splitIntoBatches(locations, distance);
+  console.log('[Chargers] Fetching chargers for', places.length, 'places in', batches.length, 'batch(es)');
+
+  const found = [];
+  const loadedPlaceIds = [];
+  const failedPlaceIds = [];
+  const errors = [];
+  const assignFound = () => {
+    const nearby = mergeChargers(found).filter((charger) =>
+      locations.some((location) => calculateDistance(location, charger.location) <= distance)
+    );
+    return assignChargersToPlaces(filterChargers(nearby, [], filters).chargers, places, distance);
+  };
+
+  await Promise.all(
+    batches.map(async (batch) => {
+      const placeIds = batch.locations.map((location) => location.placeId);
+      try {
+        found.push(await fetchBatch(batch.bounds, { signal }));
+        loadedPlaceIds.push(...placeIds);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn('[Chargers] Lookup failed for', placeIds.length, 'places:', error);
+        errors.push(error);
+        failedPlaceIds.push(...placeIds);
+      }
+      if (!signal?.aborted) {
+        onProgress?.({
+          chargers: assignFound(),
+          loadedPlaceIds: [...loadedPlaceIds],
+          failedPlaceIds: [...failedPlaceIds],
+          errors: [...errors],
+        });
+      }
+    })
+  );
+
+  if (batches.length > 0 && errors.length === batches.length) throw errors[0];
+  return assignFound();
+};
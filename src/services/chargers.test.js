@@ -0,0 +1,232 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  registerChargerProvider,
+  unregisterChargerProvider,
+  getChargerProviders,
+  getNearbyChargers,
+  getChargersInBounds,
+  getChargersForLocations,
+  getChargersForPlaces,
+  assignChargersToPlaces,
+  planChargerBatches,
+  mergeChargers,
+} from './chargers';
+import { parseChargerData } from './openChargeMap';
+import { clearResponseCache } from './responseCache';
+import ocmPois from '../fixtures/ocmPois.json';
+
+const recordedProvider = (id, records) => ({
+  id,
+  name: `Recorded ${id}`,
+  fetchByRadius: async () => records,
+  fetchByBoundingBox: async () => records,
+  normalize: (record) => ({ ...parseChargerData(record), source: id }),
+});
+
+const failingProvider = (id, message) => ({
+  id,
+  name: `Failing ${id}`,
+  fetchByRadius: async () => {
+    throw new Error(message);
+  },
+  fetchByBoundingBox: async () => {
+    throw new Error(message);
+  },
+  normalize: parseChargerData,
+});
+
+describe('charger provider layer', () => {
+  let registered;
+
+  beforeEach(async () => {
+    await clearResponseCache();
+    registered = getChargerProviders();
+    registered.forEach((provider) => unregisterChargerProvider(provider.id));
+  });
+
+  afterEach(() => {
+    getChargerProviders().forEach((provider) => unregisterChargerProvider(provider.id));
+    registered.forEach(registerChargerProvider);
+  });
+
+  it('rejects providers without a normalize function', () => {
+    expect(() => registerChargerProvider({ id: 'broken' })).toThrow();
+  });
+
+  it('normalizes and merges results from every provider', async () => {
+    registerChargerProvider(recordedProvider('a', ocmPois.slice(0, 2)));
+    registerChargerProvider(recordedProvider('b', ocmPois.slice(2, 4)));
+
+    const chargers = await getNearbyChargers({ lat: 37.77, lng: -122.41 }, 2);
+    expect(chargers).toHaveLength(4);
+    expect(chargers.map((c) => c.source)).toEqual(['a', 'a', 'b', 'b']);
+    expect(chargers[0]).toHaveProperty('powerTier');
+  });
+
+  it('pre-applies Options panel filters', async () => {
+    registerChargerProvider(recordedProvider('a', ocmPois));
+
+    const free = await getNearbyChargers({ lat: 37.77, lng: -122.41 }, 2, { cost: 'free' });
+    expect(free.every((c) => c.isFree)).toBe(true);
+
+    const fast = await getChargersInBounds(
+      { north: 38, south: 37, east: -122, west: -123 },
+      { speed: 'dc_fast' }
+    );
+    expect(fast.every((c) => c.powerTier === 'dc_fast')).toBe(true);
+  });
+
+  it('skips a failing provider when another succeeds', async () => {
+    registerChargerProvider(failingProvider('down', 'offline'));
+    registerChargerProvider(recordedProvider('up', ocmPois.slice(0, 1)));
+
+    const chargers = await getNearbyChargers({ lat: 37.77, lng: -122.41 }, 2);
+    expect(chargers).toHaveLength(1);
+  });
+
+  it('throws when every provider fails', async () => {
+    registerChargerProvider(failingProvider('down', 'offline'));
+    await expect(getNearbyChargers({ lat: 37.77, lng: -122.41 }, 2)).rejects.toThrow('offline');
+  });
+
+  it('de-duplicates chargers by source and id', () => {
+    const charger = { id: 1, source: 'ocm' };
+    expect(mergeChargers([[charger], [{ ...charger }, { id: 1, source: 'nrel' }]])).toHaveLength(2);
+  });
+});
+
+describe('batched charger lookups', () => {
+  let registered;
+  let provider;
+
+  const place = (id, lat, lng) => ({ place_id: id, geometry: { location: { lat, lng } } });
+
+  beforeEach(async () => {
+    await clearResponseCache();
+    registered = getChargerProviders();
+    registered.forEach((p) => unregisterChargerProvider(p.id));
+    provider = recordedProvider('ocm', ocmPois);
+    provider.fetchByRadius = vi.fn(provider.fetchByRadius);
+    provider.fetchByBoundingBox = vi.fn(provider.fetchByBoundingBox);
+    registerChargerProvider(provider);
+  });
+
+  afterEach(() => {
+    getChargerProviders().forEach((p) => unregisterChargerProvider(p.id));
+    registered.forEach(registerChargerProvider);
+  });
+
+  it('uses one bounding-box request for many nearby locations', async () => {
+    const locations = [
+      { lat: 37.782, lng: -122.408 },
+      { lat: 37.777, lng: -122.409 },
+      { lat: 37.770, lng: -122.408 },
+    ];
+    const lists = await getChargersForLocations(locations, 0.5);
+
+    expect(provider.fetchByBoundingBox).toHaveBeenCalledTimes(1);
+    expect(provider.fetchByRadius).not.toHaveBeenCalled();
+    expect(lists).toHaveLength(3);
+    expect(lists[0].map((c) => c.id)).toContain(118734);
+  });
+
+  it('serves a repeated lookup from the response cache', async () => {
+    await getChargersForLocations([{ lat: 37.777, lng: -122.409 }], 1);
+    await getChargersForLocations([{ lat: 37.777, lng: -122.409 }], 1);
+    expect(provider.fetchByBoundingBox).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports progress batch by batch and keeps results from batches that succeed', async () => {
+    const places = [place('sf', 37.777, -122.409), place('la', 34.05, -118.25)];
+    provider.fetchByBoundingBox.mockImplementation(async (bounds) => {
+      if (bounds.north < 36) throw new Error('LA box failed');
+      return ocmPois;
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const onProgress = vi.fn();
+
+    const chargers = await getChargersForPlaces(places, 0.5, {}, { onProgress });
+
+    expect(provider.fetchByBoundingBox).toHaveBeenCalledTimes(2);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    const last = onProgress.mock.calls[1][0];
+    expect(last.loadedPlaceIds).toEqual(['sf']);
+    expect(last.failedPlaceIds).toEqual(['la']);
+    expect(last.chargers).toEqual(chargers);
+    expect(chargers.length).toBeGreaterThan(0);
+    expect(chargers.every((c) => c.placeIds.includes('sf'))).toBe(true);
+    vi.restoreAllMocks();
+  });
+
+  it('throws when every batch fails', async () => {
+    provider.fetchByBoundingBox.mockRejectedValue(new Error('down'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(getChargersForPlaces([place('a', 37.777, -122.409)], 0.5)).rejects.toThrow('down');
+    vi.restoreAllMocks();
+  });
+
+  it('passes the abort signal to providers and rejects once aborted', async () => {
+    const controller = new AbortController();
+    provider.fetchByBoundingBox.mockImplementation(async (bounds, { signal }) => {
+      controller.abort();
+      signal.throwIfAborted();
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const lookup = getChargersForPlaces([place('a', 37.777, -122.409)], 0.5, {}, { signal: controller.signal });
+
+    await expect(lookup).rejects.toMatchObject({ name: 'AbortError' });
+    expect(provider.fetchByBoundingBox.mock.calls[0][1].signal).toBe(controller.signal);
+    vi.restoreAllMocks();
+  });
+
+  it('passes a minimum power on to providers and keeps it apart in the cache', async () => {
+    const location = { lat: 37.777, lng: -122.409 };
+    await getChargersForLocations([location], 1, {}, { minPowerKw: 22 });
+    await getChargersForLocations([location], 1);
+
+    expect(provider.fetchByBoundingBox).toHaveBeenCalledTimes(2);
+    expect(provider.fetchByBoundingBox.mock.calls[0][1].minPowerKw).toBe(22);
+    expect(provider.fetchByBoundingBox.mock.calls[1][1].minPowerKw).toBeUndefined();
+  });
+
+  it('returns a charger near two places once, associated with both', async () => {
+    const places = [place('north', 37.7785, -122.4085), place('south', 37.7745, -122.4085)];
+    const chargers = await getChargersForPlaces(places, 0.5);
+
+    const shared = chargers.find((c) => c.id === 98844);
+    expect(chargers.filter((c) => c.id === 98844)).toHaveLength(1);
+    expect(shared.placeIds).toEqual(['north', 'south']);
+    expect(shared.placeId).toBe('north');
+    expect(shared.placeDistances.south).toBeGreaterThan(shared.placeDistances.north);
+  });
+});
+
+describe('planChargerBatches', () => {
+  it('keeps nearby locations in one box and splits far-apart ones', () => {
+    const near = [
+      { lat: 37.77, lng: -122.41 },
+      { lat: 37.8, lng: -122.45 },
+    ];
+    expect(planChargerBatches(near, 1)).toHaveLength(1);
+
+    const far = [...near, { lat: 38.58, lng: -121.49 }];
+    const batches = planChargerBatches(far, 1);
+    expect(batches).toHaveLength(2);
+    expect(batches[1].north).toBeGreaterThan(38.58);
+  });
+});
+
+describe('assignChargersToPlaces', () => {
+  it('drops chargers that are not near any place', () => {
+    const places = [{ place_id: 'a', geometry: { location: { lat: 0, lng: 0 } } }];
+    const chargers = [
+      { id: 1, location: { lat: 0, lng: 0.001 } },
+      { id: 2, location: { lat: 0, lng: 1 } },
+    ];
+    const assigned = assignChargersToPlaces(chargers, places, 0.5);
+    expect(assigned.map((c) => c.id)).toEqual([1]);
+    expect(assigned[0].distanceFromPlace).toBeCloseTo(0.111, 2);
+  });
+});
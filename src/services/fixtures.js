@@ -0,0 +1,147 @@
+/**
+ * Offline fixture mode
+ *
+ * When VITE_USE_FIXTURES=true every service answers from the recorded responses in
+ * src/fixtures instead of calling Google or Open Charge Map, so the whole
+ * LandingPage -> MapView flow works in CI and without a network connection.
+ */
+
+import placesFixture from '../fixtures/places.json';
+import distanceMatrixFixture from '../fixtures/distanceMatrix.json';
+import geocodeFixture from '../fixtures/geocode.json';
+import ocmPoisFixture from '../fixtures/ocmPois.json';
+import { parseChargerData } from './openChargeMap';
+import { calculateDistance, formatDistance, isWithinBounds } from '../utils/distance';
+
+export const FIXTURE_MODE = import.meta.env.VITE_USE_FIXTURES === 'true';
+
+// Where "My Location" resolves to in fixture mode (the recorded searches are around here).
+export const FIXTURE_LOCATION = geocodeFixture.default;
+
+// Average urban speeds used for destinations without a recorded element, by travel mode
+// (driving ~23 km/h, cycling ~15 km/h, transit ~16 km/h, walking 5 km/h)
+const FIXTURE_SPEEDS_MPS = { driving: 6.5, bicycling: 4.2, transit: 4.5, walking: 1.39 };
+
+const fixtureSpeed = (travelMode) => FIXTURE_SPEEDS_MPS[travelMode] || FIXTURE_SPEEDS_MPS.driving;
+
+const sameCoordinate = (a, b) =>
+  Math.abs(a.lat - b.lat) < 1e-5 && Math.abs(a.lng - b.lng) < 1e-5;
+
+/**
+ * Recorded Place.searchByText results for a query.
+ * Falls back to the default recording when nothing matches the query.
+ * @param {string} query - Search query
+ * @returns {Array} Raw Place objects (same fields as the new Places API)
+ */
+export const getFixturePlaces = (query) => {
+  const normalized = (query || '').trim().toLowerCase();
+  const recordings = placesFixture.queries;
+  const match = Object.keys(recordings).find(
+    (key) => normalized.includes(key) || key.includes(normalized)
+  );
+  const places = recordings[match || placesFixture.default];
+  console.log('[Fixtures] Places for query:', { query, recording: match || placesFixture.default });
+  return places;
+};
+
+/**
+ * Recorded Geocoder result for an address.
+ * Unknown addresses resolve to the default fixture location.
+ * @param {string} address - Address to geocode
+ * @returns {{lat: number, lng: number}}
+ */
+export const getFixtureGeocode = (address) => {
+  const normalized = (address || '').trim().toLowerCase();
+  const result = geocodeFixture.addresses[normalized] || geocodeFixture.default;
+  console.log('[Fixtures] Geocoded:', { address, result });
+  return result;
+};
+
+/**
+ * Recorded Distance Matrix elements for a set of destinations, in request order.
+ * Destinations that were not recorded (and every destination for modes other than driving,
+ * which is what was recorded) get an element estimated from straight-line distance.
+ * @param {Object} origin - {lat, lng}
+ * @param {Array} destinations - Array of {lat, lng}
+ * @param {Object} options - {units} 'imperial' (as recorded) or 'metric' for distance text,
+ *   {travelMode} e.g. 'driving' (default) or 'walking'
+ * @returns {Array} Distance Matrix elements ({status, distance, duration})
+ */
+export const getFixtureDistanceElements = (
+  origin,
+  destinations,
+  { units = 'imperial', travelMode = 'driving' } = {}
+) => {
+  // Distance Matrix text puts a space before the unit ("1.2 mi", "800 m")
+  const distanceText = (meters) => formatDistance(meters / 1000, { units }).replace(/([a-z]+)$/, ' $1');
+
+  const recordedOrigin = travelMode === 'driving' && sameCoordinate(origin, distanceMatrixFixture.origin);
+
+  return destinations.map((destination) => {
+    const recorded = recordedOrigin
+      ? distanceMatrixFixture.elements.find((e) => sameCoordinate(e.destination, destination))
+      : null;
+    if (recorded) {
+      const distance =
+        units === 'metric' && recorded.distance
+          ? { ...recorded.distance, text: distanceText(recorded.distance.value) }
+          : recorded.distance;
+      return { status: recorded.status, distance, duration: recorded.duration };
+    }
+
+    // Road distance is typically ~1.35x the straight-line distance in a city grid.
+    const meters = Math.round(calculateDistance(origin, destination) * 1000 * 1.35);
+    const minutes = Math.max(1, Math.round(meters / fixtureSpeed(travelMode) / 60));
+    return {
+      status: 'OK',
+      distance: { text: distanceText(meters), value: meters },
+      duration: { text: `${minutes} min${minutes === 1 ? '' : 's'}`, value: minutes * 60 },
+    };
+  });
+};
+
+/**
+ * Route between two points for fixture mode: a straight line with vertices every ~500m,
+ * distance stretched like a road network and timed at city speed for the travel mode.
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} travelMode - 'driving' (default) or 'walking'
+ * @returns {{path: Array, distanceMeters: number, durationSeconds: number}}
+ */
+export const getFixtureRoute = (origin, destination, travelMode = 'driving') => {
+  const straightKm = calculateDistance(origin, destination);
+  const steps = Math.max(1, Math.ceil(straightKm / 0.5));
+  const path = Array.from({ length: steps + 1 }, (_, i) => ({
+    lat: origin.lat + ((destination.lat - origin.lat) * i) / steps,
+    lng: origin.lng + ((destination.lng - origin.lng) * i) / steps,
+  }));
+  const distanceMeters = Math.round(straightKm * 1000 * 1.35);
+  console.log('[Fixtures] Route:', { origin, destination, vertices: path.length });
+  return {
+    path,
+    distanceMeters,
+    durationSeconds: Math.round(distanceMeters / fixtureSpeed(travelMode)),
+  };
+};
+
+/**
+ * Charger provider serving the recorded Open Charge Map POIs
+ * (see services/chargers.js for the interface)
+ */
+export const fixtureChargerProvider = {
+  id: 'ocm-fixtures',
+  name: 'Open Charge Map (fixtures)',
+  fetchByRadius: async (location, distance) =>
+    ocmPoisFixture.filter(
+      (poi) =>
+        calculateDistance(location, {
+          lat: poi.AddressInfo.Latitude,
+          lng: poi.AddressInfo.Longitude,
+        }) <= distance
+    ),
+  fetchByBoundingBox: async (bounds) =>
+    ocmPoisFixture.filter((poi) =>
+      isWithinBounds({ lat: poi.AddressInfo.Latitude, lng: poi.AddressInfo.Longitude }, bounds)
+    ),
+  normalize: parseChargerData,
+};
@@ -1,8 +1,15 @@
+import { FIXTURE_MODE, FIXTURE_LOCATION } from './fixtures';
+
 /**
  * Get user's current location using browser geolocation API
  * @returns {Promise<{lat: number, lng: number}>}
  */
 export const getCurrentLocation = () => {
+  if (FIXTURE_MODE) {
+    console.log('[Geolocation] Fixture mode, using fixture location:', FIXTURE_LOCATION);
+    return Promise.resolve(FIXTURE_LOCATION);
+  }
+
   return new Promise((resolve, reject) => {
     if (!navigator.geolocation) {
       reject(new Error('Geolocation is not supported by your browser'));
@@ -3,11 +3,124 @@
  * 
  * NOTE: We use the JavaScript libraries instead of REST APIs to avoid CORS issues.
  * The Places API and Distance Matrix API must be enabled in Google Cloud Console.
+ *
+ * Place searches, geocoding and distance lookups go through the response cache
+ * (responseCache.js), so repeating a search doesn't call Google again.
+ *
+ * The JS services can't cancel a request, so the `signal` option only stops the caller
+ * waiting: an aborted call rejects with an AbortError straight away, and a response that
+ * arrives later is still cached for next time.
+ *
+ * Throttled and transient failures are retried with backoff (requestPolicy.js). When the
+ * Distance Matrix stays throttled, or has no route to a place, getMultipleDistances falls
+ * back to straight-line distances marked `approximate` rather than failing the search.
  */
 
+import {
+  FIXTURE_MODE,
+  getFixturePlaces,
+  getFixtureGeocode,
+  getFixtureDistanceElements,
+  getFixtureRoute,
+} from './fixtures';
+import { cachedFetch } from './responseCache';
+import { isServiceDegraded, requestWithRetry } from './requestPolicy';
+import { abortable, isAbortError } from '../utils/abort';
+import { calculateDistance, formatDistance } from '../utils/distance';
+
+// Part of every cache key, so fixture responses are never served as live Google results
+const DATA_SOURCE = FIXTURE_MODE ? 'fixtures' : 'google';
+
 const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
 const GOOGLE_PLACES_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || GOOGLE_MAPS_API_KEY;
 
+/**
+ * Convert a new Places API `Place` into the legacy result shape used by the UI
+ * @param {Object} place - Place object (or a recorded fixture of one)
+ * @returns {Object} Place result
+ */
+const formatPlace = (place) => {
+  const loc = place.location;
+  const lat = typeof loc?.lat === 'function' ? loc.lat() : loc?.lat;
+  const lng = typeof loc?.lng === 'function' ? loc.lng() : loc?.lng;
+
+  return {
+    place_id: place.id || place.place_id || '',
+    name:
+      place.displayName?.text ||
+      place.displayName ||
+      place.name ||
+      '',
+    formatted_address: place.formattedAddress || '',
+    geometry: {
+      location: {
+        lat: typeof lat === 'number' ? lat : null,
+        lng: typeof lng === 'number' ? lng : null,
+      },
+    },
+    rating: place.rating,
+    user_ratings_total: place.userRatingCount,
+    // Legacy shape used by the UI; best available equivalent is formatted address.
+    vicinity: place.formattedAddress || '',
+    types: place.types,
+  };
+};
+
+// Statuses Google returns when it's throttling or briefly unavailable. The JS services
+// report them as a callback status; the new Places API throws an error with a `code`.
+const TRANSIENT_STATUSES = new Set(['OVER_QUERY_LIMIT', 'RESOURCE_EXHAUSTED', 'UNKNOWN_ERROR', 'UNAVAILABLE']);
+const RATE_LIMIT_STATUSES = new Set(['OVER_QUERY_LIMIT', 'RESOURCE_EXHAUSTED']);
+
+/**
+ * Error for a failed Google request, keeping its status for the retry policy
+ * @param {string} message - Message to show
+ * @param {string} status - Google status, e.g. 'OVER_QUERY_LIMIT'
+ * @returns {Error}
+ */
+const googleError = (message, status) =>
+  Object.assign(new Error(message), { status, rateLimited: RATE_LIMIT_STATUSES.has(status) });
+
+const GOOGLE_RETRY_POLICY = {
+  isRetryable: (error) =>
+    TRANSIENT_STATUSES.has(error?.status ?? error?.code) ||
+    error?.name === 'MapsNetworkError' ||
+    error?.name === 'MapsServerError',
+};
+
+const withRetry = (service, request, signal) =>
+  requestWithRetry(service, request, { ...GOOGLE_RETRY_POLICY, signal });
+
+const hasValidLocation = (p) =>
+  typeof p.geometry.location.lat === 'number' && typeof p.geometry.location.lng === 'number';
+
+// Distance Matrix unit system for a units preference
+const toUnitSystem = (units) =>
+  units === 'metric' ? window.google.maps.UnitSystem.METRIC : window.google.maps.UnitSystem.IMPERIAL;
+
+// Google TravelMode for a travel mode key ('driving', 'bicycling', 'transit', 'walking')
+const toTravelMode = (travelMode) =>
+  window.google.maps.TravelMode[travelMode.toUpperCase()] || window.google.maps.TravelMode.DRIVING;
+
+/**
+ * Convert a Distance Matrix element into the distance result shape used by the UI
+ * @param {Object} element - Distance Matrix element
+ * @param {Object} destination - {lat, lng}
+ * @returns {Object} Distance result
+ */
+const formatDistanceElement = (element, destination) => {
+  // DistanceMatrixElementStatus.OK is the string 'OK'; compare directly so recorded
+  // fixture elements work without the Maps JS API loaded.
+  const isOk = element.status === 'OK';
+  return {
+    destination,
+    distance: isOk ? element.distance.text : 'N/A',
+    duration: isOk ? element.duration.text : 'N/A',
+    distanceValue: isOk ? element.distance.value : null,
+    durationValue: isOk ? element.duration.value : null,
+    status: element.status,
+  };
+};
+
 /**
  * Search for places using Google Places JavaScript API (PlacesService)
  * This requires the map instance to be passed in
@@ -15,13 +128,36 @@ const GOOGLE_PLACES_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || GOOGLE
  * @param {string} query - Search query (e.g., "Planet Fitness")
  * @param {Object} location - Current location {lat, lng}
  * @param {number} radius - Search radius in meters (default: 50000 = 50km)
+ * @param {Object} options - {signal} to stop waiting for the search; {bounds}
+ *   ({north, south, east, west}) to only return places inside that area instead of
+ *   favouring ones near `location`
  * @returns {Promise<Array>} Array of place results
  */
 // 10 miles in meters = 16093.4 meters
 const DEFAULT_SEARCH_RADIUS = 16093;
 
-export const searchPlaces = (map, query, location, radius = DEFAULT_SEARCH_RADIUS) => {
-  console.log('[Google Maps] Searching places using Places API (new):', { query, location, radius: `${(radius / 1609.34).toFixed(1)} miles` });
+export const searchPlaces = (map, query, location, radius = DEFAULT_SEARCH_RADIUS, { signal, bounds } = {}) =>
+  abortable(
+    cachedFetch(
+      'places',
+      { source: DATA_SOURCE, query, location, radius, bounds },
+      (fetchSignal) => withRetry('Google Places', () => fetchPlaces(query, location, radius, bounds), fetchSignal),
+      { signal }
+    ),
+    signal
+  );
+
+const fetchPlaces = (query, location, radius, bounds) => {
+  console.log('[Google Maps] Searching places using Places API (new):', {
+    query,
+    location,
+    radius: `${(radius / 1609.34).toFixed(1)} miles`,
+    bounds,
+  });
+
+  if (FIXTURE_MODE) {
+    return Promise.resolve(getFixturePlaces(query).map(formatPlace).filter(hasValidLocation));
+  }
   
   if (!window.google || !window.google.maps) {
     const errorMsg = 'Google Maps JavaScript API is not loaded. Make sure LoadScript has loaded the API.';
@@ -45,11 +181,22 @@ export const searchPlaces = (map, query, location, radius = DEFAULT_SEARCH_RADIU
 
       const request = {
         textQuery: query,
-        // Bias results around the user's/search center.
-        locationBias: {
-          center: new window.google.maps.LatLng(location.lat, location.lng),
-          radius,
-        },
+        // Restrict results to the searched area, or bias them around the user's/search center.
+        ...(bounds
+          ? {
+              locationRestriction: {
+                north: bounds.north,
+                south: bounds.south,
+                east: bounds.east,
+                west: bounds.west,
+              },
+            }
+          : {
+              locationBias: {
+                center: new window.google.maps.LatLng(location.lat, location.lng),
+                radius,
+              },
+            }),
         // Request only what we need to keep payload small.
         fields: [
           'id',
@@ -69,39 +216,16 @@ export const searchPlaces = (map, query, location, radius = DEFAULT_SEARCH_RADIU
 
       console.log('[Google Maps] Place.searchByText results count:', places.length);
 
-      const formattedResults = places
-        .map((place) => {
-          const loc = place.location;
-          const lat = typeof loc?.lat === 'function' ? loc.lat() : loc?.lat;
-          const lng = typeof loc?.lng === 'function' ? loc.lng() : loc?.lng;
-
-          return {
-            place_id: place.id || place.place_id || '',
-            name:
-              place.displayName?.text ||
-              place.displayName ||
-              place.name ||
-              '',
-            formatted_address: place.formattedAddress || '',
-            geometry: {
-              location: {
-                lat: typeof lat === 'number' ? lat : null,
-                lng: typeof lng === 'number' ? lng : null,
-              },
-            },
-            rating: place.rating,
-            user_ratings_total: place.userRatingCount,
-            // Legacy shape used by the UI; best available equivalent is formatted address.
-            vicinity: place.formattedAddress || '',
-            types: place.types,
-          };
-        })
-        .filter((p) => typeof p.geometry.location.lat === 'number' && typeof p.geometry.location.lng === 'number');
+      const formattedResults = places.map(formatPlace).filter(hasValidLocation);
 
       console.log('[Google Maps] Successfully found', formattedResults.length, 'places');
       return formattedResults;
     } catch (error) {
       console.error('[Google Maps] Places search failed (new Places API):', error);
+      if (RATE_LIMIT_STATUSES.has(error?.code)) {
+        error.rateLimited = true;
+        error.message = 'Google is limiting place searches right now. Please wait a minute and try again.';
+      }
       throw error;
     }
   })();
@@ -110,10 +234,26 @@ export const searchPlaces = (map, query, location, radius = DEFAULT_SEARCH_RADIU
 /**
  * Geocode an address to coordinates using Geocoder
  * @param {string} address - Address to geocode
+ * @param {Object} options - {signal} to stop waiting for the result
  * @returns {Promise<{lat: number, lng: number}>}
  */
-export const geocodeAddress = (address) => {
+export const geocodeAddress = (address, { signal } = {}) =>
+  abortable(
+    cachedFetch(
+      'geocode',
+      { source: DATA_SOURCE, address },
+      (fetchSignal) => withRetry('Google Geocoding', () => fetchGeocode(address), fetchSignal),
+      { signal }
+    ),
+    signal
+  );
+
+const fetchGeocode = (address) => {
   console.log('[Google Maps] Geocoding address:', address);
+
+  if (FIXTURE_MODE) {
+    return Promise.resolve(getFixtureGeocode(address));
+  }
   
   if (!window.google || !window.google.maps) {
     const errorMsg = 'Google Maps JavaScript API is not loaded.';
@@ -136,7 +276,7 @@ export const geocodeAddress = (address) => {
       } else {
         const errorMsg = `Geocoding error: ${status}`;
         console.error('[Google Maps]', errorMsg);
-        reject(new Error(errorMsg));
+        reject(googleError(errorMsg, status));
       }
     });
   });
@@ -146,10 +286,17 @@ export const geocodeAddress = (address) => {
  * Calculate driving distance and duration between two points using DistanceMatrixService
  * @param {Object} origin - {lat, lng}
  * @param {Object} destination - {lat, lng}
+ * @param {Object} options - {units} 'imperial' (default) or 'metric' for the distance text
  * @returns {Promise<{distance: string, duration: string, distanceValue: number, durationValue: number}>}
  */
-export const getDrivingDistance = (origin, destination) => {
+export const getDrivingDistance = (origin, destination, { units = 'imperial' } = {}) => {
   console.log('[Google Maps] Calculating distance:', { origin, destination });
+
+  if (FIXTURE_MODE) {
+    const [element] = getFixtureDistanceElements(origin, [destination], { units });
+    const { distance, duration, distanceValue, durationValue } = formatDistanceElement(element, destination);
+    return Promise.resolve({ distance, duration, distanceValue, durationValue });
+  }
   
   if (!window.google || !window.google.maps) {
     const errorMsg = 'Google Maps JavaScript API is not loaded.';
@@ -165,7 +312,7 @@ export const getDrivingDistance = (origin, destination) => {
         origins: [new window.google.maps.LatLng(origin.lat, origin.lng)],
         destinations: [new window.google.maps.LatLng(destination.lat, destination.lng)],
         travelMode: window.google.maps.TravelMode.DRIVING,
-        unitSystem: window.google.maps.UnitSystem.IMPERIAL,
+        unitSystem: toUnitSystem(units),
       },
       (response, status) => {
         if (status === window.google.maps.DistanceMatrixStatus.OK) {
@@ -194,17 +341,99 @@ export const getDrivingDistance = (origin, destination) => {
   });
 };
 
+// Distance Matrix accepts at most 25 destinations per request (and 100 elements; with one
+// origin the destination limit is the one that applies)
+const MAX_DESTINATIONS_PER_REQUEST = 25;
+
 /**
- * Get multiple driving distances from origin to multiple destinations
+ * Straight-line stand-in for a Distance Matrix result, for when no drive distance is available
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} units - 'imperial' | 'metric'
+ * @returns {Object} Distance result with `approximate: true` and no duration
+ */
+const straightLineDistance = (origin, destination, units) => {
+  const km = calculateDistance(origin, destination);
+  return {
+    destination,
+    distance: formatDistance(km, { units }),
+    duration: 'N/A',
+    distanceValue: Math.round(km * 1000),
+    durationValue: null,
+    status: 'APPROXIMATE',
+    approximate: true,
+  };
+};
+
+/**
+ * Drive distances for up to MAX_DESTINATIONS_PER_REQUEST destinations (one request, cached).
+ * If the Distance Matrix is throttled or down (after retries), returns straight-line
+ * distances instead; these aren't cached.
+ */
+const getDistanceBatch = async (origin, destinations, units, travelMode, signal) => {
+  try {
+    return await abortable(
+      cachedFetch(
+        'distances',
+        { source: DATA_SOURCE, origin, destinations, units, travelMode },
+        (fetchSignal) =>
+          withRetry('Google Distance Matrix', () => fetchDistances(origin, destinations, units, travelMode), fetchSignal),
+        { signal }
+      ),
+      signal
+    );
+  } catch (error) {
+    if (isAbortError(error) || !isServiceDegraded(error)) throw error;
+    console.warn('[Google Maps] Distance Matrix unavailable, using straight-line distances:', error.message);
+    return destinations.map((destination) => straightLineDistance(origin, destination, units));
+  }
+};
+
+/**
+ * Get travel distances and times from origin to multiple destinations.
+ * Destinations are split into requests Distance Matrix accepts and the results merged back
+ * in order. Destinations without a travel distance (no route, or the service throttled or
+ * down) get a straight-line distance marked `approximate` instead.
  * @param {Object} origin - {lat, lng}
  * @param {Array} destinations - Array of {lat, lng}
- * @returns {Promise<Array>} Array of distance results
+ * @param {Object} options - {units} 'imperial' (default) or 'metric' for the distance text,
+ *   {travelMode} 'driving' (default), 'bicycling', 'transit' or 'walking',
+ *   {signal} to stop waiting for the results
+ * @returns {Promise<Array>} Array of distance results, one per destination in the same order
  */
-export const getMultipleDistances = (origin, destinations) => {
+export const getMultipleDistances = async (
+  origin,
+  destinations,
+  { units = 'imperial', travelMode = 'driving', signal } = {}
+) => {
+  const batches = [];
+  for (let start = 0; start < destinations.length; start += MAX_DESTINATIONS_PER_REQUEST) {
+    batches.push(destinations.slice(start, start + MAX_DESTINATIONS_PER_REQUEST));
+  }
+  if (batches.length > 1) {
+    console.log('[Google Maps] Splitting', destinations.length, 'destinations into', batches.length, 'distance requests');
+  }
+
+  const results = (await Promise.all(batches.map((batch) => getDistanceBatch(origin, batch, units, travelMode, signal)))).flat();
+  return results.map((result, index) =>
+    result.status === 'OK' || result.approximate ? result : straightLineDistance(origin, destinations[index], units)
+  );
+};
+
+const fetchDistances = (origin, destinations, units, travelMode) => {
   console.log('[Google Maps] Calculating distances for multiple destinations:', { 
     origin, 
-    destinationCount: destinations.length 
+    destinationCount: destinations.length,
+    travelMode,
   });
+
+  if (FIXTURE_MODE) {
+    return Promise.resolve(
+      getFixtureDistanceElements(origin, destinations, { units, travelMode }).map((element, index) =>
+        formatDistanceElement(element, destinations[index])
+      )
+    );
+  }
   
   if (!window.google || !window.google.maps) {
     const errorMsg = 'Google Maps JavaScript API is not loaded.';
@@ -229,29 +458,16 @@ export const getMultipleDistances = (origin, destinations) => {
       {
         origins: [new window.google.maps.LatLng(origin.lat, origin.lng)],
         destinations: destLatLngs,
-        travelMode: window.google.maps.TravelMode.DRIVING,
-        unitSystem: window.google.maps.UnitSystem.IMPERIAL,
+        travelMode: toTravelMode(travelMode),
+        unitSystem: toUnitSystem(units),
       },
       (response, status) => {
         console.log('[Google Maps] Distance matrix response status:', status);
         
         if (status === window.google.maps.DistanceMatrixStatus.OK) {
-          const results = response.rows[0].elements.map((element, index) => ({
-            destination: destinations[index],
-            distance: element.status === window.google.maps.DistanceMatrixElementStatus.OK 
-              ? element.distance.text 
-              : 'N/A',
-            duration: element.status === window.google.maps.DistanceMatrixElementStatus.OK 
-              ? element.duration.text 
-              : 'N/A',
-            distanceValue: element.status === window.google.maps.DistanceMatrixElementStatus.OK 
-              ? element.distance.value 
-              : null,
-            durationValue: element.status === window.google.maps.DistanceMatrixElementStatus.OK 
-              ? element.duration.value 
-              : null,
-            status: element.status,
-          }));
+          const results = response.rows[0].elements.map((element, index) =>
+            formatDistanceElement(element, destinations[index])
+          );
           console.log('[Google Maps] Successfully calculated distances for', results.length, 'destinations');
           resolve(results);
         } else {
@@ -268,7 +484,78 @@ export const getMultipleDistances = (origin, destinations) => {
               UNKNOWN_ERROR: window.google.maps.DistanceMatrixStatus.UNKNOWN_ERROR,
             },
           });
-          reject(new Error(errorMsg));
+          reject(googleError(errorMsg, status));
+        }
+      }
+    );
+  });
+};
+
+/**
+ * Get the driving route between two points
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {Object} options - {signal} to stop waiting for the route
+ * @returns {Promise<{path: Array, distanceMeters: number, durationSeconds: number}>}
+ *   path is the route overview polyline as {lat, lng} vertices
+ */
+export const getDrivingRoute = (origin, destination, { signal } = {}) =>
+  abortable(withRetry('Google Directions', () => fetchRoute(origin, destination, 'driving'), signal), signal);
+
+/**
+ * Get the walking route between two points, e.g. from a charger to a place
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {Object} options - {signal} to stop waiting for the route
+ * @returns {Promise<{path: Array, distanceMeters: number, durationSeconds: number}>}
+ *   Same shape as getDrivingRoute
+ */
+export const getWalkingRoute = (origin, destination, { signal } = {}) =>
+  abortable(withRetry('Google Directions', () => fetchRoute(origin, destination, 'walking'), signal), signal);
+
+const fetchRoute = (origin, destination, travelMode) => {
+  console.log(`[Google Maps] Requesting ${travelMode} route:`, { origin, destination });
+
+  if (FIXTURE_MODE) {
+    return Promise.resolve(getFixtureRoute(origin, destination, travelMode));
+  }
+
+  if (!window.google || !window.google.maps) {
+    const errorMsg = 'Google Maps JavaScript API is not loaded.';
+    console.error('[Google Maps]', errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  return new Promise((resolve, reject) => {
+    const service = new window.google.maps.DirectionsService();
+
+    service.route(
+      {
+        origin: new window.google.maps.LatLng(origin.lat, origin.lng),
+        destination: new window.google.maps.LatLng(destination.lat, destination.lng),
+        travelMode: toTravelMode(travelMode),
+      },
+      (response, status) => {
+        if (status === window.google.maps.DirectionsStatus.OK && response.routes?.length > 0) {
+          const route = response.routes[0];
+          const legs = route.legs || [];
+          const result = {
+            path: route.overview_path.map((point) => ({ lat: point.lat(), lng: point.lng() })),
+            distanceMeters: legs.reduce((sum, leg) => sum + (leg.distance?.value || 0), 0),
+            durationSeconds: legs.reduce((sum, leg) => sum + (leg.duration?.value || 0), 0),
+          };
+          console.log('[Google Maps] Route found:', {
+            vertices: result.path.length,
+            distanceMeters: result.distanceMeters,
+          });
+          resolve(result);
+        } else {
+          const errorMsg =
+            status === window.google.maps.DirectionsStatus.ZERO_RESULTS
+              ? `No ${travelMode} route found between those locations.`
+              : `Directions API error: ${status}`;
+          console.error('[Google Maps]', errorMsg);
+          reject(googleError(errorMsg, status));
         }
       }
     );
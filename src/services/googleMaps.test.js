@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.hoisted(() => {
+  import.meta.env.VITE_GOOGLE_MAPS_API_KEY = 'test-key';
+});
+vi.mock('./fixtures', () => ({ FIXTURE_MODE: false }));
+vi.mock('./responseCache', () => ({ cachedFetch: vi.fn((source, keyParts, fetcher, { signal } = {}) => fetcher(signal)) }));
+
+import { getMultipleDistances, searchPlaces } from './googleMaps';
+import { cachedFetch } from './responseCache';
+import { resetCircuitBreakers } from './requestPolicy';
+
+const origin = { lat: 37.77, lng: -122.42 };
+const destinations = Array.from({ length: 60 }, (_, index) => ({ lat: 37.7 + index / 1000, lng: -122.4 }));
+
+// Distance Matrix stand-in: element i of a request is (i + 1) km, 60 s per km
+const stubDistanceMatrix = (respond = (request) => ({ status: 'OK', elements: request.destinations.map(() => 'OK') })) => {
+  const getDistanceMatrix = vi.fn((request, callback) => {
+    const { status, elements } = respond(request);
+    const rows = [
+      {
+        elements: elements.map((elementStatus, index) =>
+          elementStatus === 'OK'
+            ? {
+                status: 'OK',
+                distance: { text: `${index + 1} km`, value: (index + 1) * 1000 },
+                duration: { text: `${index + 1} mins`, value: (index + 1) * 60 },
+              }
+            : { status: elementStatus }
+        ),
+      },
+    ];
+    callback(status === 'OK' ? { rows } : null, status);
+  });
+  globalThis.window = {
+    google: {
+      maps: {
+        DistanceMatrixService: vi.fn(function DistanceMatrixService() {
+          this.getDistanceMatrix = getDistanceMatrix;
+        }),
+        LatLng: vi.fn(function LatLng(lat, lng) {
+          Object.assign(this, { lat, lng });
+        }),
+        DistanceMatrixStatus: { OK: 'OK' },
+        TravelMode: { DRIVING: 'DRIVING', BICYCLING: 'BICYCLING', TRANSIT: 'TRANSIT', WALKING: 'WALKING' },
+        UnitSystem: { METRIC: 0, IMPERIAL: 1 },
+      },
+    },
+  };
+  return getDistanceMatrix;
+};
+
+beforeEach(() => {
+  resetCircuitBreakers();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete globalThis.window;
+  vi.restoreAllMocks();
+});
+
+describe('getMultipleDistances', () => {
+  it('splits large requests into batches Distance Matrix accepts and keeps the order', async () => {
+    const getDistanceMatrix = stubDistanceMatrix();
+
+    const results = await getMultipleDistances(origin, destinations, { units: 'metric' });
+
+    expect(getDistanceMatrix.mock.calls.map(([request]) => request.destinations.length)).toEqual([25, 25, 10]);
+    expect(results).toHaveLength(60);
+    results.forEach((result, index) => {
+      expect(result.destination).toBe(destinations[index]);
+      expect(result.distanceValue).toBe(((index % 25) + 1) * 1000);
+    });
+  });
+
+  it('measures with the requested travel mode, driving by default', async () => {
+    const getDistanceMatrix = stubDistanceMatrix();
+
+    await getMultipleDistances(origin, destinations.slice(0, 2));
+    await getMultipleDistances(origin, destinations.slice(0, 2), { travelMode: 'bicycling' });
+    await getMultipleDistances(origin, destinations.slice(0, 2), { travelMode: 'walking' });
+
+    expect(getDistanceMatrix.mock.calls.map(([request]) => request.travelMode)).toEqual([
+      'DRIVING',
+      'BICYCLING',
+      'WALKING',
+    ]);
+  });
+
+  it('uses straight-line distances for elements without a route', async () => {
+    stubDistanceMatrix((request) => ({
+      status: 'OK',
+      elements: request.destinations.map((_, index) => (index === 1 ? 'ZERO_RESULTS' : 'OK')),
+    }));
+
+    const results = await getMultipleDistances(origin, destinations.slice(0, 3), { units: 'metric' });
+
+    expect(results[0]).toMatchObject({ status: 'OK', distanceValue: 1000 });
+    expect(results[1]).toMatchObject({ approximate: true, durationValue: null, destination: destinations[1] });
+    expect(results[1].distanceValue).toBeGreaterThan(7000);
+    expect(results[1].distanceValue).toBeLessThan(8000);
+    expect(results[2]).toMatchObject({ status: 'OK', distanceValue: 3000 });
+  });
+
+  it('falls back to straight-line distances for a batch while the service is throttled', async () => {
+    vi.useFakeTimers();
+    try {
+      stubDistanceMatrix((request) => {
+        // The first batch succeeds; the second (10 destinations) is throttled on every attempt
+        if (request.destinations.length === 10) return { status: 'OVER_QUERY_LIMIT', elements: [] };
+        return { status: 'OK', elements: request.destinations.map(() => 'OK') };
+      });
+
+      const pending = getMultipleDistances(origin, destinations.slice(0, 35));
+      await vi.runAllTimersAsync();
+      const results = await pending;
+
+      expect(results.slice(0, 25).every((result) => result.status === 'OK')).toBe(true);
+      expect(results.slice(25).every((result) => result.approximate)).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('still fails for errors a fallback would hide', async () => {
+    stubDistanceMatrix(() => ({ status: 'REQUEST_DENIED', elements: [] }));
+
+    await expect(getMultipleDistances(origin, destinations.slice(0, 3))).rejects.toThrow('REQUEST_DENIED');
+  });
+});
+
+describe('searchPlaces', () => {
+  const stubPlaces = () => {
+    const searchByText = vi.fn(async () => ({
+      places: [{ id: 'p1', displayName: 'Cafe', location: { lat: 37.75, lng: -122.41 } }],
+    }));
+    globalThis.window = {
+      google: {
+        maps: {
+          importLibrary: vi.fn(async () => ({ Place: { searchByText } })),
+          LatLng: vi.fn(function LatLng(lat, lng) {
+            Object.assign(this, { lat, lng });
+          }),
+        },
+      },
+    };
+    return searchByText;
+  };
+
+  it('favours places near the center by default', async () => {
+    const searchByText = stubPlaces();
+
+    await searchPlaces(null, 'coffee', origin, 3000);
+
+    const [request] = searchByText.mock.calls[0];
+    expect(request.locationBias).toEqual({ center: { lat: origin.lat, lng: origin.lng }, radius: 3000 });
+    expect(request.locationRestriction).toBeUndefined();
+  });
+
+  it('only searches inside the given bounds', async () => {
+    const searchByText = stubPlaces();
+    const bounds = { north: 37.8, south: 37.7, east: -122.3, west: -122.5 };
+
+    const places = await searchPlaces(null, 'coffee', origin, 3000, { bounds });
+
+    const [request] = searchByText.mock.calls[0];
+    expect(request.locationRestriction).toEqual(bounds);
+    expect(request.locationBias).toBeUndefined();
+    expect(places.map((place) => place.place_id)).toEqual(['p1']);
+  });
+  it('keeps live results apart from fixture results in the cache', async () => {
+    stubPlaces();
+
+    await searchPlaces(null, 'coffee', origin, 3000);
+
+    expect(cachedFetch).toHaveBeenLastCalledWith(
+      'places',
+      expect.objectContaining({ source: 'google' }),
+      expect.any(Function),
+      expect.any(Object)
+    );
+  });
+});
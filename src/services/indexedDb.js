@@ -0,0 +1,73 @@
+/**
+ * Promise wrapper around a single IndexedDB object store
+ *
+ * Each store gets its own database. Where IndexedDB is missing or can't be opened (tests,
+ * some private browsing modes) the store falls back to an in-memory Map for the session.
+ */
+
+/**
+ * Open a key-value store
+ * @param {Object} options
+ * @param {string} options.dbName - Database name, e.g. 'chargefinder-cache'
+ * @param {string} options.storeName - Object store name
+ * @param {string} options.keyPath - Property of each record used as its key
+ * @param {string} options.label - Console prefix for warnings, e.g. '[Cache]'
+ * @returns {{get: Function, getAll: Function, put: Function, remove: Function, clear: Function}}
+ *   Async methods; `get` resolves to null for missing keys
+ */
+export const openObjectStore = ({ dbName, storeName, keyPath = 'key', label = '[IndexedDB]' }) => {
+  const fallback = new Map();
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName, { keyPath });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn(`${label} IndexedDB unavailable, keeping data in memory only:`, request.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  // Runs makeRequest(store) in a transaction; null when falling back to memory
+  const run = async (mode, makeRequest) => {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve({ result: request.result });
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    get: async (key) => {
+      const response = await run('readonly', (store) => store.get(key));
+      return (response ? response.result : fallback.get(key)) ?? null;
+    },
+    getAll: async () => {
+      const response = await run('readonly', (store) => store.getAll());
+      return response ? response.result : [...fallback.values()];
+    },
+    put: async (record) => {
+      const response = await run('readwrite', (store) => store.put(record));
+      if (!response) fallback.set(record[keyPath], record);
+    },
+    remove: async (key) => {
+      const response = await run('readwrite', (store) => store.delete(key));
+      if (!response) fallback.delete(key);
+    },
+    clear: async () => {
+      const response = await run('readwrite', (store) => store.clear());
+      if (!response) fallback.clear();
+    },
+  };
+};
@@ -1,83 +1,84 @@
 import axios from 'axios';
+import { parseTariff } from '../utils/tariff';
+import { isAbortError } from '../utils/abort';
+import { parseRetryAfter, requestWithRetry } from './requestPolicy';
 
 const OCM_API_KEY = import.meta.env.VITE_OPEN_CHARGE_MAP_API_KEY;
 const OCM_BASE_URL = 'https://api.openchargemap.io/v3/poi';
 
 /**
- * Fetch nearby EV chargers using Open Charge Map API
- * @param {Object} location - {lat, lng}
- * @param {number} distance - Search radius in km (default: 2)
- * @param {Object} filters - Filter options {free, speed}
- * @returns {Promise<Array>} Array of charger POIs
+ * Build the shared query params for an OCM /poi request
+ * @param {Object} extra - Location-specific params (latitude/longitude or boundingbox)
+ * @param {number} maxResults - Result limit
+ * @returns {Object} Request params
  */
-export const getNearbyChargers = async (location, distance = 2, filters = {}) => {
-  console.log('[Open Charge Map] Fetching chargers:', { location, distance, filters });
-  
-  try {
-    const params = {
-      latitude: location.lat,
-      longitude: location.lng,
-      distance: distance,
-      distanceunit: 'KM',
-      maxresults: 100,
-    };
+const buildParams = (extra, maxResults = 100) => {
+  const params = {
+    ...extra,
+    maxresults: maxResults,
+  };
 
-    if (OCM_API_KEY && OCM_API_KEY !== 'your_open_charge_map_api_key_here') {
-      params.key = OCM_API_KEY;
-      console.log('[Open Charge Map] Using API key');
-    } else {
-      console.log('[Open Charge Map] No API key, using public access');
-    }
+  if (OCM_API_KEY && OCM_API_KEY !== 'your_open_charge_map_api_key_here') {
+    params.key = OCM_API_KEY;
+    console.log('[Open Charge Map] Using API key');
+  } else {
+    console.log('[Open Charge Map] No API key, using public access');
+  }
+
+  return params;
+};
 
+// Network errors, rate limits and server errors are worth retrying; a bad key or request isn't
+const OCM_RETRY_POLICY = {
+  isRetryable: (error) => {
+    const status = error.response?.status;
+    if (status === undefined) return !!error.request;
+    return status === 429 || status >= 500;
+  },
+  getRetryAfterMs: (error) => parseRetryAfter(error.response?.headers?.['retry-after']),
+};
+
+// User-facing error that keeps what the UI needs to decide on a fallback
+const ocmError = (message, cause, extra = {}) => {
+  console.error('[Open Charge Map]', message);
+  return Object.assign(new Error(message), {
+    service: 'Open Charge Map',
+    retryable: !!cause.retryable,
+    ...extra,
+  });
+};
+
+/**
+ * Run a GET against the OCM /poi endpoint and map failures to user-facing errors.
+ * Transient failures are retried (see requestPolicy.js).
+ * @param {Object} params - Request params
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Array>} Raw OCM POIs
+ */
+const requestPois = async (params, signal) => {
+  try {
     console.log('[Open Charge Map] Making request to:', OCM_BASE_URL);
     console.log('[Open Charge Map] Request params:', { ...params, key: params.key ? '***' + OCM_API_KEY.slice(-4) : 'none' });
-    
-    const response = await axios.get(OCM_BASE_URL, { params });
+
+    const response = await requestWithRetry(
+      'Open Charge Map',
+      () => axios.get(OCM_BASE_URL, { params, signal }),
+      { ...OCM_RETRY_POLICY, signal }
+    );
 
     console.log('[Open Charge Map] Response status:', response.status);
     console.log('[Open Charge Map] Chargers found:', response.data?.length || 0);
 
-    let chargers = response.data || [];
-
-    // Apply filters
-    // Basic server-side pre-filtering (client applies richer filters later)
-    if (filters.free !== undefined) {
-      chargers = chargers.filter((charger) => {
-        const usageCost = charger.UsageCost || '';
-        const isPayAtLocation = charger.UsageType?.IsPayAtLocation ?? false;
-        // Only free if UsageCost explicitly contains "free" AND not pay-at-location
-        const isFree =
-          usageCost !== null &&
-          usageCost !== '' &&
-          typeof usageCost === 'string' &&
-          usageCost.toLowerCase().includes('free') &&
-          !isPayAtLocation;
-        return filters.free ? isFree : !isFree;
-      });
+    return response.data || [];
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log('[Open Charge Map] Request cancelled');
+      throw error;
     }
-
-    if (filters.speed) {
-      chargers = chargers.filter((charger) => {
-        if (!charger.Connections || charger.Connections.length === 0) return false;
-
-        const maxPower = Math.max(...charger.Connections.map((conn) => conn.PowerKW || 0));
-
-        switch (filters.speed) {
-          case 'level1':
-            return maxPower <= 3.7;
-          case 'level2':
-            return maxPower > 3.7 && maxPower <= 22;
-          case 'dc_fast':
-            return maxPower > 22;
-          default:
-            return true;
-        }
-      });
+    if (error.code === 'CIRCUIT_OPEN') {
+      console.warn('[Open Charge Map]', error.message);
+      throw error;
     }
-
-    console.log('[Open Charge Map] Returning', chargers.length, 'chargers');
-    return chargers;
-  } catch (error) {
     console.error('[Open Charge Map] Error fetching chargers:');
     console.error('[Open Charge Map] Error type:', error.constructor.name);
     console.error('[Open Charge Map] Error message:', error.message);
@@ -89,13 +90,16 @@ export const getNearbyChargers = async (location, distance = 2, filters = {}) =>
       console.error('[Open Charge Map] Response data:', JSON.stringify(data, null, 2));
       
       if (status === 403 || status === 401) {
-        const msg = 'Open Charge Map API key is invalid. Please check your API key or continue without it (API works without key but with rate limits).';
-        console.error('[Open Charge Map]', msg);
-        throw new Error(msg);
+        throw ocmError(
+          'Open Charge Map API key is invalid. Please check your API key or continue without it (API works without key but with rate limits).',
+          error
+        );
+      } else if (status === 429) {
+        throw ocmError('Open Charge Map is limiting requests right now. Please wait a minute and try again.', error, {
+          rateLimited: true,
+        });
       } else {
-        const msg = `Open Charge Map API error: ${status} - ${data?.message || 'Please try again later.'}`;
-        console.error('[Open Charge Map]', msg);
-        throw new Error(msg);
+        throw ocmError(`Open Charge Map API error: ${status} - ${data?.message || 'Please try again later.'}`, error);
       }
     } else if (error.request) {
       console.error('[Open Charge Map] No response received');
@@ -103,9 +107,10 @@ export const getNearbyChargers = async (location, distance = 2, filters = {}) =>
         url: error.config?.url,
         method: error.config?.method
       });
-      const msg = 'Network error: Could not reach Open Charge Map API. Please check your internet connection.';
-      console.error('[Open Charge Map]', msg);
-      throw new Error(msg);
+      throw ocmError(
+        'Network error: Could not reach Open Charge Map API. Please check your internet connection.',
+        error
+      );
     } else {
       console.error('[Open Charge Map] Request setup error:', error);
       throw new Error(error.message || 'An unexpected error occurred while fetching chargers.');
@@ -114,26 +119,51 @@ export const getNearbyChargers = async (location, distance = 2, filters = {}) =>
 };
 
 /**
- * Get chargers near multiple locations
- * @param {Array} locations - Array of {lat, lng}
+ * Fetch raw OCM POIs around a point
+ * @param {Object} location - {lat, lng}
  * @param {number} distance - Search radius in km
- * @param {Object} filters - Filter options
- * @returns {Promise<Array>} Array of charger arrays (one per location)
+ * @param {Object} options - {signal} to cancel the request
+ * @returns {Promise<Array>} Raw OCM POIs
  */
-export const getChargersForLocations = async (locations, distance = 5, filters = {}) => {
-  try {
-    const promises = locations.map((location) =>
-      getNearbyChargers(location, distance, filters)
-    );
-    return await Promise.all(promises);
-  } catch (error) {
-    console.error('Error fetching chargers for locations:', error);
-    throw error;
-  }
+export const fetchChargersByRadius = async (location, distance, { signal } = {}) => {
+  console.log('[Open Charge Map] Fetching chargers by radius:', { location, distance });
+  return requestPois(
+    buildParams({
+      latitude: location.lat,
+      longitude: location.lng,
+      distance: distance,
+      distanceunit: 'KM',
+    }),
+    signal
+  );
+};
+
+/**
+ * Fetch raw OCM POIs inside a bounding box
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {Object} options - {signal} to cancel the request; {minPowerKw} to only return
+ *   POIs with a connection of at least that power
+ * @returns {Promise<Array>} Raw OCM POIs
+ */
+export const fetchChargersByBoundingBox = async (bounds, { signal, minPowerKw } = {}) => {
+  console.log('[Open Charge Map] Fetching chargers by bounding box:', bounds, { minPowerKw });
+  return requestPois(
+    buildParams(
+      {
+        // OCM expects (lat,lng),(lat,lng) for two opposite corners.
+        boundingbox: `(${bounds.north},${bounds.west}),(${bounds.south},${bounds.east})`,
+        ...(minPowerKw ? { minpowerkw: minPowerKw } : {}),
+      },
+      // One box replaces a request per place, so it needs room for all of their chargers
+      500
+    ),
+    signal
+  );
 };
 
 /**
- * Parse charger data to extract useful information
+ * Parse charger data to extract useful information.
+ * The returned shape is the canonical charger model every provider normalizes to.
  * @param {Object} charger - Charger POI from API
  * @returns {Object} Parsed charger data
  */
@@ -169,17 +199,14 @@ export const parseChargerData = (charger) => {
   const isPayAtLocation = charger.UsageType?.IsPayAtLocation ?? false;
   
   // Determine if charger is free:
-  // 1. If UsageCost explicitly contains "free", it's free
+  // 1. If UsageCost says "free" and no price could be parsed from it, it's free
+  //    ("Free parking, $0.60/kWh" and "Free for the first 2 hours, then $1.50/hr" are paid)
   // 2. If UsageCost is null/empty, check IsPayAtLocation:
   //    - If IsPayAtLocation is true, it's NOT free (paid)
   //    - If IsPayAtLocation is false/null, default to not free (safer assumption)
-  // 3. If UsageCost has a value (and doesn't contain "free"), it's paid
-  const isFree =
-    usageCost !== null &&
-    usageCost !== '' &&
-    typeof usageCost === 'string' &&
-    usageCost.toLowerCase().includes('free') &&
-    !isPayAtLocation; // Explicitly free AND not pay-at-location
+  // 3. If UsageCost has a value (and doesn't say "free"), it's paid
+  const tariff = parseTariff(usageCost);
+  const isFree = !!tariff?.isFree && !isPayAtLocation; // Explicitly free AND not pay-at-location
 
   const statusType = charger.StatusType || {};
   const statusTitle = (statusType.Title || '').toLowerCase();
@@ -210,9 +237,17 @@ export const parseChargerData = (charger) => {
     isOperational = null; // Unknown status
   }
 
+  const deriveCurrentType = (c) => {
+    const title = (c.CurrentType?.Title || '').toUpperCase();
+    if (title.startsWith('DC') || c.CurrentTypeID === 30) return 'DC';
+    if (title.startsWith('AC') || c.CurrentTypeID === 10 || c.CurrentTypeID === 20) return 'AC';
+    return null;
+  };
+
   const connectorData = connections.map((c) => ({
     type: c.ConnectionType?.Title || 'Unknown',
     power: c.PowerKW || 0,
+    currentType: deriveCurrentType(c),
     level: c.Level?.Title || (c.LevelID ? `Level ${c.LevelID}` : 'Unknown'),
     status: c.StatusType?.Title || null,
     statusIsOperational:
@@ -225,6 +260,7 @@ export const parseChargerData = (charger) => {
 
   return {
     id: charger.ID,
+    source: 'ocm',
     name: charger.AddressInfo?.Title || 'Unnamed Charger',
     address: charger.AddressInfo?.AddressLine1 || '',
     location: {
@@ -237,6 +273,7 @@ export const parseChargerData = (charger) => {
     minPower: hasMultiplePowerLevels ? minPower : null,
     hasMultiplePowerLevels,
     isFree,
+    tariff,
     cost: usageCost && usageCost !== '' ? usageCost : (isFree ? 'Free' : (isPayAtLocation ? 'Pay At Location' : 'Paid')),
     status: {
       id: statusType.ID,
@@ -260,3 +297,14 @@ export const parseChargerData = (charger) => {
   };
 };
 
+
+/**
+ * Open Charge Map charger provider (see services/chargers.js for the interface)
+ */
+export const openChargeMapProvider = {
+  id: 'ocm',
+  name: 'Open Charge Map',
+  fetchByRadius: fetchChargersByRadius,
+  fetchByBoundingBox: fetchChargersByBoundingBox,
+  normalize: parseChargerData,
+};
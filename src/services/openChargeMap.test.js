@@ -0,0 +1,246 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import { fetchChargersByBoundingBox, fetchChargersByRadius, parseChargerData } from './openChargeMap';
+import { resetCircuitBreakers } from './requestPolicy';
+import ocmPois from '../fixtures/ocmPois.json';
+
+vi.mock('axios', () => ({ default: { get: vi.fn() } }));
+
+const poi = (id) => ocmPois.find((p) => p.ID === id);
+
+const TESLA_SUPERCHARGER = 118734;
+const WHOLE_FOODS_FREE = 152210;
+const EVGO_MULTI_POWER = 163902;
+const ELECTRIFY_AMERICA = 171455;
+const SFMTA_GARAGE = 184620;
+const RAINBOW_STAFF_ONLY = 140057;
+const PLANNED_HUB = 190311;
+const PHILZ_OUTLET = 102998;
+const REMOVED_LOT = 87512;
+const RITUAL_NO_STATUS = 176600;
+
+describe('parseChargerData', () => {
+  it('maps the canonical charger model', () => {
+    const charger = parseChargerData(poi(EVGO_MULTI_POWER));
+
+    expect(charger).toMatchObject({
+      id: EVGO_MULTI_POWER,
+      source: 'ocm',
+      name: "EVgo - Trader Joe's 9th St",
+      address: '555 9th St',
+      location: { lat: 37.77031, lng: -122.40772 },
+      operator: 'EVgo',
+      numberOfPoints: 3,
+    });
+    expect(charger.connectors.map((c) => c.type)).toEqual([
+      'CCS (Type 1)',
+      'CHAdeMO',
+      'Type 1 (J1772)',
+    ]);
+    expect(charger.availability.hasLiveStatus).toBe(true);
+  });
+
+  describe('power tiers', () => {
+    it('classifies a 1.4kW outlet as Level 1', () => {
+      const charger = parseChargerData(poi(PHILZ_OUTLET));
+      expect(charger.powerTier).toBe('level1');
+      expect(charger.speed).toBe('Level 1');
+    });
+
+    it('classifies a 6.6kW J1772 as Level 2', () => {
+      const charger = parseChargerData(poi(WHOLE_FOODS_FREE));
+      expect(charger.powerTier).toBe('level2');
+      expect(charger.maxPower).toBe(6.6);
+    });
+
+    it('classifies a Supercharger as DC Fast', () => {
+      const charger = parseChargerData(poi(TESLA_SUPERCHARGER));
+      expect(charger.powerTier).toBe('dc_fast');
+      expect(charger.speed).toBe('DC Fast');
+      expect(charger.maxPower).toBe(250);
+    });
+
+    it('reports a power range when connectors differ', () => {
+      const charger = parseChargerData(poi(EVGO_MULTI_POWER));
+      expect(charger.maxPower).toBe(100);
+      expect(charger.minPower).toBe(6.6);
+      expect(charger.hasMultiplePowerLevels).toBe(true);
+    });
+
+    it('treats chargers without power data as Level 1 with no range', () => {
+      const charger = parseChargerData({ ID: 1, Connections: [{ PowerKW: null }] });
+      expect(charger.maxPower).toBe(0);
+      expect(charger.minPower).toBeNull();
+      expect(charger.powerTier).toBe('level1');
+    });
+  });
+
+  describe('access category', () => {
+    it.each([
+      [TESLA_SUPERCHARGER, 'public'],
+      [WHOLE_FOODS_FREE, 'private'],
+      [ELECTRIFY_AMERICA, 'permit'],
+      [RAINBOW_STAFF_ONLY, 'restricted'],
+    ])('POI %i is %s', (id, category) => {
+      expect(parseChargerData(poi(id)).access.category).toBe(category);
+    });
+
+    it('detects parking-only usage from the title', () => {
+      const charger = parseChargerData({ ID: 2, UsageType: { Title: 'Parking Customers Only' } });
+      expect(charger.access.category).toBe('parking');
+    });
+
+    it('falls back to unknown without usage data', () => {
+      expect(parseChargerData({ ID: 3 }).access.category).toBe('unknown');
+    });
+  });
+
+  describe('operational status', () => {
+    it('trusts an explicit operational status', () => {
+      expect(parseChargerData(poi(TESLA_SUPERCHARGER)).status.isOperational).toBe(true);
+      expect(parseChargerData(poi(ELECTRIFY_AMERICA)).status.isOperational).toBe(true);
+    });
+
+    it('marks planned and removed sites as not operational', () => {
+      expect(parseChargerData(poi(PLANNED_HUB)).status.isOperational).toBe(false);
+      expect(parseChargerData(poi(REMOVED_LOT)).status.isOperational).toBe(false);
+    });
+
+    it('falls back to connection status when the site status is unknown', () => {
+      expect(parseChargerData(poi(SFMTA_GARAGE)).status.isOperational).toBe(true);
+      expect(parseChargerData(poi(RITUAL_NO_STATUS)).status.isOperational).toBe(true);
+    });
+
+    it('returns null when nothing indicates a status', () => {
+      const charger = parseChargerData({ ID: 4, Connections: [{ PowerKW: 7 }] });
+      expect(charger.status.isOperational).toBeNull();
+      expect(charger.status.title).toBe('Unknown status');
+    });
+
+    it('treats an "unavailable" title as not operational even if flagged operational', () => {
+      const charger = parseChargerData({
+        ID: 5,
+        StatusType: { ID: 30, Title: 'Temporarily Unavailable', IsOperational: true },
+      });
+      expect(charger.status.isOperational).toBe(false);
+    });
+  });
+
+  describe('cost', () => {
+    it('is not free when pay-at-location and UsageCost is missing', () => {
+      const charger = parseChargerData(poi(TESLA_SUPERCHARGER));
+      expect(charger.isFree).toBe(false);
+      expect(charger.cost).toBe('Pay At Location');
+    });
+
+    it('is free when UsageCost says so', () => {
+      const charger = parseChargerData(poi(WHOLE_FOODS_FREE));
+      expect(charger.isFree).toBe(true);
+      expect(charger.cost).toBe('Free');
+    });
+
+    it('keeps an explicit price as the cost text', () => {
+      const charger = parseChargerData(poi(EVGO_MULTI_POWER));
+      expect(charger.isFree).toBe(false);
+      expect(charger.cost).toBe('$0.35/kWh');
+    });
+
+    it('is not free with an empty UsageCost and pay-at-location', () => {
+      const charger = parseChargerData({
+        ID: 7,
+        UsageCost: '',
+        UsageType: { IsPayAtLocation: true },
+      });
+      expect(charger.isFree).toBe(false);
+      expect(charger.cost).toBe('Pay At Location');
+    });
+
+    it('defaults to Paid when nothing is known', () => {
+      const charger = parseChargerData(poi(RAINBOW_STAFF_ONLY));
+      expect(charger.isFree).toBe(false);
+      expect(charger.cost).toBe('Paid');
+    });
+
+    it('is not free when "free" refers to something other than charging', () => {
+      expect(parseChargerData({ ID: 8, UsageCost: 'Free parking, $0.60/kWh' }).isFree).toBe(false);
+      expect(
+        parseChargerData({ ID: 9, UsageCost: 'Free for the first 2 hours, then $1.50 per hour' }).isFree
+      ).toBe(false);
+    });
+
+    it('is not free when "free" is mentioned but payment is at location', () => {
+      const charger = parseChargerData({
+        ID: 6,
+        UsageCost: 'Free parking, charging billed on site',
+        UsageType: { IsPayAtLocation: true },
+      });
+      expect(charger.isFree).toBe(false);
+    });
+  });
+});
+
+describe('fetchChargersByRadius', () => {
+  const httpError = (status, headers = {}) =>
+    Object.assign(new Error(`Request failed with status code ${status}`), {
+      request: {},
+      response: { status, headers, data: {} },
+    });
+
+  beforeEach(() => {
+    resetCircuitBreakers();
+    axios.get.mockReset();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('retries after a rate limit, honouring Retry-After', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+      .mockResolvedValue({ status: 200, data: [poi(TESLA_SUPERCHARGER)] });
+
+    const pois = await fetchChargersByRadius({ lat: 37.77, lng: -122.42 }, 2);
+    expect(pois).toHaveLength(1);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('explains a rate limit that outlasts the retries', async () => {
+    axios.get.mockRejectedValue(httpError(429, { 'retry-after': '0' }));
+
+    await expect(fetchChargersByRadius({ lat: 37.77, lng: -122.42 }, 2)).rejects.toMatchObject({
+      message: expect.stringContaining('limiting requests'),
+      rateLimited: true,
+      retryable: true,
+    });
+    expect(axios.get).toHaveBeenCalledTimes(4);
+  });
+
+  it("doesn't retry an invalid key", async () => {
+    axios.get.mockRejectedValue(httpError(403));
+
+    await expect(fetchChargersByRadius({ lat: 37.77, lng: -122.42 }, 2)).rejects.toThrow('API key is invalid');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('fetchChargersByBoundingBox', () => {
+  const bounds = { north: 37.8, south: 37.7, east: -122.3, west: -122.5 };
+
+  beforeEach(() => {
+    resetCircuitBreakers();
+    axios.get.mockReset();
+    axios.get.mockResolvedValue({ status: 200, data: [] });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('asks Open Charge Map for a minimum power when given one', async () => {
+    await fetchChargersByBoundingBox(bounds, { minPowerKw: 22 });
+    await fetchChargersByBoundingBox(bounds);
+
+    expect(axios.get.mock.calls[0][1].params).toMatchObject({
+      boundingbox: '(37.8,-122.5),(37.7,-122.3)',
+      minpowerkw: 22,
+    });
+    expect(axios.get.mock.calls[1][1].params).not.toHaveProperty('minpowerkw');
+  });
+});
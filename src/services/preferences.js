@@ -0,0 +1,204 @@
+/**
+ * Locally persisted user preferences and saved filter presets (localStorage)
+ */
+
+import { DEFAULT_FILTERS } from '../utils/chargerFilters';
+import { DEFAULT_TRAVEL_MODE } from '../utils/travelModes';
+
+const PREFERENCES_KEY = 'chargefinder:preferences';
+const PRESETS_KEY = 'chargefinder:presets';
+const VEHICLE_KEY = 'chargefinder:vehicle';
+
+// Filters that describe the user rather than one search, so they carry over between sessions
+export const PREFERENCE_FILTER_KEYS = [
+  'connectors',
+  'speed',
+  'walkingTime',
+  'searchRadius',
+  'compatibleOnly',
+  'priceCurrency',
+];
+
+export const DEFAULT_PREFERENCES = {
+  filters: {},
+  units: 'imperial', // 'imperial' | 'metric'
+  travelMode: DEFAULT_TRAVEL_MODE, // how distances to places are measured; see utils/travelModes
+};
+
+// Shipped presets; these can't be deleted
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'builtin-road-trip-ccs',
+    name: 'Road trip: CCS DC fast only',
+    builtIn: true,
+    filters: { operational: true, speed: 'dc_fast', connectors: ['CCS (Type 1)'], match: 'all' },
+  },
+  {
+    id: 'builtin-free-while-shopping',
+    name: 'Free Level 2 while shopping',
+    builtIn: true,
+    filters: { cost: 'free', speed: 'level2', walkingTime: 5, match: 'all' },
+  },
+];
+
+const getStorage = () => {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    // Access can throw when storage is disabled (e.g. some private browsing modes)
+    return null;
+  }
+};
+
+const readJson = (key, fallback) => {
+  const storage = getStorage();
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn('[Preferences] Could not read', key, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn('[Preferences] Could not save', key, error);
+  }
+};
+
+/**
+ * Pick the filter values that are stored as preferences
+ * @param {Object} filters - Options panel filters
+ * @returns {Object} Preference subset
+ */
+export const pickPreferenceFilters = (filters = {}) =>
+  PREFERENCE_FILTER_KEYS.reduce((picked, key) => {
+    if (filters[key] !== undefined) picked[key] = filters[key];
+    return picked;
+  }, {});
+
+/**
+ * Load saved preferences, falling back to defaults for anything missing
+ * @returns {{filters: Object, units: string, travelMode: string}}
+ */
+export const loadPreferences = () => {
+  const stored = readJson(PREFERENCES_KEY, {});
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...stored,
+    filters: pickPreferenceFilters(stored.filters),
+  };
+};
+
+/**
+ * Merge and save preferences
+ * @param {Object} changes - Partial preferences ({filters, units, travelMode})
+ * @returns {{filters: Object, units: string, travelMode: string}} Saved preferences
+ */
+export const savePreferences = (changes) => {
+  const current = loadPreferences();
+  const next = {
+    ...current,
+    ...changes,
+    filters: { ...current.filters, ...pickPreferenceFilters(changes.filters) },
+  };
+  writeJson(PREFERENCES_KEY, next);
+  return next;
+};
+
+/**
+ * Initial filters for a session: defaults, then saved preferences
+ * @returns {Object} Options panel filters
+ */
+export const getPreferredFilters = () => ({
+  ...DEFAULT_FILTERS,
+  ...loadPreferences().filters,
+});
+
+/**
+ * Built-in presets followed by the user's saved presets
+ * @returns {Array<{id: string, name: string, filters: Object, builtIn?: boolean}>}
+ */
+export const loadPresets = () => {
+  const saved = readJson(PRESETS_KEY, []);
+  return [...BUILT_IN_PRESETS, ...(Array.isArray(saved) ? saved : [])];
+};
+
+/**
+ * Save the given filters as a named preset (replacing a saved preset with the same name)
+ * @param {string} name - Preset name
+ * @param {Object} filters - Options panel filters
+ * @returns {Array} All presets
+ */
+export const savePreset = (name, filters) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Preset name is required.');
+  }
+
+  const saved = loadPresets().filter((p) => !p.builtIn && p.name !== trimmed);
+  // Search radius belongs to the area being searched, not the preset
+  const { searchRadius: _searchRadius, ...presetFilters } = filters;
+  saved.push({ id: `preset-${Date.now()}`, name: trimmed, filters: presetFilters });
+  writeJson(PRESETS_KEY, saved);
+  return loadPresets();
+};
+
+/**
+ * Delete a saved preset (built-in presets are left alone)
+ * @param {string} id - Preset id
+ * @returns {Array} All presets
+ */
+export const deletePreset = (id) => {
+  const saved = loadPresets().filter((p) => !p.builtIn && p.id !== id);
+  writeJson(PRESETS_KEY, saved);
+  return loadPresets();
+};
+
+/**
+ * The saved vehicle profile
+ * @returns {Object|null} {name, ports, adapters, maxAcKw, maxDcKw, batteryKwh, efficiency}
+ *   or null when none is saved
+ */
+export const loadVehicle = () => {
+  const vehicle = readJson(VEHICLE_KEY, null);
+  return vehicle && Array.isArray(vehicle.ports) ? vehicle : null;
+};
+
+/**
+ * Save (or with null, forget) the vehicle profile
+ * @param {Object|null} vehicle - {name, ports, adapters, maxAcKw, maxDcKw, batteryKwh, efficiency}
+ * @returns {Object|null} Saved vehicle
+ */
+export const saveVehicle = (vehicle) => {
+  if (!vehicle) {
+    try {
+      getStorage()?.removeItem(VEHICLE_KEY);
+    } catch (error) {
+      console.warn('[Preferences] Could not remove', VEHICLE_KEY, error);
+    }
+    return null;
+  }
+  if (!vehicle.ports?.length) {
+    throw new Error('Select at least one charge port.');
+  }
+
+  const toPositive = (value) => (Number(value) > 0 ? Number(value) : 0);
+  const saved = {
+    name: (vehicle.name || '').trim() || 'My EV',
+    ports: [...vehicle.ports],
+    adapters: [...(vehicle.adapters || [])],
+    maxAcKw: toPositive(vehicle.maxAcKw),
+    maxDcKw: toPositive(vehicle.maxDcKw),
+    batteryKwh: toPositive(vehicle.batteryKwh),
+    efficiency: toPositive(vehicle.efficiency),
+  };
+  writeJson(VEHICLE_KEY, saved);
+  return saved;
+};
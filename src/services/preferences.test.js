@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  loadPreferences,
+  savePreferences,
+  getPreferredFilters,
+  loadPresets,
+  savePreset,
+  deletePreset,
+  loadVehicle,
+  saveVehicle,
+  BUILT_IN_PRESETS,
+} from './preferences';
+import { DEFAULT_FILTERS } from '../utils/chargerFilters';
+
+const createMemoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+};
+
+describe('preferences', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', createMemoryStorage());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('returns defaults when nothing is stored', () => {
+    expect(loadPreferences()).toEqual({ filters: {}, units: 'imperial', travelMode: 'driving' });
+    expect(getPreferredFilters()).toEqual(DEFAULT_FILTERS);
+  });
+
+  it('persists only the preference filters', () => {
+    savePreferences({
+      filters: { ...DEFAULT_FILTERS, connectors: ['CHAdeMO'], walkingTime: 10, cost: 'free' },
+    });
+
+    expect(loadPreferences().filters).toEqual({
+      connectors: ['CHAdeMO'],
+      speed: 'all',
+      walkingTime: 10,
+      searchRadius: 10,
+      compatibleOnly: true,
+      priceCurrency: 'USD',
+    });
+    expect(getPreferredFilters()).toMatchObject({ connectors: ['CHAdeMO'], walkingTime: 10, cost: 'all' });
+  });
+
+  it('merges partial updates', () => {
+    savePreferences({ filters: { walkingTime: 8 } });
+    savePreferences({ units: 'metric' });
+    savePreferences({ travelMode: 'transit' });
+    expect(loadPreferences()).toEqual({ filters: { walkingTime: 8 }, units: 'metric', travelMode: 'transit' });
+  });
+
+  it('survives corrupt storage', () => {
+    localStorage.setItem('chargefinder:preferences', '{not json');
+    expect(loadPreferences().units).toBe('imperial');
+  });
+
+  it('works without localStorage', () => {
+    vi.stubGlobal('localStorage', undefined);
+    expect(savePreferences({ units: 'metric' }).units).toBe('metric');
+    expect(loadPreferences().units).toBe('imperial');
+  });
+});
+
+describe('presets', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', createMemoryStorage());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('starts with the built-in presets', () => {
+    expect(loadPresets()).toEqual(BUILT_IN_PRESETS);
+  });
+
+  it('saves a named preset without the search radius', () => {
+    const presets = savePreset('  Errands  ', { ...DEFAULT_FILTERS, cost: 'free', searchRadius: 30 });
+    const saved = presets[presets.length - 1];
+    expect(saved.name).toBe('Errands');
+    expect(saved.filters.cost).toBe('free');
+    expect(saved.filters).not.toHaveProperty('searchRadius');
+    expect(loadPresets()).toHaveLength(BUILT_IN_PRESETS.length + 1);
+  });
+
+  it('replaces a preset with the same name', () => {
+    savePreset('Errands', { cost: 'free' });
+    savePreset('Errands', { cost: 'paid' });
+    const errands = loadPresets().filter((p) => p.name === 'Errands');
+    expect(errands).toHaveLength(1);
+    expect(errands[0].filters.cost).toBe('paid');
+  });
+
+  it('requires a name', () => {
+    expect(() => savePreset('   ', {})).toThrow();
+  });
+
+  it('deletes saved presets but keeps built-ins', () => {
+    const presets = savePreset('Errands', { cost: 'free' });
+    const saved = presets[presets.length - 1];
+
+    expect(deletePreset(saved.id)).toEqual(BUILT_IN_PRESETS);
+    expect(deletePreset(BUILT_IN_PRESETS[0].id)).toEqual(BUILT_IN_PRESETS);
+  });
+});
+
+describe('vehicle profile', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', createMemoryStorage());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('has no vehicle until one is saved', () => {
+    expect(loadVehicle()).toBeNull();
+  });
+
+  it('saves a cleaned-up vehicle', () => {
+    saveVehicle({
+      name: '  ',
+      ports: ['nacs'],
+      adapters: ['j1772'],
+      maxAcKw: '11.5',
+      maxDcKw: -5,
+      batteryKwh: '75',
+    });
+    expect(loadVehicle()).toEqual({
+      name: 'My EV',
+      ports: ['nacs'],
+      adapters: ['j1772'],
+      maxAcKw: 11.5,
+      maxDcKw: 0,
+      batteryKwh: 75,
+      efficiency: 0,
+    });
+  });
+
+  it('requires a charge port', () => {
+    expect(() => saveVehicle({ name: 'Mystery', ports: [] })).toThrow();
+  });
+
+  it('forgets the vehicle when saving null', () => {
+    saveVehicle({ ports: ['ccs1'] });
+    saveVehicle(null);
+    expect(loadVehicle()).toBeNull();
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Retries, backoff and circuit breaking for external API calls
+ *
+ * Every external service (Open Charge Map, the Google Maps services) goes through
+ * `requestWithRetry`. Transient failures (network errors, 5xx, rate limits) are retried
+ * with exponential backoff and jitter, honouring Retry-After when the service sends one
+ * (a Retry-After longer than `maxDelayMs` fails straight away as rate limited rather than
+ * stalling the search). Each service has its own circuit breaker: after repeated failures
+ * further calls fail fast for a cooldown instead of piling onto a struggling API, then one
+ * trial call is let through to see whether it has recovered; calls made while it's pending
+ * fail fast too.
+ *
+ * Errors that reach the caller carry `service`, `retryable`, `rateLimited` and, for an
+ * open circuit, `code: 'CIRCUIT_OPEN'` and `retryAfterMs`, so the UI can fall back or
+ * explain what's going on (see isServiceDegraded).
+ */
+
+import { isAbortError } from '../utils/abort';
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3, // attempts after the first
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  isRetryable: (error) => !!error?.retryable,
+  getRetryAfterMs: (error) => error?.retryAfterMs ?? null,
+};
+
+// Consecutive failed calls (after their retries) that open a service's circuit
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 30 * 1000;
+
+const circuits = new Map();
+
+const getCircuit = (service) => {
+  if (!circuits.has(service)) circuits.set(service, { failures: 0, openUntil: 0, trialPending: false });
+  return circuits.get(service);
+};
+
+const circuitOpenError = (service, retryAfterMs) => {
+  const error = new Error(
+    `${service} is temporarily unavailable after repeated errors. Trying again in ${Math.ceil(retryAfterMs / 1000)}s.`
+  );
+  return Object.assign(error, { service, code: 'CIRCUIT_OPEN', retryAfterMs });
+};
+
+/**
+ * Parse a Retry-After header: seconds, or an HTTP date
+ * @param {string|number|null} value - Header value
+ * @param {number} now - Current time in ms (for dates)
+ * @returns {number|null} Delay in ms, or null when missing or unreadable
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Delay before a retry: exponential backoff with "equal jitter" (half fixed, half random),
+ * so clients that failed together don't all retry at the same moment
+ * @param {number} attempt - 0 for the first retry
+ * @param {Object} policy - {baseDelayMs, maxDelayMs}
+ * @returns {number} Delay in ms
+ */
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_POLICY) => {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Whether an error means the service is struggling (throttled, down or cut off by the
+ * circuit breaker) rather than the request being wrong, i.e. when a fallback makes sense
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const isServiceDegraded = (error) =>
+  !!error && (error.code === 'CIRCUIT_OPEN' || !!error.rateLimited || !!error.retryable);
+
+/**
+ * Call `request`, retrying transient failures
+ * @param {string} service - Service name, e.g. 'Open Charge Map'; also used in messages
+ * @param {Function} request - (attempt) => Promise
+ * @param {Object} options - Overrides for DEFAULT_RETRY_POLICY, plus {signal} to cancel
+ *   (including while waiting to retry)
+ * @returns {Promise<*>} The request's result
+ */
+export const requestWithRetry = async (service, request, { signal, ...overrides } = {}) => {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...overrides };
+  const circuit = getCircuit(service);
+
+  const now = Date.now();
+  if (circuit.openUntil > now) throw circuitOpenError(service, circuit.openUntil - now);
+
+  // The cooldown is over but the service hasn't recovered yet: only one trial call at a time
+  const isTrial = circuit.openUntil > 0;
+  if (isTrial) {
+    if (circuit.trialPending) throw circuitOpenError(service, policy.baseDelayMs);
+    circuit.trialPending = true;
+  }
+
+  try {
+    return await attemptWithRetry(service, request, policy, circuit, signal);
+  } finally {
+    if (isTrial) circuit.trialPending = false;
+  }
+};
+
+// The retry loop of requestWithRetry; updates the circuit as calls succeed or give up
+const attemptWithRetry = async (service, request, policy, circuit, signal) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const result = await request(attempt);
+      circuit.failures = 0;
+      circuit.openUntil = 0;
+      return result;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      const retryable = policy.isRetryable(error);
+      const retryAfterMs = retryable ? policy.getRetryAfterMs(error) : null;
+      // Don't stall a search for as long as an overloaded service asks; report it as rate limited
+      const waitTooLong = retryAfterMs !== null && retryAfterMs > policy.maxDelayMs;
+      if (retryable && !waitTooLong && attempt < policy.retries) {
+        const delay = retryAfterMs ?? backoffDelay(attempt, policy);
+        console.warn(`[Retry] ${service} failed (attempt ${attempt + 1}), retrying in ${Math.round(delay)}ms:`, error.message);
+        await wait(delay, signal);
+        continue;
+      }
+
+      // Bad requests and bad keys won't get better by waiting, so they don't trip the breaker
+      if (retryable) {
+        circuit.failures += 1;
+        if (circuit.failures >= FAILURE_THRESHOLD) {
+          circuit.openUntil = Date.now() + COOLDOWN_MS;
+          console.warn(`[Retry] ${service} failed ${circuit.failures} times in a row, pausing requests for ${COOLDOWN_MS / 1000}s`);
+        }
+      }
+      if (error && typeof error === 'object') {
+        error.service = error.service || service;
+        error.retryable = retryable;
+        if (waitTooLong) Object.assign(error, { rateLimited: true, retryAfterMs });
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Close every circuit (used by tests)
+ */
+export const resetCircuitBreakers = () => {
+  circuits.clear();
+};
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  backoffDelay,
+  isServiceDegraded,
+  parseRetryAfter,
+  requestWithRetry,
+  resetCircuitBreakers,
+} from './requestPolicy';
+import { isAbortError } from '../utils/abort';
+
+const transient = (message = 'busy', extra = {}) => Object.assign(new Error(message), { retryable: true, ...extra });
+
+beforeEach(() => {
+  resetCircuitBreakers();
+  vi.useFakeTimers();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('5', now)).toBe(5000);
+    expect(parseRetryAfter(2, now)).toBe(2000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now)).toBe(0);
+  });
+
+  it('ignores missing or unreadable values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles each attempt with up to half of it random, capped', () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(backoffDelay(0, policy)).toBe(50);
+    expect(backoffDelay(2, policy)).toBe(200);
+    Math.random.mockReturnValue(1);
+    expect(backoffDelay(2, policy)).toBe(400);
+    expect(backoffDelay(10, policy)).toBe(1000);
+  });
+});
+
+describe('requestWithRetry', () => {
+  it('retries transient failures with backoff until one succeeds', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const request = vi.fn().mockRejectedValueOnce(transient()).mockRejectedValueOnce(transient()).mockResolvedValue('ok');
+
+    const pending = requestWithRetry('Test', request, { baseDelayMs: 100 });
+    await vi.advanceTimersByTimeAsync(99);
+    expect(request).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(request).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(await pending).toBe('ok');
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const request = vi.fn().mockRejectedValueOnce(transient('slow down', { retryAfterMs: 5000 })).mockResolvedValue('ok');
+
+    const pending = requestWithRetry('Test', request, { baseDelayMs: 100 });
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(request).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    expect(await pending).toBe('ok');
+  });
+
+  it('fails straight away as rate limited when Retry-After is longer than the max delay', async () => {
+    const request = vi.fn().mockRejectedValue(transient('slow down', { retryAfterMs: 3600 * 1000 }));
+
+    await expect(requestWithRetry('Test', request)).rejects.toMatchObject({
+      rateLimited: true,
+      retryAfterMs: 3600 * 1000,
+    });
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't retry errors that won't go away", async () => {
+    const request = vi.fn().mockRejectedValue(new Error('Invalid key'));
+
+    await expect(requestWithRetry('Test', request)).rejects.toThrow('Invalid key');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after the last retry and marks the error', async () => {
+    const request = vi.fn().mockRejectedValue(transient());
+
+    const pending = requestWithRetry('Test', request, { retries: 2, baseDelayMs: 10 });
+    const result = expect(pending).rejects.toMatchObject({ service: 'Test', retryable: true });
+    await vi.runAllTimersAsync();
+    await result;
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops waiting to retry when the signal aborts', async () => {
+    const controller = new AbortController();
+    const request = vi.fn().mockRejectedValue(transient());
+
+    const pending = requestWithRetry('Test', request, { signal: controller.signal, baseDelayMs: 1000 });
+    const result = expect(pending).rejects.toSatisfy(isAbortError);
+    await vi.advanceTimersByTimeAsync(10);
+    controller.abort();
+    await result;
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('opens the circuit after repeated failures, then lets a trial call through', async () => {
+    const failing = vi.fn().mockRejectedValue(transient());
+    for (let i = 0; i < 3; i += 1) {
+      await expect(requestWithRetry('Flaky', failing, { retries: 0 })).rejects.toThrow('busy');
+    }
+
+    const skipped = vi.fn().mockResolvedValue('ok');
+    await expect(requestWithRetry('Flaky', skipped)).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+      service: 'Flaky',
+      retryAfterMs: 30000,
+    });
+    expect(skipped).not.toHaveBeenCalled();
+
+    // Other services aren't affected
+    expect(await requestWithRetry('Healthy', skipped)).toBe('ok');
+
+    vi.advanceTimersByTime(30000);
+    expect(await requestWithRetry('Flaky', skipped)).toBe('ok');
+  });
+
+  it('reopens straight away when the trial call fails', async () => {
+    const failing = vi.fn().mockRejectedValue(transient());
+    for (let i = 0; i < 3; i += 1) {
+      await expect(requestWithRetry('Flaky', failing, { retries: 0 })).rejects.toThrow('busy');
+    }
+    vi.advanceTimersByTime(30000);
+
+    await expect(requestWithRetry('Flaky', failing, { retries: 0 })).rejects.toThrow('busy');
+    await expect(requestWithRetry('Flaky', failing, { retries: 0 })).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+  });
+
+  it('lets only one trial call through while it is pending', async () => {
+    const failing = vi.fn().mockRejectedValue(transient());
+    for (let i = 0; i < 3; i += 1) {
+      await expect(requestWithRetry('Flaky', failing, { retries: 0 })).rejects.toThrow('busy');
+    }
+    vi.advanceTimersByTime(30000);
+
+    let finishTrial;
+    const trial = vi.fn(() => new Promise((resolve) => (finishTrial = resolve)));
+    const pending = requestWithRetry('Flaky', trial);
+    const concurrent = vi.fn().mockResolvedValue('ok');
+    await expect(requestWithRetry('Flaky', concurrent)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(concurrent).not.toHaveBeenCalled();
+
+    finishTrial('recovered');
+    expect(await pending).toBe('recovered');
+    expect(await requestWithRetry('Flaky', concurrent)).toBe('ok');
+  });
+
+  it("doesn't count bad requests towards the circuit", async () => {
+    const invalid = vi.fn().mockRejectedValue(new Error('Invalid key'));
+    for (let i = 0; i < 5; i += 1) {
+      await expect(requestWithRetry('Strict', invalid)).rejects.toThrow('Invalid key');
+    }
+    expect(invalid).toHaveBeenCalledTimes(5);
+  });
+});
+
+describe('isServiceDegraded', () => {
+  it('is true for throttling, transient failures and an open circuit', () => {
+    expect(isServiceDegraded({ code: 'CIRCUIT_OPEN' })).toBe(true);
+    expect(isServiceDegraded({ rateLimited: true })).toBe(true);
+    expect(isServiceDegraded(transient())).toBe(true);
+    expect(isServiceDegraded(new Error('Invalid key'))).toBe(false);
+    expect(isServiceDegraded(null)).toBe(false);
+  });
+});
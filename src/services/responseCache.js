@@ -0,0 +1,189 @@
+/**
+ * Client-side cache for API responses (Places, Distance Matrix, Geocoding, chargers)
+ *
+ * Entries live in IndexedDB (see indexedDb.js) so they survive reloads and back/forward
+ * navigation, with an in-memory copy for fast repeat reads.
+ *
+ * Each source has a TTL. Within it a cached response is returned as-is; after it, the stale
+ * response is still returned straight away while a fresh one is fetched in the background
+ * (stale-while-revalidate). Listeners registered with subscribeToCache hear about hits,
+ * stale reads and finished revalidations so the UI can show how old its data is.
+ */
+
+import { openObjectStore } from './indexedDb';
+import { isAbortError } from '../utils/abort';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How long each source's responses count as fresh
+export const CACHE_TTLS = {
+  places: 6 * HOUR,
+  distances: 30 * MINUTE, // traffic-independent, but routes and closures change
+  geocode: 30 * DAY,
+  chargers: 15 * MINUTE, // status changes often
+};
+
+// Older than this, a response isn't worth showing even while revalidating
+const MAX_STALE_MS = 7 * DAY;
+
+const store = openObjectStore({ dbName: 'chargefinder-cache', storeName: 'responses', label: '[Cache]' });
+
+const memory = new Map();
+// Background refreshes in flight by key: {promise, controller}
+const revalidating = new Map();
+const listeners = new Set();
+let pruned = null;
+
+/**
+ * Normalize key parts so equivalent requests share an entry: strings are trimmed and
+ * lower-cased, numbers rounded to 4 decimals (~11m for coordinates), object keys sorted
+ */
+const normalizeKeyPart = (value) => {
+  if (typeof value === 'string') return value.trim().toLowerCase();
+  if (typeof value === 'number') return Math.round(value * 1e4) / 1e4;
+  if (Array.isArray(value)) return value.map(normalizeKeyPart);
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((normalized, key) => {
+        if (value[key] !== undefined) normalized[key] = normalizeKeyPart(value[key]);
+        return normalized;
+      }, {});
+  }
+  return value ?? null;
+};
+
+/**
+ * Cache key for a request
+ * @param {string} source - One of CACHE_TTLS keys
+ * @param {Object} parts - Request parameters, e.g. {query, location, radius}
+ * @returns {string}
+ */
+export const buildCacheKey = (source, parts) => `${source}:${JSON.stringify(normalizeKeyPart(parts))}`;
+
+// Delete entries too old to ever be shown again, once per session
+const pruneExpired = () => {
+  if (!pruned) {
+    const cutoff = Date.now() - MAX_STALE_MS;
+    pruned = store
+      .getAll()
+      .then((entries) =>
+        Promise.all(entries.filter((entry) => entry.fetchedAt < cutoff).map((entry) => store.remove(entry.key)))
+      )
+      .catch((error) => console.warn('[Cache] Pruning failed:', error));
+  }
+  return pruned;
+};
+
+const readEntry = async (key) => {
+  if (memory.has(key)) return memory.get(key);
+  try {
+    await pruneExpired();
+    const entry = await store.get(key);
+    if (entry) memory.set(key, entry);
+    return entry;
+  } catch (error) {
+    console.warn('[Cache] Read failed:', error);
+    return null;
+  }
+};
+
+const writeEntry = async (entry) => {
+  memory.set(entry.key, entry);
+  try {
+    await store.put(entry);
+  } catch (error) {
+    console.warn('[Cache] Write failed:', error);
+  }
+};
+
+const emit = (event) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('[Cache] Listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Listen for cache activity
+ * @param {Function} listener - Called with {type: 'hit'|'stale'|'miss'|'revalidated', source, key, fetchedAt}
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToCache = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const saveEntry = async (key, source, value) => {
+  const entry = { key, source, value, fetchedAt: Date.now() };
+  await writeEntry(entry);
+  return entry;
+};
+
+// Refreshes with a signal of its own: the search that read the stale entry may be cancelled
+// while the refresh is still useful to every later read of the same key
+const revalidate = (key, source, fetcher) => {
+  if (revalidating.has(key)) return revalidating.get(key).promise;
+  const controller = new AbortController();
+  const promise = Promise.resolve()
+    .then(() => fetcher(controller.signal))
+    .then((value) => saveEntry(key, source, value))
+    .then((entry) => emit({ type: 'revalidated', source, key, fetchedAt: entry.fetchedAt }))
+    .catch((error) => {
+      if (!isAbortError(error)) console.warn(`[Cache] Revalidating ${source} failed, keeping stale data:`, error);
+    })
+    .finally(() => revalidating.delete(key));
+  revalidating.set(key, { promise, controller });
+  return promise;
+};
+
+/**
+ * Return a cached response, fetching (or revalidating in the background) as needed
+ * @param {string} source - One of CACHE_TTLS keys
+ * @param {Object} keyParts - Request parameters that identify the response
+ * @param {Function} fetcher - (signal) => Promise of the response; must be structured-cloneable.
+ *   Use the signal it is given rather than the caller's, so background refreshes outlive the caller
+ * @param {Object} options - {signal} passed to the fetcher when the response has to be fetched now
+ * @returns {Promise<*>} The response
+ */
+export const cachedFetch = async (source, keyParts, fetcher, { signal } = {}) => {
+  const key = buildCacheKey(source, keyParts);
+  const ttl = CACHE_TTLS[source] ?? 0;
+  const entry = await readEntry(key);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (entry && age < ttl) {
+    emit({ type: 'hit', source, key, fetchedAt: entry.fetchedAt });
+    return entry.value;
+  }
+
+  if (entry && age < MAX_STALE_MS) {
+    emit({ type: 'stale', source, key, fetchedAt: entry.fetchedAt });
+    revalidate(key, source, fetcher);
+    return entry.value;
+  }
+
+  const fresh = await saveEntry(key, source, await fetcher(signal));
+  emit({ type: 'miss', source, key, fetchedAt: fresh.fetchedAt });
+  return fresh.value;
+};
+
+/**
+ * Drop every cached response
+ * @returns {Promise<void>}
+ */
+export const clearResponseCache = async () => {
+  memory.clear();
+  revalidating.forEach(({ controller }) => controller.abort());
+  revalidating.clear();
+  try {
+    await store.clear();
+  } catch (error) {
+    console.warn('[Cache] Clear failed:', error);
+  }
+};
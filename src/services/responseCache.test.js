@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CACHE_TTLS, buildCacheKey, cachedFetch, clearResponseCache, subscribeToCache } from './responseCache';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('buildCacheKey', () => {
+  it('treats equivalent requests as the same entry', () => {
+    const a = buildCacheKey('places', { query: ' Coffee ', location: { lat: 37.774912, lng: -122.41941 } });
+    const b = buildCacheKey('places', { location: { lng: -122.419412, lat: 37.77491 }, query: 'coffee' });
+    expect(a).toBe(b);
+  });
+
+  it('separates sources and different parameters', () => {
+    expect(buildCacheKey('places', { query: 'tea' })).not.toBe(buildCacheKey('geocode', { query: 'tea' }));
+    expect(buildCacheKey('places', { radius: 1000 })).not.toBe(buildCacheKey('places', { radius: 2000 }));
+  });
+});
+
+describe('cachedFetch', () => {
+  let now;
+  let events;
+  let unsubscribe;
+
+  beforeEach(async () => {
+    await clearResponseCache();
+    now = 1_700_000_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    events = [];
+    unsubscribe = subscribeToCache((event) => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    vi.restoreAllMocks();
+  });
+
+  it('fetches once and serves repeats from the cache while fresh', async () => {
+    const fetcher = vi.fn().mockResolvedValue(['a']);
+
+    expect(await cachedFetch('places', { query: 'gym' }, fetcher)).toEqual(['a']);
+    now += CACHE_TTLS.places - 1;
+    expect(await cachedFetch('places', { query: 'gym' }, fetcher)).toEqual(['a']);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(events.map((e) => e.type)).toEqual(['miss', 'hit']);
+  });
+
+  it('returns stale data immediately and revalidates in the background', async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+    await cachedFetch('chargers', { id: 1 }, fetcher);
+    const firstFetch = now;
+
+    now += CACHE_TTLS.chargers + 1;
+    expect(await cachedFetch('chargers', { id: 1 }, fetcher)).toBe('old');
+    await flush();
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(events.map((e) => e.type)).toEqual(['miss', 'stale', 'revalidated']);
+    expect(events[1].fetchedAt).toBe(firstFetch);
+    expect(await cachedFetch('chargers', { id: 1 }, fetcher)).toBe('new');
+  });
+
+  it('keeps stale data when revalidation fails', async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce('old').mockRejectedValueOnce(new Error('offline'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await cachedFetch('distances', { id: 1 }, fetcher);
+
+    now += CACHE_TTLS.distances + 1;
+    expect(await cachedFetch('distances', { id: 1 }, fetcher)).toBe('old');
+    await flush();
+
+    expect(events.map((e) => e.type)).toEqual(['miss', 'stale']);
+  });
+
+  it('revalidates with its own signal, not the caller\'s', async () => {
+    const controller = new AbortController();
+    // Settles on the next tick, or rejects if its signal is aborted first
+    const fetcher = vi.fn(
+      (signal) =>
+        new Promise((resolve, reject) => {
+          setTimeout(() => resolve('new'), 0);
+          signal?.addEventListener('abort', () => reject(signal.reason));
+        })
+    );
+    fetcher.mockResolvedValueOnce('old');
+    await cachedFetch('chargers', { id: 2 }, fetcher, { signal: controller.signal });
+
+    now += CACHE_TTLS.chargers + 1;
+    expect(await cachedFetch('chargers', { id: 2 }, fetcher, { signal: controller.signal })).toBe('old');
+    controller.abort();
+    await flush();
+
+    expect(fetcher.mock.calls[0][0]).toBe(controller.signal);
+    expect(fetcher.mock.calls[1][0]).not.toBe(controller.signal);
+    expect(events.map((e) => e.type)).toEqual(['miss', 'stale', 'revalidated']);
+  });
+
+  it('fetches again once data is too old to show', async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+    await cachedFetch('geocode', { address: 'x' }, fetcher);
+
+    now += 60 * 24 * 60 * 60 * 1000;
+    expect(await cachedFetch('geocode', { address: 'x' }, fetcher)).toBe('new');
+  });
+
+  it('does not cache failures', async () => {
+    const fetcher = vi.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValueOnce('ok');
+    await expect(cachedFetch('places', { query: 'x' }, fetcher)).rejects.toThrow('down');
+    expect(await cachedFetch('places', { query: 'x' }, fetcher)).toBe('ok');
+  });
+});
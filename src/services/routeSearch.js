@@ -0,0 +1,173 @@
+/**
+ * "Chargers along my trip" search and road trip planning
+ *
+ * Gets the driving route, splits it into segments and runs the usual place search and
+ * charger lookup once per segment. Places are kept when they are within the corridor
+ * around the route and are ordered by how far along the route they are.
+ */
+
+import { searchPlaces, geocodeAddress, getDrivingRoute } from './googleMaps';
+import { getChargersForLocations, mergeChargers, assignChargersToPlaces } from './chargers';
+import { calculateDistance } from '../utils/distance';
+import { getChargerCompatibility } from '../utils/vehicleCompatibility';
+import { DEFAULT_TRIP_OPTIONS, planChargingStops } from '../utils/tripPlanner';
+import {
+  DEFAULT_CORRIDOR_KM,
+  cumulativeDistances,
+  planRouteSegments,
+  projectOntoRoute,
+} from '../utils/route';
+
+// DC fast chargers can be a little further off the route than places to visit
+const TRIP_CORRIDOR_KM = 5;
+// Above this a charger counts as DC fast (see parseChargerData). Asking providers for it keeps
+// slower chargers from filling the result limit on busy corridors; 22kW AC ones that still
+// come back are dropped by the dc_fast filter.
+const DC_FAST_MIN_KW = 22;
+// How far a stop's amenity can be from the charger
+const AMENITY_WALK_KM = 0.4;
+
+const placeLocation = (place) => ({
+  lat: place.geometry.location.lat,
+  lng: place.geometry.location.lng,
+});
+
+/**
+ * One charger lookup per segment, each wide enough to cover the segment plus `extraKm`
+ * @param {Object} options - {signal, minPowerKw} (see getChargersForLocations)
+ * @returns {Promise<Array>} Merged chargers
+ */
+const fetchSegmentChargers = async (segments, extraKm = 0, filters = {}, options = {}) => {
+  const radiusKm = Math.max(...segments.map((s) => s.radiusKm)) + extraKm;
+  return mergeChargers(
+    await getChargersForLocations(
+      segments.map((s) => s.center),
+      radiusKm,
+      filters,
+      options
+    )
+  );
+};
+
+/**
+ * Search for places and nearby chargers along a driving route
+ * @param {Object} options
+ * @param {google.maps.Map} options.map - Map instance (passed through to searchPlaces)
+ * @param {string} options.query - Place search query, e.g. "coffee"
+ * @param {Object} options.origin - {lat, lng}
+ * @param {Object|string} options.destination - {lat, lng} or an address to geocode
+ * @param {number} options.walkingDistanceKm - Max charger distance from a place
+ * @param {number} options.corridorKm - Max place distance from the route
+ * @param {AbortSignal} options.signal - Cancels the search (rejects with an AbortError)
+ * @returns {Promise<{route: Object, places: Array, chargers: Array}>} Places carry
+ *   routeDistanceKm and routeOffsetKm; chargers are tagged with their places like a
+ *   single-location search (see assignChargersToPlaces)
+ */
+export const searchAlongRoute = async ({
+  map,
+  query,
+  origin,
+  destination,
+  walkingDistanceKm,
+  corridorKm = DEFAULT_CORRIDOR_KM,
+  signal,
+}) => {
+  const destinationLocation =
+    typeof destination === 'string' ? await geocodeAddress(destination, { signal }) : destination;
+  const route = await getDrivingRoute(origin, destinationLocation, { signal });
+  if (!route.path?.length) {
+    throw new Error('No driving route found between those locations.');
+  }
+
+  const segments = planRouteSegments(route.path, { corridorKm });
+  console.log('[Route] Searching', segments.length, 'segments along the route');
+
+  const placeLists = await Promise.all(
+    segments.map((segment) => searchPlaces(map, query, segment.center, segment.radiusKm * 1000, { signal }))
+  );
+
+  // The same place often comes back for neighbouring segments
+  const uniquePlaces = new Map();
+  placeLists.flat().forEach((place) => {
+    if (!uniquePlaces.has(place.place_id)) uniquePlaces.set(place.place_id, place);
+  });
+
+  const totals = cumulativeDistances(route.path);
+  const places = [...uniquePlaces.values()]
+    .map((place) => {
+      const { distanceAlongKm, offsetKm } = projectOntoRoute(placeLocation(place), route.path, totals);
+      return { ...place, routeDistanceKm: distanceAlongKm, routeOffsetKm: offsetKm };
+    })
+    .filter((place) => place.routeOffsetKm <= corridorKm)
+    .sort((a, b) => a.routeDistanceKm - b.routeDistanceKm);
+
+  // Wide enough to reach chargers near places at the corridor edge
+  const segmentChargers = await fetchSegmentChargers(segments, walkingDistanceKm, {}, { signal });
+
+  const chargers = assignChargersToPlaces(segmentChargers, places, walkingDistanceKm);
+
+  console.log('[Route] Found', places.length, 'places and', chargers.length, 'chargers along the route');
+  return { route: { ...route, destination: destinationLocation }, places, chargers };
+};
+
+/**
+ * Plan DC fast charging stops for a route
+ * @param {Object} options
+ * @param {Object} options.route - Route from getDrivingRoute / searchAlongRoute
+ * @param {Array} options.amenities - Places along the route (e.g. searchAlongRoute results); stops
+ *   with one of these nearby are preferred
+ * @param {Object|null} options.vehicle - Vehicle profile; only compatible chargers are used
+ * @param {number} options.startSoc - % when leaving
+ * @param {number} options.reserveSoc - Minimum % to arrive anywhere with
+ * @param {number} options.targetSoc - % to charge up to at a stop
+ * @param {AbortSignal} options.signal - Cancels the charger lookup (rejects with an AbortError)
+ * @returns {Promise<Object>} planChargingStops result plus `candidateCount`
+ */
+export const planRoadTrip = async ({
+  route,
+  amenities = [],
+  vehicle = null,
+  startSoc = DEFAULT_TRIP_OPTIONS.startSoc,
+  reserveSoc = DEFAULT_TRIP_OPTIONS.reserveSoc,
+  targetSoc = DEFAULT_TRIP_OPTIONS.targetSoc,
+  signal,
+}) => {
+  const segments = planRouteSegments(route.path, { corridorKm: TRIP_CORRIDOR_KM });
+  const chargers = await fetchSegmentChargers(
+    segments,
+    0,
+    { speed: 'dc_fast' },
+    { signal, minPowerKw: DC_FAST_MIN_KW }
+  );
+
+  const totals = cumulativeDistances(route.path);
+  const candidates = chargers
+    .filter((charger) => charger.status?.isOperational !== false)
+    .map((charger) => {
+      const compatibility = getChargerCompatibility(charger, vehicle);
+      const { distanceAlongKm, offsetKm } = projectOntoRoute(charger.location, route.path, totals);
+      const amenity = amenities
+        .map((place) => ({ place, distanceKm: calculateDistance(placeLocation(place), charger.location) }))
+        .filter(({ distanceKm }) => distanceKm <= AMENITY_WALK_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm)[0]?.place;
+      return {
+        ...charger,
+        compatibility,
+        powerKw: compatibility?.effectivePower ?? charger.maxPower,
+        routeDistanceKm: distanceAlongKm,
+        routeOffsetKm: offsetKm,
+        amenity: amenity || null,
+      };
+    })
+    .filter((c) => c.routeOffsetKm <= TRIP_CORRIDOR_KM && (!c.compatibility || c.compatibility.compatible));
+
+  console.log('[Route] Planning trip with', candidates.length, 'DC fast chargers along the route');
+  const plan = planChargingStops(candidates, {
+    routeKm: totals[totals.length - 1],
+    vehicle,
+    startSoc,
+    reserveSoc,
+    targetSoc,
+  });
+  return { ...plan, candidateCount: candidates.length };
+};
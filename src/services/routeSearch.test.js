@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('./googleMaps', () => ({
+  searchPlaces: vi.fn(),
+  geocodeAddress: vi.fn(),
+  getDrivingRoute: vi.fn(),
+}));
+
+vi.mock('./chargers', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getChargersForLocations: vi.fn(),
+}));
+
+import { searchPlaces, geocodeAddress, getDrivingRoute } from './googleMaps';
+import { getChargersForLocations } from './chargers';
+import { searchAlongRoute, planRoadTrip } from './routeSearch';
+
+const place = (id, lat, lng) => ({ place_id: id, name: id, geometry: { location: { lat, lng } } });
+const charger = (id, lat, lng) => ({ id, source: 'ocm', location: { lat, lng } });
+
+describe('searchAlongRoute', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getDrivingRoute.mockResolvedValue({
+      path: [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 0.3 },
+      ],
+      distanceMeters: 40000,
+      durationSeconds: 1800,
+    });
+  });
+
+  it('keeps places inside the corridor, deduped and ordered along the route', async () => {
+    searchPlaces.mockResolvedValue([
+      place('far-along', 0.001, 0.25),
+      place('near-start', 0.001, 0.02),
+      place('off-route', 0.2, 0.1),
+    ]);
+    getChargersForLocations.mockResolvedValue([
+      [charger(1, 0.001, 0.021)],
+      [charger(1, 0.001, 0.021), charger(2, 0.0, 0.251)],
+    ]);
+
+    const result = await searchAlongRoute({
+      map: null,
+      query: 'coffee',
+      origin: { lat: 0, lng: 0 },
+      destination: { lat: 0, lng: 0.3 },
+      walkingDistanceKm: 0.5,
+    });
+
+    expect(result.places.map((p) => p.place_id)).toEqual(['near-start', 'far-along']);
+    expect(result.places[0].routeDistanceKm).toBeCloseTo(2.2, 1);
+    expect(result.places[0].routeOffsetKm).toBeLessThan(0.2);
+    expect(result.chargers.map((c) => [c.id, c.placeId])).toEqual([
+      [1, 'near-start'],
+      [2, 'far-along'],
+    ]);
+    expect(searchPlaces).toHaveBeenCalledTimes(getChargersForLocations.mock.calls[0][0].length);
+  });
+
+  it('geocodes a destination given as text', async () => {
+    geocodeAddress.mockResolvedValue({ lat: 0, lng: 0.3 });
+    searchPlaces.mockResolvedValue([]);
+    getChargersForLocations.mockResolvedValue([]);
+
+    const result = await searchAlongRoute({
+      query: 'coffee',
+      origin: { lat: 0, lng: 0 },
+      destination: 'Somewhere',
+      walkingDistanceKm: 0.5,
+    });
+
+    expect(geocodeAddress).toHaveBeenCalledWith('Somewhere', { signal: undefined });
+    expect(getDrivingRoute).toHaveBeenCalledWith({ lat: 0, lng: 0 }, { lat: 0, lng: 0.3 }, { signal: undefined });
+    expect(result.route.destination).toEqual({ lat: 0, lng: 0.3 });
+  });
+
+  it('passes the abort signal to every request', async () => {
+    const { signal } = new AbortController();
+    searchPlaces.mockResolvedValue([place('near-start', 0.001, 0.02)]);
+    getChargersForLocations.mockResolvedValue([[]]);
+
+    await searchAlongRoute({
+      query: 'coffee',
+      origin: { lat: 0, lng: 0 },
+      destination: 'Somewhere',
+      walkingDistanceKm: 0.5,
+      signal,
+    });
+
+    expect(geocodeAddress.mock.calls[0][1]).toEqual({ signal });
+    expect(getDrivingRoute.mock.calls[0][2]).toEqual({ signal });
+    expect(searchPlaces.mock.calls.every((call) => call[4].signal === signal)).toBe(true);
+    expect(getChargersForLocations.mock.calls[0][3]).toEqual({ signal });
+  });
+});
+
+describe('planRoadTrip', () => {
+  const route = {
+    path: [
+      { lat: 0, lng: 0 },
+      { lat: 0, lng: 3.6 },
+    ],
+  };
+  const dcCharger = (id, lng, extra = {}) => ({
+    id,
+    source: 'ocm',
+    name: `DC ${id}`,
+    location: { lat: 0.001, lng },
+    powerTier: 'dc_fast',
+    maxPower: 150,
+    connectors: [{ type: 'CCS (Type 1)', power: 150, currentType: 'DC' }],
+    status: { isOperational: true },
+    ...extra,
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('asks for DC fast chargers and plans stops from usable ones near amenities', async () => {
+    getChargersForLocations.mockResolvedValue([
+      [
+        dcCharger(1, 1.8),
+        dcCharger(2, 2.2, { status: { isOperational: false } }),
+        dcCharger(3, 2.0, { connectors: [{ type: 'CHAdeMO', power: 50, currentType: 'DC' }] }),
+      ],
+    ]);
+
+    const { signal } = new AbortController();
+    const plan = await planRoadTrip({
+      route,
+      amenities: [place('coffee', 0.002, 1.801)],
+      vehicle: { ports: ['ccs1'], adapters: [], maxDcKw: 150, batteryKwh: 60, efficiency: 4 },
+      startSoc: 80,
+      reserveSoc: 10,
+      signal,
+    });
+
+    expect(getChargersForLocations.mock.calls[0][2]).toEqual({ speed: 'dc_fast' });
+    expect(getChargersForLocations.mock.calls[0][3]).toEqual({ signal, minPowerKw: 22 });
+    expect(plan.candidateCount).toBe(1);
+    expect(plan.feasible).toBe(true);
+    expect(plan.stops.map((s) => [s.charger.id, s.amenity?.place_id])).toEqual([[1, 'coffee']]);
+  });
+});
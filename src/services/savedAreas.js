@@ -0,0 +1,119 @@
+/**
+ * Areas saved for offline use
+ *
+ * "Save this area" stores a search's results (places, chargers with their parsed details,
+ * drive distances and the route) in IndexedDB so the area can be reopened without a
+ * connection. Saving the same search again replaces the earlier copy.
+ */
+
+import { openObjectStore } from './indexedDb';
+
+// Oldest areas are dropped beyond this
+export const MAX_SAVED_AREAS = 20;
+
+const store = openObjectStore({
+  dbName: 'chargefinder-saved-areas',
+  storeName: 'areas',
+  keyPath: 'id',
+  label: '[SavedAreas]',
+});
+
+/**
+ * Short description of a search, e.g. "coffee near Oakland" or "coffee on the way to Tahoe"
+ * @param {Object} searchData - {query, locationType, customLocation, mode, destination}
+ * @returns {string}
+ */
+export const describeSearch = (searchData) => {
+  const query = searchData?.query || '';
+  if (searchData?.mode === 'route' && searchData.destination) {
+    return `${query} on the way to ${searchData.destination}`;
+  }
+  if (searchData?.locationType === 'custom' && searchData.customLocation) {
+    return `${query} near ${searchData.customLocation}`;
+  }
+  return query;
+};
+
+// Same query, mode and destination from (about) the same spot
+const searchSignature = (searchData, center) =>
+  [
+    (searchData?.query || '').trim().toLowerCase(),
+    searchData?.mode === 'route' ? (searchData.destination || '').trim().toLowerCase() : '',
+    center ? `${center.lat.toFixed(3)},${center.lng.toFixed(3)}` : '',
+  ].join('|');
+
+const newAreaId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Saved areas, newest first, without their results
+ * @returns {Promise<Array<{id, label, savedAt, placeCount, chargerCount, searchData}>>}
+ */
+export const listSavedAreas = async () => {
+  const areas = await store.getAll();
+  return areas
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .map(({ id, label, savedAt, places, chargers, searchData }) => ({
+      id,
+      label,
+      savedAt,
+      placeCount: places.length,
+      chargerCount: chargers.length,
+      searchData,
+    }));
+};
+
+/**
+ * Save a search's results
+ * @param {Object} area
+ * @param {Object} area.searchData - The search (query, location, mode, destination)
+ * @param {Object} area.center - Resolved search center {lat, lng}
+ * @param {Array} area.places - Places as shown, with charger counts
+ * @param {Array} area.chargers - Chargers as returned by getChargersForPlaces / searchAlongRoute
+ * @param {Object} area.distances - place_id -> drive distance result
+ * @param {Object|null} area.route - Route for route searches
+ * @returns {Promise<Object>} The saved area, including `id` and `savedAt`
+ */
+export const saveArea = async ({ searchData, center, places, chargers, distances = {}, route = null }) => {
+  const signature = searchSignature(searchData, center);
+  const areas = await store.getAll();
+  const existing = areas.find((area) => area.signature === signature);
+
+  const area = {
+    id: existing?.id || newAreaId(),
+    signature,
+    label: describeSearch(searchData),
+    savedAt: Date.now(),
+    // Only what's needed to run the search again; filters and selection stay in the URL
+    searchData: {
+      query: searchData.query,
+      locationType: searchData.locationType,
+      customLocation: searchData.customLocation ?? null,
+      ...(searchData.mode === 'route' ? { mode: 'route', destination: searchData.destination } : {}),
+    },
+    center,
+    places,
+    chargers,
+    distances,
+    route,
+  };
+  await store.put(area);
+
+  const others = areas.filter((a) => a.id !== area.id).sort((a, b) => b.savedAt - a.savedAt);
+  await Promise.all(others.slice(MAX_SAVED_AREAS - 1).map((a) => store.remove(a.id)));
+  console.log('[SavedAreas] Saved', area.label, 'with', places.length, 'places and', chargers.length, 'chargers');
+  return area;
+};
+
+/**
+ * A saved area with its results
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export const getSavedArea = (id) => store.get(id);
+
+/**
+ * Delete a saved area
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteSavedArea = (id) => store.remove(id);
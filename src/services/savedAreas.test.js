@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  MAX_SAVED_AREAS,
+  deleteSavedArea,
+  describeSearch,
+  getSavedArea,
+  listSavedAreas,
+  saveArea,
+} from './savedAreas';
+
+const center = { lat: 37.7749, lng: -122.4194 };
+const search = { query: 'coffee', locationType: 'custom', customLocation: 'Mission District' };
+const results = {
+  places: [{ place_id: 'p1', name: 'Cafe' }],
+  chargers: [{ id: 1, placeIds: ['p1'] }, { id: 2, placeIds: ['p1'] }],
+  distances: { p1: { distanceValue: 1200 } },
+};
+
+describe('describeSearch', () => {
+  it('mentions the location or destination', () => {
+    expect(describeSearch(search)).toBe('coffee near Mission District');
+    expect(describeSearch({ query: 'tacos', mode: 'route', destination: 'Tahoe' })).toBe('tacos on the way to Tahoe');
+    expect(describeSearch({ query: 'gym', locationType: 'my-location' })).toBe('gym');
+  });
+});
+
+describe('saved areas', () => {
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    await Promise.all((await listSavedAreas()).map((area) => deleteSavedArea(area.id)));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('stores results and reads them back', async () => {
+    const saved = await saveArea({ searchData: search, center, ...results });
+
+    const area = await getSavedArea(saved.id);
+    expect(area.places).toEqual(results.places);
+    expect(area.chargers).toEqual(results.chargers);
+    expect(area.distances).toEqual(results.distances);
+    expect(area.searchData).toEqual({ ...search });
+    expect(await listSavedAreas()).toEqual([
+      expect.objectContaining({ id: saved.id, label: 'coffee near Mission District', placeCount: 1, chargerCount: 2 }),
+    ]);
+  });
+
+  it('replaces an earlier save of the same search', async () => {
+    const first = await saveArea({ searchData: search, center, ...results });
+    const second = await saveArea({
+      searchData: { ...search, query: ' Coffee ' },
+      center: { lat: 37.77491, lng: -122.41941 },
+      ...results,
+      chargers: [],
+    });
+
+    expect(second.id).toBe(first.id);
+    const areas = await listSavedAreas();
+    expect(areas).toHaveLength(1);
+    expect(areas[0].chargerCount).toBe(0);
+  });
+
+  it('keeps only the most recent areas', async () => {
+    let now = 1_700_000_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => (now += 1000));
+    for (let i = 0; i <= MAX_SAVED_AREAS; i += 1) {
+      await saveArea({ searchData: { ...search, query: `q${i}` }, center, ...results });
+    }
+
+    const areas = await listSavedAreas();
+    expect(areas).toHaveLength(MAX_SAVED_AREAS);
+    expect(areas[0].searchData.query).toBe(`q${MAX_SAVED_AREAS}`);
+    expect(areas.some((area) => area.searchData.query === 'q0')).toBe(false);
+  });
+
+  it('returns null for unknown areas', async () => {
+    expect(await getSavedArea('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Registers public/sw.js, which caches the app shell for offline use.
+ * Production builds only: in development the cached shell would hide code changes.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register('/sw.js')
+      .then((registration) => console.log('[ServiceWorker] Registered with scope', registration.scope))
+      .catch((error) => console.warn('[ServiceWorker] Registration failed:', error));
+  });
+};
@@ -0,0 +1,30 @@
+/**
+ * Cancellation helpers for AbortController signals
+ *
+ * fetch/axios requests take the signal directly. The Google Maps JS services have no way
+ * to cancel a request, so callers wrap them with `abortable` to stop waiting instead.
+ */
+
+/**
+ * Whether an error means the request was cancelled rather than failed
+ * @param {*} error - A thrown value
+ * @returns {boolean} true for DOM AbortErrors and axios cancellations
+ */
+export const isAbortError = (error) =>
+  error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+
+/**
+ * Settle with `promise`, or reject with the signal's abort reason as soon as it aborts
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
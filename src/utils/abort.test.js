@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { abortable, isAbortError } from './abort';
+
+describe('isAbortError', () => {
+  it('recognizes DOM and axios cancellations', () => {
+    expect(isAbortError(new DOMException('Aborted', 'AbortError'))).toBe(true);
+    expect(isAbortError({ name: 'CanceledError', code: 'ERR_CANCELED' })).toBe(true);
+    expect(isAbortError(new Error('Network error'))).toBe(false);
+    expect(isAbortError(undefined)).toBe(false);
+  });
+});
+
+describe('abortable', () => {
+  it('passes results through without a signal or until it aborts', async () => {
+    expect(await abortable(Promise.resolve(1))).toBe(1);
+    expect(await abortable(Promise.resolve(2), new AbortController().signal)).toBe(2);
+    await expect(abortable(Promise.reject(new Error('boom')), new AbortController().signal)).rejects.toThrow('boom');
+  });
+
+  it('rejects as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = abortable(new Promise(() => {}), controller.signal);
+    controller.abort();
+    await expect(pending).rejects.toSatisfy(isAbortError);
+  });
+
+  it('rejects straight away for an already aborted signal', async () => {
+    await expect(abortable(Promise.resolve(1), AbortSignal.abort())).rejects.toSatisfy(isAbortError);
+  });
+});
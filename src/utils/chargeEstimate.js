@@ -0,0 +1,170 @@
+/**
+ * Estimate how much charge a vehicle gains at a charger during a planned stop
+ *
+ * A deliberately simple charging curve: full power up to DC_TAPER_SOC on DC fast chargers,
+ * then a reduced rate to 100%. AC charging runs at full power until the battery is full.
+ */
+
+import { estimateTariffCost, isFreeCharging } from './tariff';
+import { walkingTimeToDistanceKm } from './distance';
+
+export const DEFAULT_BATTERY_KWH = 65;
+export const DEFAULT_EFFICIENCY = 3.5; // miles per kWh
+
+export const DEFAULT_CHARGE_PLAN = {
+  currentSoc: 30, // % state of charge on arrival
+  dwellMinutes: 45, // time spent at the place
+};
+
+const DC_TAPER_SOC = 80;
+const DC_TAPER_FACTOR = 0.35;
+
+export const CHARGE_SORT_OPTIONS = [
+  { key: 'recommended', label: 'Recommended' },
+  { key: 'range', label: 'Most range added' },
+  { key: 'cost', label: 'Lowest cost' },
+  { key: 'walking', label: 'Shortest walk' },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Estimate the charge added at one charger
+ * @param {Object} charger - Normalized charger (optionally with `compatibility`)
+ * @param {Object} plan - {currentSoc, dwellMinutes}
+ * @param {Object|null} vehicle - Vehicle profile ({batteryKwh, efficiency}); defaults when missing
+ * @returns {Object|null} {powerKw, kWhAdded, milesAdded, endSoc, chargingMinutes, estimatedCost,
+ *   currency, costConfidence} or null when the vehicle can't use the charger or its power is unknown.
+ *   The cost assumes the car stays plugged in for the whole stop (so per-minute and idle fees
+ *   apply) and is null when the price isn't known.
+ */
+export const estimateCharge = (charger, plan = DEFAULT_CHARGE_PLAN, vehicle = null) => {
+  if (charger.compatibility && !charger.compatibility.compatible) return null;
+
+  const powerKw = charger.compatibility?.effectivePower ?? charger.maxPower;
+  if (!powerKw || powerKw <= 0) return null;
+
+  const batteryKwh = vehicle?.batteryKwh > 0 ? vehicle.batteryKwh : DEFAULT_BATTERY_KWH;
+  const efficiency = vehicle?.efficiency > 0 ? vehicle.efficiency : DEFAULT_EFFICIENCY;
+  const startSoc = clamp(Number(plan.currentSoc) || 0, 0, 100);
+  const dwellMinutes = Math.max(0, Number(plan.dwellMinutes) || 0);
+  const isDc = charger.compatibility
+    ? charger.compatibility.currentType === 'DC'
+    : charger.powerTier === 'dc_fast';
+
+  // Energy (kWh) per SoC band and the power used in it
+  const bands = isDc
+    ? [
+        { energy: (batteryKwh * Math.max(0, DC_TAPER_SOC - startSoc)) / 100, power: powerKw },
+        {
+          energy: (batteryKwh * (100 - Math.max(DC_TAPER_SOC, startSoc))) / 100,
+          power: powerKw * DC_TAPER_FACTOR,
+        },
+      ]
+    : [{ energy: (batteryKwh * (100 - startSoc)) / 100, power: powerKw }];
+
+  let minutesLeft = dwellMinutes;
+  let kWhAdded = 0;
+  bands.forEach(({ energy, power }) => {
+    if (minutesLeft <= 0 || energy <= 0) return;
+    const minutesToFill = (energy / power) * 60;
+    const minutes = Math.min(minutesLeft, minutesToFill);
+    kWhAdded += (power * minutes) / 60;
+    minutesLeft -= minutes;
+  });
+
+  const chargingMinutes = dwellMinutes - minutesLeft;
+  const isFree = isFreeCharging(charger);
+  const estimatedCost = isFree
+    ? 0
+    : estimateTariffCost(charger.tariff, { kWh: kWhAdded, pluggedMinutes: dwellMinutes, chargingMinutes });
+
+  return {
+    powerKw,
+    kWhAdded: Math.round(kWhAdded * 10) / 10,
+    milesAdded: Math.round(kWhAdded * efficiency),
+    endSoc: Math.round(startSoc + (kWhAdded / batteryKwh) * 100),
+    chargingMinutes: Math.round(chargingMinutes),
+    estimatedCost,
+    currency: charger.tariff?.currency || null,
+    costConfidence: isFree ? 1 : (charger.tariff?.confidence ?? 0),
+  };
+};
+
+/**
+ * Minutes needed to charge between two states of charge, using the same curve as estimateCharge
+ * @param {number} powerKw - Power the vehicle can draw at the charger
+ * @param {number} fromSoc - % on arrival
+ * @param {number} toSoc - % wanted on departure
+ * @param {Object} options - {batteryKwh, isDc}
+ * @returns {number|null} Whole minutes, or null when the power is unknown
+ */
+export const estimateChargeMinutes = (
+  powerKw,
+  fromSoc,
+  toSoc,
+  { batteryKwh = DEFAULT_BATTERY_KWH, isDc = true } = {}
+) => {
+  if (!powerKw || powerKw <= 0) return null;
+  const start = clamp(fromSoc, 0, 100);
+  const end = clamp(toSoc, start, 100);
+  const taper = isDc ? DC_TAPER_SOC : 100;
+
+  const fullPowerKwh = (batteryKwh * Math.max(0, Math.min(end, taper) - start)) / 100;
+  const taperedKwh = (batteryKwh * Math.max(0, end - Math.max(taper, start))) / 100;
+  const hours = fullPowerKwh / powerKw + taperedKwh / (powerKw * DC_TAPER_FACTOR);
+  return Math.round(hours * 60);
+};
+
+// Minutes on foot from the place: the walking route ({durationValue} seconds) when it has
+// loaded, otherwise estimated from the straight-line distance
+const walkingMinutes = (charger) => {
+  const { walk } = charger;
+  if (walk && !walk.approximate && typeof walk.durationValue === 'number') return walk.durationValue / 60;
+  return typeof charger.distanceFromPlace === 'number'
+    ? charger.distanceFromPlace / walkingTimeToDistanceKm(1)
+    : null;
+};
+
+// Sorts after every comparable cost, keeping these chargers in their given order
+const INCOMPARABLE_COST = Number.MAX_VALUE;
+
+// Costs are only compared in one currency, that of the cheapest priced estimate. Free stops
+// compare with anything; other currencies and prices without one go after.
+const costValue = (chargers) => {
+  const currency = chargers
+    .map((c) => c.estimate)
+    .filter((estimate) => estimate?.estimatedCost > 0 && estimate.currency)
+    .sort((a, b) => a.estimatedCost - b.estimatedCost)[0]?.currency;
+  return (c) => {
+    const cost = c.estimate?.estimatedCost ?? null;
+    if (cost === null) return null;
+    return cost === 0 || (currency && c.estimate.currency === currency) ? cost : INCOMPARABLE_COST;
+  };
+};
+
+/**
+ * Sort chargers annotated with `estimate` (and `distanceFromPlace`, plus `walk` once the
+ * walking route has loaded)
+ * @param {Array} chargers - Chargers for one place
+ * @param {string} sortBy - One of CHARGE_SORT_OPTIONS keys; 'recommended' keeps the given order
+ * @returns {Array} Sorted copy; chargers without the value go last, and for 'cost' costs in
+ *   another currency (or none) just before them
+ */
+export const sortChargersByEstimate = (chargers, sortBy = 'recommended') => {
+  const value = {
+    range: (c) => (c.estimate ? -c.estimate.milesAdded : null),
+    cost: sortBy === 'cost' ? costValue(chargers) : null,
+    walking: walkingMinutes,
+  }[sortBy];
+  if (!value) return [...chargers];
+
+  return [...chargers].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va === null && vb === null) return 0;
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    return va - vb;
+  });
+};
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { estimateCharge, estimateChargeMinutes, sortChargersByEstimate } from './chargeEstimate';
+import { getChargerCompatibility } from './vehicleCompatibility';
+import { parseChargerData } from '../services/openChargeMap';
+import ocmPois from '../fixtures/ocmPois.json';
+
+const charger = (id) => parseChargerData(ocmPois.find((p) => p.ID === id));
+
+const bolt = {
+  ports: ['ccs1'],
+  adapters: [],
+  maxAcKw: 11.5,
+  maxDcKw: 55,
+  batteryKwh: 65,
+  efficiency: 3.6,
+};
+
+const withCompatibility = (c, vehicle) => ({ ...c, compatibility: getChargerCompatibility(c, vehicle) });
+
+describe('estimateCharge', () => {
+  it('charges at the Level 2 rate for the whole stop', () => {
+    // Blink: 7.2kW J1772, $0.39/kWh
+    const estimate = estimateCharge(withCompatibility(charger(98844), bolt), { currentSoc: 30, dwellMinutes: 60 }, bolt);
+    expect(estimate).toEqual({
+      powerKw: 7.2,
+      kWhAdded: 7.2,
+      milesAdded: 26,
+      endSoc: 41,
+      chargingMinutes: 60,
+      estimatedCost: 2.81,
+      currency: 'USD',
+      costConfidence: 1,
+    });
+  });
+
+  it('caps DC power at the vehicle limit and tapers above 80%', () => {
+    // 55kW to 80% (32.5kWh from 30% takes ~35 min), then 19.25kW for the last ~10 min
+    const estimate = estimateCharge(withCompatibility(charger(163902), bolt), { currentSoc: 30, dwellMinutes: 45 }, bolt);
+    expect(estimate.powerKw).toBe(55);
+    expect(estimate.kWhAdded).toBe(35.6);
+    expect(estimate.endSoc).toBe(85);
+    expect(estimate.estimatedCost).toBe(12.45);
+  });
+
+  it('adds session fees and time-based charges from the tariff', () => {
+    // Electrify America: $0.48/kWh + $1.00 session fee
+    const ea = estimateCharge(withCompatibility(charger(171455), bolt), { currentSoc: 30, dwellMinutes: 45 }, bolt);
+    expect(ea.estimatedCost).toBe(18.07);
+
+    // SFMTA garage: $2/hr after 2 hours, so a 3 hour stop pays for one hour
+    const garage = estimateCharge(charger(184620), { currentSoc: 30, dwellMinutes: 180 });
+    expect(garage.estimatedCost).toBe(2);
+    expect(estimateCharge(charger(184620), { currentSoc: 30, dwellMinutes: 60 }).estimatedCost).toBe(0);
+  });
+
+  it('prices stops at chargers whose "free" only covers part of the stay', () => {
+    const firstHoursFree = parseChargerData({
+      ID: 1,
+      UsageCost: 'Free for the first 2 hours, then $1.50 per hour',
+      Connections: [{ PowerKW: 7.2, CurrentType: { ID: 10 } }],
+    });
+    // Three paid hours; an older record flagged free gets the same price
+    expect(estimateCharge(firstHoursFree, { currentSoc: 30, dwellMinutes: 300 }).estimatedCost).toBe(4.5);
+    expect(
+      estimateCharge({ ...firstHoursFree, isFree: true }, { currentSoc: 30, dwellMinutes: 300 }).estimatedCost
+    ).toBe(4.5);
+  });
+
+  it('has no cost when the price is unknown', () => {
+    // Rainbow: empty UsageCost
+    expect(estimateCharge(charger(140057)).estimatedCost).toBeNull();
+  });
+
+  it('stops once the battery is full', () => {
+    const estimate = estimateCharge(withCompatibility(charger(98844), bolt), { currentSoc: 95, dwellMinutes: 600 }, bolt);
+    expect(estimate.endSoc).toBe(100);
+    expect(estimate.chargingMinutes).toBeLessThan(600);
+  });
+
+  it('uses a typical battery and max power without a vehicle', () => {
+    const estimate = estimateCharge(charger(152210), { currentSoc: 50, dwellMinutes: 30 });
+    expect(estimate).toMatchObject({ powerKw: 6.6, kWhAdded: 3.3, estimatedCost: 0 });
+  });
+
+  it('returns null for incompatible chargers and unknown power', () => {
+    expect(estimateCharge(withCompatibility(charger(118734), bolt), undefined, bolt)).toBeNull();
+    expect(estimateCharge({ maxPower: 0, connectors: [] })).toBeNull();
+  });
+});
+
+describe('estimateChargeMinutes', () => {
+  it('charges at full power up to the DC taper', () => {
+    // 60 kWh battery, 10% -> 80% = 42 kWh at 84 kW = 30 min
+    expect(estimateChargeMinutes(84, 10, 80, { batteryKwh: 60 })).toBe(30);
+  });
+
+  it('slows down above the DC taper', () => {
+    // 80% -> 90% of 60 kWh = 6 kWh at 84 * 0.35 kW
+    expect(estimateChargeMinutes(84, 80, 90, { batteryKwh: 60 })).toBe(12);
+  });
+
+  it('keeps full power on AC and returns null without power', () => {
+    expect(estimateChargeMinutes(6, 50, 90, { batteryKwh: 60, isDc: false })).toBe(240);
+    expect(estimateChargeMinutes(null, 10, 80)).toBeNull();
+  });
+});
+
+describe('sortChargersByEstimate', () => {
+  const list = [
+    { id: 1, estimate: { milesAdded: 20, estimatedCost: 3 }, distanceFromPlace: 0.3 },
+    { id: 2, estimate: null, distanceFromPlace: 0.1 },
+    { id: 3, estimate: { milesAdded: 120, estimatedCost: null }, distanceFromPlace: 0.2 },
+    { id: 4, estimate: { milesAdded: 10, estimatedCost: 0 } },
+  ];
+  const order = (sortBy) => sortChargersByEstimate(list, sortBy).map((c) => c.id);
+
+  it('sorts by range, cost and walking distance with unknowns last', () => {
+    expect(order('range')).toEqual([3, 1, 4, 2]);
+    expect(order('cost')).toEqual([4, 1, 2, 3]);
+    expect(order('walking')).toEqual([2, 3, 1, 4]);
+    expect(order('recommended')).toEqual([1, 2, 3, 4]);
+  });
+
+  it('only compares costs in the currency of the cheapest one', () => {
+    const priced = [
+      { id: 1, estimate: { estimatedCost: 300, currency: 'JPY' } },
+      { id: 2, estimate: { estimatedCost: 4, currency: 'USD' } },
+      { id: 3, estimate: { estimatedCost: 2, currency: 'EUR' } },
+      { id: 4, estimate: { estimatedCost: 1.5, currency: null } },
+      { id: 5, estimate: { estimatedCost: 3, currency: 'EUR' } },
+      { id: 6, estimate: { estimatedCost: 0, currency: null } },
+      { id: 7, estimate: null },
+    ];
+    expect(sortChargersByEstimate(priced, 'cost').map((c) => c.id)).toEqual([6, 3, 5, 1, 2, 4, 7]);
+  });
+
+  it('sorts by the walking route when it has loaded', () => {
+    const walks = [
+      // Close as the crow flies, but a 9 minute walk around the block
+      { id: 1, distanceFromPlace: 0.1, walk: { durationValue: 540, distanceValue: 700 } },
+      // ~2.4 min estimated from 0.2km
+      { id: 2, distanceFromPlace: 0.2 },
+      { id: 3, distanceFromPlace: 0.3, walk: { durationValue: 240, distanceValue: 320 } },
+      // Approximate walks fall back to the straight line (~1.2 min)
+      { id: 4, distanceFromPlace: 0.1, walk: { durationValue: 900, approximate: true } },
+    ];
+    expect(sortChargersByEstimate(walks, 'walking').map((c) => c.id)).toEqual([4, 2, 3, 1]);
+  });
+});
@@ -0,0 +1,247 @@
+import { calculateDistance, walkingTimeToDistanceKm } from './distance';
+import { isFreeCharging } from './tariff';
+import { getChargerCompatibility, rankByCompatibility } from './vehicleCompatibility';
+
+/**
+ * Options panel filters before the user changes anything
+ */
+export const DEFAULT_FILTERS = {
+  operational: false, // false = show all, true = show operational only
+  access: 'all',
+  cost: 'all',
+  maxPricePerKwh: null, // e.g. 0.4 = under 0.40/kWh in priceCurrency; null = no limit
+  priceCurrency: 'USD', // ISO 4217 currency of maxPricePerKwh
+  speed: 'all',
+  connectors: [],
+  walkingTime: 5, // Default 5 minutes
+  searchRadius: 10, // Default 10 miles
+  match: 'all', // 'all' = chargers must pass every filter, 'any' = at least one
+  compatibleOnly: true, // hide chargers the saved vehicle can't plug into
+};
+
+// Parsed prices below this confidence (see parseTariff) are too uncertain to compare to a limit
+const MIN_PRICE_CONFIDENCE = 0.75;
+
+/**
+ * Places a charger belongs to: `placeIds` when it was assigned to several places,
+ * otherwise the single `placeId`
+ * @param {Object} charger - Normalized charger
+ * @returns {Array<string>} place_ids
+ */
+export const getChargerPlaceIds = (charger) =>
+  charger.placeIds || (charger.placeId !== undefined ? [charger.placeId] : []);
+
+/**
+ * Whether a charger belongs to a place
+ * @param {Object} charger - Normalized charger
+ * @param {string} placeId - place_id
+ * @returns {boolean}
+ */
+export const isNearPlace = (charger, placeId) => getChargerPlaceIds(charger).includes(placeId);
+
+/**
+ * Charger filter criteria, in the order they appear in the Options panel.
+ * `isActive(filters, places, options)` decides whether a criterion applies; `test` gets the
+ * charger, the filters and a context with the places the charger belongs to.
+ * `scope` criteria mirror how chargers were fetched, so they always apply, even in 'any' mode.
+ */
+export const FILTER_CRITERIA = [
+  {
+    key: 'operational',
+    label: 'Status',
+    isActive: (filters) => !!filters.operational,
+    // Only show chargers that are explicitly operational (exclude false and null)
+    test: (c) => c.status?.isOperational === true,
+  },
+  {
+    key: 'access',
+    label: 'Access',
+    isActive: (filters) => !!filters.access && filters.access !== 'all',
+    test: (c, filters) => c.access?.category === filters.access,
+  },
+  {
+    key: 'cost',
+    label: 'Pricing',
+    isActive: (filters) => !!filters.cost && filters.cost !== 'all',
+    test: (c, filters) => (filters.cost === 'free' ? c.isFree === true : c.isFree === false),
+  },
+  {
+    key: 'maxPricePerKwh',
+    label: 'Max Price',
+    isActive: (filters) => Number(filters.maxPricePerKwh) > 0,
+    // Free chargers pass; paid ones need a per-kWh price at or under the limit, in the limit's
+    // currency and parsed with enough confidence. Any other price counts as unknown.
+    test: (c, filters) => {
+      if (isFreeCharging(c)) return true;
+      const { perKwh, currency, confidence } = c.tariff || {};
+      if (perKwh === null || perKwh === undefined) return false;
+      if (currency !== (filters.priceCurrency || DEFAULT_FILTERS.priceCurrency)) return false;
+      return confidence >= MIN_PRICE_CONFIDENCE && perKwh <= Number(filters.maxPricePerKwh);
+    },
+  },
+  {
+    key: 'speed',
+    label: 'Power / Speed',
+    isActive: (filters) => !!filters.speed && filters.speed !== 'all',
+    test: (c, filters) => c.powerTier === filters.speed,
+  },
+  {
+    key: 'connectors',
+    label: 'Connector',
+    isActive: (filters) => Array.isArray(filters.connectors) && filters.connectors.length > 0,
+    test: (c, filters) => {
+      const types = (c.connectors || []).map((conn) => conn.type);
+      // Chargers that have ANY of the selected connector types pass
+      return filters.connectors.some((sel) => types.includes(sel));
+    },
+  },
+  {
+    key: 'walkingTime',
+    label: 'Walking Time',
+    // Chargers are fetched within walking distance of the places, so passing this says nothing
+    // about the other filters
+    scope: true,
+    // Walking time is measured from a place, so it only applies when filtering against places
+    isActive: (filters, places) => !!filters.walkingTime && places.length > 0,
+    // Close enough to any of the charger's places
+    test: (c, filters, { places }) =>
+      places.some(
+        (place) =>
+          calculateDistance(
+            { lat: place.geometry.location.lat, lng: place.geometry.location.lng },
+            c.location
+          ) <= walkingTimeToDistanceKm(filters.walkingTime)
+      ),
+  },
+  {
+    key: 'compatibleOnly',
+    label: 'Vehicle',
+    // Needs a vehicle profile; chargers are annotated with `compatibility` by filterChargers
+    isActive: (filters, places, { vehicle } = {}) => !!filters.compatibleOnly && !!vehicle,
+    test: (c) => c.compatibility?.compatible === true,
+  },
+];
+
+/**
+ * Pick the charger to highlight for a place: operational first, then most powerful
+ * (effective power for the vehicle when chargers carry compatibility)
+ * @param {Array} chargers - Chargers for one place
+ * @returns {Object|undefined} Featured charger
+ */
+export const pickFeaturedCharger = (chargers) =>
+  [...chargers].sort((a, b) => {
+    const opA = a.status?.isOperational ? 1 : 0;
+    const opB = b.status?.isOperational ? 1 : 0;
+    if (opB !== opA) return opB - opA;
+    if (a.compatibility && b.compatibility && a.compatibility.compatible !== b.compatibility.compatible) {
+      return a.compatibility.compatible ? -1 : 1;
+    }
+    const powerA = a.compatibility?.effectivePower ?? a.maxPower ?? 0;
+    const powerB = b.compatibility?.effectivePower ?? b.maxPower ?? 0;
+    return powerB - powerA;
+  })[0];
+
+/**
+ * Filter normalized chargers and summarize the result per place.
+ *
+ * `filters.match` chooses how active criteria combine: 'all' (default) keeps chargers
+ * passing every criterion, 'any' keeps chargers passing at least one. Scope criteria
+ * (walking time) are required in both modes.
+ *
+ * With a `vehicle`, every charger is annotated with `compatibility` (see
+ * getChargerCompatibility) and visible chargers are ranked best-for-the-vehicle first.
+ *
+ * @param {Array} chargers - Normalized chargers (tagged with placeIds/placeId when places are used);
+ *   a charger near several places counts towards each of them
+ * @param {Array} places - Place results the chargers belong to
+ * @param {Object} filters - {operational, access, cost, maxPricePerKwh, priceCurrency, speed, connectors, walkingTime,
+ *   match, compatibleOnly}
+ * @param {Object} options - {distances, vehicle} distances maps place_id -> distance result,
+ *   used to sort places; vehicle is the saved vehicle profile
+ * @returns {{chargers: Array, places: Array, exclusions: Object, hiddenCount: number}}
+ *   `exclusions` maps each criterion key to the number of hidden chargers that failed it;
+ *   each returned place carries chargerCount, featuredCharger, hiddenCount and exclusions.
+ */
+export const filterChargers = (chargers, places = [], filters = {}, { distances, vehicle } = {}) => {
+  const active = FILTER_CRITERIA.filter((criterion) =>
+    criterion.isActive(filters, places, { vehicle })
+  );
+  const matchAny = filters.match === 'any';
+  const optionalCount = active.filter((criterion) => !criterion.scope).length;
+  const placesById = new Map(places.map((p) => [p.place_id, p]));
+
+  const visible = [];
+  const hiddenByPlace = new Map();
+  const exclusions = {};
+  let hiddenCount = 0;
+
+  const candidates = vehicle
+    ? chargers.map((charger) => ({ ...charger, compatibility: getChargerCompatibility(charger, vehicle) }))
+    : chargers;
+
+  candidates.forEach((charger) => {
+    const chargerPlaceIds = getChargerPlaceIds(charger);
+    const context = { places: chargerPlaceIds.map((id) => placesById.get(id)).filter(Boolean) };
+    const failed = active.filter((criterion) => !criterion.test(charger, filters, context));
+    const failedOptional = failed.filter((criterion) => !criterion.scope).length;
+    const passes =
+      failed.length === failedOptional &&
+      (optionalCount === 0 || (matchAny ? failedOptional < optionalCount : failedOptional === 0));
+
+    if (passes) {
+      visible.push(charger);
+      return;
+    }
+
+    hiddenCount += 1;
+    failed.forEach(({ key }) => {
+      exclusions[key] = (exclusions[key] || 0) + 1;
+    });
+    chargerPlaceIds.forEach((placeId) => {
+      const placeExclusions = hiddenByPlace.get(placeId) || { count: 0, exclusions: {} };
+      placeExclusions.count += 1;
+      failed.forEach(({ key }) => {
+        placeExclusions.exclusions[key] = (placeExclusions.exclusions[key] || 0) + 1;
+      });
+      hiddenByPlace.set(placeId, placeExclusions);
+    });
+  });
+
+  const summarizedPlaces = places.map((place) => {
+    const placeChargers = visible.filter((c) => isNearPlace(c, place.place_id));
+    const hidden = hiddenByPlace.get(place.place_id);
+    return {
+      ...place,
+      chargerCount: placeChargers.length,
+      featuredCharger: pickFeaturedCharger(placeChargers),
+      hiddenCount: hidden?.count || 0,
+      exclusions: hidden?.exclusions || {},
+    };
+  });
+
+  if (distances) {
+    // Closest first; places without a distance go last
+    summarizedPlaces.sort((a, b) => {
+      const distA = distances[a.place_id]?.distanceValue || Infinity;
+      const distB = distances[b.place_id]?.distanceValue || Infinity;
+      return distA - distB;
+    });
+  }
+
+  return {
+    chargers: vehicle ? rankByCompatibility(visible) : visible,
+    places: summarizedPlaces,
+    exclusions,
+    hiddenCount,
+  };
+};
+
+/**
+ * Describe exclusion counts for display, e.g. ["12 hidden by Connector filter"]
+ * @param {Object} exclusions - Criterion key -> hidden charger count
+ * @returns {Array<string>} Messages in Options panel order
+ */
+export const describeExclusions = (exclusions = {}) =>
+  FILTER_CRITERIA.filter(({ key }) => exclusions[key] > 0).map(
+    ({ key, label }) => `${exclusions[key]} hidden by ${label} filter`
+  );
@@ -0,0 +1,268 @@
+import { describe, it, expect } from 'vitest';
+import { filterChargers, describeExclusions } from './chargerFilters';
+import { parseChargerData } from '../services/openChargeMap';
+import { parseTariff } from './tariff';
+import ocmPois from '../fixtures/ocmPois.json';
+
+const makePlace = (place_id, lat, lng) => ({
+  place_id,
+  name: place_id,
+  geometry: { location: { lat, lng } },
+});
+
+// Trader Joe's (9th St) and Whole Foods (California St) from the places fixture.
+const traderJoes = makePlace('trader-joes', 37.77005, -122.40795);
+const wholeFoods = makePlace('whole-foods', 37.79053, -122.42431);
+const places = [traderJoes, wholeFoods];
+
+const chargersFor = (place, ids) =>
+  ocmPois
+    .filter((p) => ids.includes(p.ID))
+    .map((p) => ({ ...parseChargerData(p), placeId: place.place_id }));
+
+const chargers = [
+  ...chargersFor(traderJoes, [163902, 98844, 118734, 87512, 140057]),
+  ...chargersFor(wholeFoods, [152210]),
+];
+
+const ids = (list) => list.map((c) => c.id).sort((a, b) => a - b);
+
+// Visible chargers only, for the criteria tests below
+const applyChargerFilters = (list, placeList, filters) => filterChargers(list, placeList, filters).chargers;
+
+const noFilters = {
+  operational: false,
+  access: 'all',
+  cost: 'all',
+  speed: 'all',
+  connectors: [],
+  walkingTime: 30,
+};
+
+describe('filterChargers criteria', () => {
+  it('keeps everything with default filters', () => {
+    expect(applyChargerFilters(chargers, places, noFilters)).toHaveLength(chargers.length);
+  });
+
+  it('keeps only explicitly operational chargers', () => {
+    const result = applyChargerFilters(chargers, places, { ...noFilters, operational: true });
+    expect(ids(result)).not.toContain(87512);
+    expect(result.every((c) => c.status.isOperational === true)).toBe(true);
+  });
+
+  it('filters by access category', () => {
+    const result = applyChargerFilters(chargers, places, { ...noFilters, access: 'private' });
+    expect(ids(result)).toEqual([152210]);
+  });
+
+  it('filters free and paid chargers', () => {
+    expect(ids(applyChargerFilters(chargers, places, { ...noFilters, cost: 'free' }))).toEqual([152210]);
+    expect(ids(applyChargerFilters(chargers, places, { ...noFilters, cost: 'paid' }))).not.toContain(152210);
+  });
+
+  it('keeps free chargers and those priced under the per-kWh limit', () => {
+    // EVgo $0.35/kWh passes, Blink $0.39/kWh doesn't; Mint Plaza has no listed price
+    const result = applyChargerFilters(chargers, places, { ...noFilters, maxPricePerKwh: 0.38 });
+    expect(ids(result)).toEqual([152210, 163902]);
+  });
+
+  it('treats prices in another currency or parsed with low confidence as unknown', () => {
+    const priced = (usageCost) => ({ ...chargers[0], isFree: false, tariff: parseTariff(usageCost) });
+    const limit = { ...noFilters, maxPricePerKwh: 0.4 };
+
+    expect(applyChargerFilters([priced('$0.35/kWh')], places, limit)).toHaveLength(1);
+    // ¥30 and €0.39 are not under $0.40
+    expect(applyChargerFilters([priced('¥30/kWh'), priced('0,39 €/kWh')], places, limit)).toEqual([]);
+    // No currency, or a guess
+    expect(applyChargerFilters([priced('0.25 per kWh')], places, limit)).toEqual([]);
+    expect(applyChargerFilters([priced('$0.30/kWh, call for details')], places, limit)).toEqual([]);
+
+    const euroLimit = { ...limit, priceCurrency: 'EUR' };
+    expect(applyChargerFilters([priced('0,39 €/kWh'), priced('$0.35/kWh')], places, euroLimit)).toHaveLength(1);
+  });
+
+  it('uses the parsed price rather than a "free" mention for the max price', () => {
+    // An older record flagged free because of "Free parking"
+    const parking = { ...chargers[0], isFree: true, tariff: parseTariff('Free parking, $0.60/kWh') };
+    expect(applyChargerFilters([parking], places, { ...noFilters, maxPricePerKwh: 0.4 })).toEqual([]);
+    expect(applyChargerFilters([parking], places, { ...noFilters, maxPricePerKwh: 0.6 })).toHaveLength(1);
+  });
+
+  it('filters by power tier', () => {
+    const result = applyChargerFilters(chargers, places, { ...noFilters, speed: 'dc_fast' });
+    expect(ids(result)).toEqual([118734, 163902]);
+  });
+
+  it('matches any of the selected connector types', () => {
+    const result = applyChargerFilters(chargers, places, {
+      ...noFilters,
+      connectors: ['CHAdeMO', 'NACS / Tesla Supercharger'],
+    });
+    expect(ids(result)).toEqual([118734, 163902]);
+  });
+
+  it('drops chargers beyond the walking time from their place', () => {
+    // 5 minutes is ~415m. Only the EVgo in Trader Joe's garage and the Whole Foods lot are
+    // that close; Rainbow (~650m), Blink (~700m) and Mint Plaza (~1.4km) are not.
+    const result = applyChargerFilters(chargers, places, { ...noFilters, walkingTime: 5 });
+    expect(ids(result)).toEqual([152210, 163902]);
+  });
+
+  it('drops chargers whose place is not in the list', () => {
+    const result = applyChargerFilters(chargers, [traderJoes], noFilters);
+    expect(ids(result)).not.toContain(152210);
+  });
+
+  it('does not mutate the input', () => {
+    const copy = [...chargers];
+    applyChargerFilters(chargers, places, { ...noFilters, cost: 'free' });
+    expect(chargers).toEqual(copy);
+  });
+});
+
+describe('filterChargers composition', () => {
+  it('requires every active filter by default', () => {
+    const { chargers: result } = filterChargers(chargers, places, {
+      ...noFilters,
+      cost: 'free',
+      speed: 'dc_fast',
+    });
+    expect(result).toEqual([]);
+  });
+
+  it('keeps chargers passing any active filter in "any" mode', () => {
+    const { chargers: result } = filterChargers(chargers, places, {
+      ...noFilters,
+      cost: 'free',
+      speed: 'dc_fast',
+      walkingTime: null,
+      match: 'any',
+    });
+    expect(ids(result)).toEqual([118734, 152210, 163902]);
+  });
+
+  it('still applies the walking time in "any" mode', () => {
+    // Every charger is within 30 minutes, so walking time must not let them all through
+    const { chargers: result } = filterChargers(chargers, places, {
+      ...noFilters,
+      cost: 'free',
+      speed: 'dc_fast',
+      match: 'any',
+    });
+    expect(ids(result)).toEqual([118734, 152210, 163902]);
+
+    const { chargers: nearby } = filterChargers(chargers, places, {
+      ...noFilters,
+      cost: 'free',
+      speed: 'dc_fast',
+      walkingTime: 5,
+      match: 'any',
+    });
+    expect(ids(nearby)).toEqual([152210, 163902]);
+  });
+
+  it('keeps everything in "any" mode when no filter is active', () => {
+    const { chargers: result } = filterChargers(chargers, places, { match: 'any' });
+    expect(result).toHaveLength(chargers.length);
+  });
+});
+
+describe('filterChargers exclusions', () => {
+  it('counts hidden chargers per failed filter', () => {
+    const { exclusions, hiddenCount } = filterChargers(chargers, places, {
+      ...noFilters,
+      connectors: ['CHAdeMO'],
+      operational: true,
+    });
+    // Everything but the EVgo site is hidden; the removed lot fails both filters.
+    expect(hiddenCount).toBe(5);
+    expect(exclusions).toEqual({ connectors: 5, operational: 1 });
+  });
+
+  it('reports exclusions per place', () => {
+    const { places: summarized } = filterChargers(chargers, places, { ...noFilters, cost: 'free' });
+    const tj = summarized.find((p) => p.place_id === 'trader-joes');
+    const wf = summarized.find((p) => p.place_id === 'whole-foods');
+    expect(tj).toMatchObject({ chargerCount: 0, hiddenCount: 5, exclusions: { cost: 5 } });
+    expect(wf).toMatchObject({ chargerCount: 1, hiddenCount: 0, exclusions: {} });
+  });
+
+  it('describes exclusions in Options panel order', () => {
+    expect(describeExclusions({ connectors: 12, operational: 3 })).toEqual([
+      '3 hidden by Status filter',
+      '12 hidden by Connector filter',
+    ]);
+    expect(describeExclusions({})).toEqual([]);
+  });
+});
+
+describe('filterChargers place summary', () => {
+  it('features the operational, most powerful charger', () => {
+    const { places: summarized } = filterChargers(chargers, places, noFilters);
+    const tj = summarized.find((p) => p.place_id === 'trader-joes');
+    expect(tj.chargerCount).toBe(5);
+    expect(tj.featuredCharger.id).toBe(118734);
+  });
+
+  it('sorts places by distance when distances are given', () => {
+    const distances = {
+      'trader-joes': { distanceValue: 2500 },
+      'whole-foods': { distanceValue: 900 },
+    };
+    const { places: summarized } = filterChargers(chargers, places, noFilters, { distances });
+    expect(summarized.map((p) => p.place_id)).toEqual(['whole-foods', 'trader-joes']);
+  });
+
+  it('counts a charger shared by two places towards both', () => {
+    const [shared] = chargersFor(traderJoes, [152210]);
+    const sharedCharger = { ...shared, placeIds: ['whole-foods', 'trader-joes'], placeId: 'whole-foods' };
+    const { places: summarized, chargers: visible } = filterChargers([sharedCharger], places, noFilters);
+
+    expect(visible).toHaveLength(1);
+    expect(summarized.map((p) => p.chargerCount)).toEqual([1, 1]);
+  });
+
+  it('keeps a shared charger within walking time of any of its places', () => {
+    const [nearWholeFoods] = chargersFor(traderJoes, [152210]);
+    const sharedCharger = { ...nearWholeFoods, placeIds: ['trader-joes', 'whole-foods'] };
+    const result = applyChargerFilters([sharedCharger], places, { ...noFilters, walkingTime: 5 });
+    expect(result).toHaveLength(1);
+  });
+
+  it('ignores the walking time filter when there are no places', () => {
+    const { chargers: result } = filterChargers(chargers, [], { walkingTime: 1 });
+    expect(result).toHaveLength(chargers.length);
+  });
+});
+
+describe('filterChargers with a vehicle', () => {
+  const bolt = { ports: ['ccs1'], adapters: [], maxAcKw: 11.5, maxDcKw: 55 };
+
+  it('hides chargers the vehicle cannot use', () => {
+    const { chargers: result, exclusions } = filterChargers(
+      chargers,
+      places,
+      { ...noFilters, compatibleOnly: true },
+      { vehicle: bolt }
+    );
+    expect(ids(result)).not.toContain(118734);
+    expect(exclusions).toEqual({ compatibleOnly: 1 });
+  });
+
+  it('ignores the compatibility filter without a vehicle', () => {
+    const { chargers: result } = filterChargers(chargers, places, { ...noFilters, compatibleOnly: true });
+    expect(result).toHaveLength(chargers.length);
+  });
+
+  it('ranks by effective power and features the best charger for the vehicle', () => {
+    const { chargers: result, places: summarized } = filterChargers(
+      chargers,
+      places,
+      { ...noFilters, compatibleOnly: false },
+      { vehicle: bolt }
+    );
+    expect(result[0].id).toBe(163902);
+    expect(result[result.length - 1].id).toBe(118734);
+    expect(summarized.find((p) => p.place_id === 'trader-joes').featuredCharger.id).toBe(163902);
+  });
+});
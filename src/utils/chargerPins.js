@@ -0,0 +1,83 @@
+/**
+ * How a charger is drawn on the map
+ *
+ * Color and size show charging speed (bigger and warmer is faster), a gold outline means
+ * it's free, and an out-of-service charger is a grey pin with a cross instead of a bolt.
+ * Advanced markers, legacy marker icons and the map legend all use these styles.
+ */
+
+export const PIN_COLORS = {
+  dc_fast: '#f5a623',
+  level2: '#00cc7a',
+  level1: '#3fa7d6',
+  unknown: '#8a8fa3',
+  offline: '#5c5f6b',
+};
+
+const PIN_SCALES = {
+  dc_fast: 1.3,
+  level2: 1.1,
+  level1: 0.95,
+  unknown: 1,
+};
+
+const TIER_LABELS = {
+  dc_fast: 'DC fast',
+  level2: 'Level 2',
+  level1: 'Level 1',
+  unknown: 'Speed unknown',
+};
+
+const FREE_BORDER = '#ffd166';
+const DEFAULT_BORDER = '#ffffff';
+
+/**
+ * Pin style for a charger
+ * @param {Object} charger - Normalized charger (powerTier, isFree, status.isOperational)
+ * @returns {{key: string, background: string, borderColor: string, glyph: 'bolt'|'offline',
+ *   scale: number, opacity: number}} `key` changes whenever the look does
+ */
+export const getChargerPinStyle = (charger) => {
+  const tier = PIN_SCALES[charger?.powerTier] ? charger.powerTier : 'unknown';
+  // Unknown status (null) is drawn as operational: most unreported chargers work
+  const offline = charger?.status?.isOperational === false;
+  const free = !!charger?.isFree;
+  return {
+    key: `${tier}|${offline ? 'offline' : 'ok'}|${free ? 'free' : 'paid'}`,
+    background: offline ? PIN_COLORS.offline : PIN_COLORS[tier],
+    borderColor: free ? FREE_BORDER : DEFAULT_BORDER,
+    glyph: offline ? 'offline' : 'bolt',
+    scale: PIN_SCALES[tier],
+    opacity: offline ? 0.8 : 1,
+  };
+};
+
+/**
+ * What a charger's pin shows, in words: the marker's accessible name after the charger's own
+ * @param {Object} charger - Normalized charger
+ * @returns {string} e.g. "DC fast, free" or "Level 2, out of service"
+ */
+export const describeChargerPin = (charger) => {
+  const tier = TIER_LABELS[charger?.powerTier] ? charger.powerTier : 'unknown';
+  return [
+    TIER_LABELS[tier],
+    charger?.isFree && 'free',
+    charger?.status?.isOperational === false && 'out of service',
+  ]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Legend entries, in the order they're listed
+export const CHARGER_PIN_LEGEND = [
+  { key: 'dc_fast', label: TIER_LABELS.dc_fast, style: getChargerPinStyle({ powerTier: 'dc_fast' }) },
+  { key: 'level2', label: TIER_LABELS.level2, style: getChargerPinStyle({ powerTier: 'level2' }) },
+  { key: 'level1', label: TIER_LABELS.level1, style: getChargerPinStyle({ powerTier: 'level1' }) },
+  { key: 'unknown', label: TIER_LABELS.unknown, style: getChargerPinStyle({}) },
+  { key: 'free', label: 'Free (gold outline)', style: getChargerPinStyle({ powerTier: 'level2', isFree: true }) },
+  {
+    key: 'offline',
+    label: 'Out of service',
+    style: getChargerPinStyle({ powerTier: 'level2', status: { isOperational: false } }),
+  },
+];
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { PIN_COLORS, describeChargerPin, getChargerPinStyle } from './chargerPins';
+
+describe('getChargerPinStyle', () => {
+  it('colors and sizes pins by charging speed', () => {
+    const dcFast = getChargerPinStyle({ powerTier: 'dc_fast', status: { isOperational: true } });
+    const level1 = getChargerPinStyle({ powerTier: 'level1', status: { isOperational: true } });
+
+    expect(dcFast.background).toBe(PIN_COLORS.dc_fast);
+    expect(level1.background).toBe(PIN_COLORS.level1);
+    expect(dcFast.scale).toBeGreaterThan(level1.scale);
+    expect(dcFast.glyph).toBe('bolt');
+  });
+
+  it('outlines free chargers', () => {
+    expect(getChargerPinStyle({ powerTier: 'level2', isFree: true }).borderColor).not.toBe(
+      getChargerPinStyle({ powerTier: 'level2', isFree: false }).borderColor
+    );
+  });
+
+  it('greys out chargers that are out of service, but not ones with unknown status', () => {
+    const offline = getChargerPinStyle({ powerTier: 'dc_fast', status: { isOperational: false } });
+    expect(offline).toMatchObject({ background: PIN_COLORS.offline, glyph: 'offline' });
+    expect(offline.scale).toBe(getChargerPinStyle({ powerTier: 'dc_fast' }).scale);
+
+    expect(getChargerPinStyle({ powerTier: 'level2', status: { isOperational: null } }).glyph).toBe('bolt');
+  });
+
+  it('falls back to the unknown style for missing or unexpected tiers', () => {
+    expect(getChargerPinStyle({ powerTier: 'bogus' }).background).toBe(PIN_COLORS.unknown);
+    expect(getChargerPinStyle(undefined).background).toBe(PIN_COLORS.unknown);
+  });
+
+  it('changes its key whenever the look changes', () => {
+    const keys = new Set(
+      [
+        { powerTier: 'level2' },
+        { powerTier: 'level2', isFree: true },
+        { powerTier: 'level2', status: { isOperational: false } },
+        { powerTier: 'dc_fast' },
+      ].map((charger) => getChargerPinStyle(charger).key)
+    );
+    expect(keys.size).toBe(4);
+  });
+});
+
+describe('describeChargerPin', () => {
+  it('names the speed, price and status the pin shows', () => {
+    expect(describeChargerPin({ powerTier: 'dc_fast', isFree: true })).toBe('DC fast, free');
+    expect(describeChargerPin({ powerTier: 'level2', status: { isOperational: false } })).toBe(
+      'Level 2, out of service'
+    );
+    expect(describeChargerPin({ status: { isOperational: null } })).toBe('Speed unknown');
+  });
+});
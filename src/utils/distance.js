@@ -1,3 +1,10 @@
+import { formatNumber } from './format';
+
+export const KM_PER_MILE = 1.609344;
+
+// Average walking speed: 3.1 mph
+const WALKING_SPEED_KMH = 3.1 * KM_PER_MILE;
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {Object} coord1 - {lat, lng}
@@ -29,36 +36,102 @@ const toRad = (degrees) => {
   return (degrees * Math.PI) / 180;
 };
 
+/**
+ * Bounding box around a set of points, padded on every side
+ * @param {Array} points - Array of {lat, lng}
+ * @param {number} paddingKm - Padding in kilometers
+ * @returns {{north: number, south: number, east: number, west: number}|null} null for no points
+ */
+export const boundsAround = (points, paddingKm = 0) => {
+  if (!points?.length) return null;
+  const lats = points.map((p) => p.lat);
+  const lngs = points.map((p) => p.lng);
+  const north = Math.max(...lats);
+  const south = Math.min(...lats);
+  // Longitude degrees shrink away from the equator; pad using the widest latitude
+  const widestLat = Math.max(Math.abs(north), Math.abs(south));
+  const latPad = paddingKm / 110.574;
+  const lngPad = paddingKm / (111.32 * Math.max(Math.cos(toRad(widestLat)), 0.01));
+  return {
+    north: Math.min(90, north + latPad),
+    south: Math.max(-90, south - latPad),
+    east: Math.max(...lngs) + lngPad,
+    west: Math.min(...lngs) - lngPad,
+  };
+};
+
+/**
+ * Whether a point lies inside a bounding box
+ * @param {Object} point - {lat, lng}
+ * @param {Object} bounds - {north, south, east, west}
+ * @returns {boolean}
+ */
+export const isWithinBounds = (point, bounds) =>
+  point.lat <= bounds.north &&
+  point.lat >= bounds.south &&
+  point.lng >= bounds.west &&
+  point.lng <= bounds.east;
+
+/**
+ * Convert kilometers to miles
+ * @param {number} km
+ * @returns {number} Miles
+ */
+export const kmToMiles = (km) => km / KM_PER_MILE;
+
+/**
+ * Convert miles to kilometers
+ * @param {number} miles
+ * @returns {number} Kilometers
+ */
+export const milesToKm = (miles) => miles * KM_PER_MILE;
+
 /**
  * Format distance for display
+ * Short distances use meters (metric) or feet (imperial, under 0.1 mi).
  * @param {number} distanceKm - Distance in kilometers
- * @returns {string} Formatted distance
+ * @param {Object} options - {units: 'metric'|'imperial', locale, decimals}
+ * @returns {string} Formatted distance, e.g. "420m", "3.5km", "2.1mi"
  */
-export const formatDistance = (distanceKm) => {
+export const formatDistance = (distanceKm, { units = 'metric', locale, decimals = 1 } = {}) => {
+  if (units === 'imperial') {
+    const miles = kmToMiles(distanceKm);
+    if (miles < 0.1) {
+      return `${formatNumber(Math.round(miles * 5280), { locale })}ft`;
+    }
+    return `${formatNumber(miles, { locale, decimals })}mi`;
+  }
   if (distanceKm < 1) {
-    return `${Math.round(distanceKm * 1000)}m`;
+    return `${formatNumber(Math.round(distanceKm * 1000), { locale })}m`;
   }
-  return `${distanceKm.toFixed(1)}km`;
+  return `${formatNumber(distanceKm, { locale, decimals })}km`;
 };
 
+/**
+ * Unit label for search radius and other long distances
+ * @param {string} units - 'metric' | 'imperial'
+ * @returns {string} "km" or "mi"
+ */
+export const distanceUnitLabel = (units) => (units === 'metric' ? 'km' : 'mi');
+
 /**
  * Calculate walking time from distance
  * Assumes average walking speed of 3.1 mph (5 km/h or 83.33 m/min)
  * @param {number} distanceKm - Distance in kilometers
- * @returns {string} Formatted walking time (e.g., "5 min", "1.2 hrs")
+ * @returns {string} Formatted walking time (e.g., "5 min", "1 hr 15 min")
  */
 export const calculateWalkingTime = (distanceKm) => {
-  const distanceMiles = distanceKm * 0.621371; // Convert km to miles
-  const walkingSpeedMph = 3.1; // Average walking speed
-  const minutes = (distanceMiles / walkingSpeedMph) * 60;
+  const minutes = (distanceKm / WALKING_SPEED_KMH) * 60;
   
   if (minutes < 1) {
     return '< 1 min';
-  } else if (minutes < 60) {
+  } else if (minutes < 59.5) {
     return `${Math.round(minutes)} min`;
   } else {
-    const hours = Math.floor(minutes / 60);
-    const remainingMinutes = Math.round(minutes % 60);
+    // Round once up front so e.g. 119.9 min reads "2 hrs" rather than "1 hr 60 min"
+    const totalMinutes = Math.round(minutes);
+    const hours = Math.floor(totalMinutes / 60);
+    const remainingMinutes = totalMinutes % 60;
     if (remainingMinutes === 0) {
       return `${hours} hr${hours > 1 ? 's' : ''}`;
     }
@@ -72,9 +145,4 @@ export const calculateWalkingTime = (distanceKm) => {
  * @param {number} minutes - Walking time in minutes
  * @returns {number} Distance in kilometers
  */
-export const walkingTimeToDistanceKm = (minutes) => {
-  const walkingSpeedMph = 3.1; // Average walking speed
-  const distanceMiles = (minutes / 60) * walkingSpeedMph;
-  return distanceMiles * 1.60934; // Convert miles to km
-};
-
+export const walkingTimeToDistanceKm = (minutes) => (minutes / 60) * WALKING_SPEED_KMH;
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateDistance,
+  calculateWalkingTime,
+  walkingTimeToDistanceKm,
+  formatDistance,
+  kmToMiles,
+  milesToKm,
+  boundsAround,
+  isWithinBounds,
+} from './distance';
+
+describe('calculateDistance', () => {
+  it('is zero for the same point', () => {
+    const point = { lat: 37.7749, lng: -122.4194 };
+    expect(calculateDistance(point, point)).toBe(0);
+  });
+
+  it('matches the known San Francisco to Los Angeles distance', () => {
+    const sf = { lat: 37.7749, lng: -122.4194 };
+    const la = { lat: 34.0522, lng: -118.2437 };
+    expect(calculateDistance(sf, la)).toBeCloseTo(559.1, 0);
+  });
+
+  it('is symmetric', () => {
+    const a = { lat: 37.78252, lng: -122.40733 };
+    const b = { lat: 37.77031, lng: -122.40772 };
+    expect(calculateDistance(a, b)).toBeCloseTo(calculateDistance(b, a), 10);
+  });
+});
+
+describe('calculateWalkingTime', () => {
+  it('shows under a minute for very short walks', () => {
+    expect(calculateWalkingTime(0.05)).toBe('< 1 min');
+  });
+
+  it('rounds to whole minutes under an hour', () => {
+    // 1 km at 3.1 mph is ~12 minutes
+    expect(calculateWalkingTime(1)).toBe('12 min');
+  });
+
+  it('formats whole hours', () => {
+    expect(calculateWalkingTime(walkingTimeToDistanceKm(120))).toBe('2 hrs');
+  });
+
+  it('formats hours and minutes', () => {
+    expect(calculateWalkingTime(walkingTimeToDistanceKm(75))).toBe('1 hr 15 min');
+  });
+});
+
+describe('walkingTimeToDistanceKm', () => {
+  it('converts minutes at 3.1 mph', () => {
+    expect(walkingTimeToDistanceKm(60)).toBeCloseTo(4.989, 3);
+    expect(walkingTimeToDistanceKm(5)).toBeCloseTo(0.4157, 3);
+  });
+
+  it('round-trips with calculateWalkingTime', () => {
+    expect(calculateWalkingTime(walkingTimeToDistanceKm(10))).toBe('10 min');
+  });
+});
+
+describe('formatDistance', () => {
+  it('uses meters below 1 km', () => {
+    expect(formatDistance(0.42)).toBe('420m');
+  });
+
+  it('uses one decimal of km otherwise', () => {
+    expect(formatDistance(3.456)).toBe('3.5km');
+  });
+
+  it('uses feet and miles for imperial units', () => {
+    expect(formatDistance(0.1, { units: 'imperial' })).toBe('328ft');
+    expect(formatDistance(3.456, { units: 'imperial' })).toBe('2.1mi');
+    expect(formatDistance(41.8, { units: 'imperial', decimals: 0 })).toBe('26mi');
+  });
+
+  it('formats numbers for the locale', () => {
+    expect(formatDistance(3.456, { locale: 'de-DE' })).toBe('3,5km');
+    expect(formatDistance(2000, { units: 'imperial', locale: 'en-US', decimals: 0 })).toBe('1,243mi');
+  });
+});
+
+describe('unit conversion', () => {
+  it('converts between miles and kilometers', () => {
+    expect(milesToKm(10)).toBeCloseTo(16.093, 3);
+    expect(kmToMiles(milesToKm(7))).toBeCloseTo(7, 10);
+  });
+});
+
+describe('boundsAround', () => {
+  it('pads the box around the points by the given distance', () => {
+    const bounds = boundsAround([{ lat: 0, lng: 0 }, { lat: 1, lng: 2 }], 11.0574);
+    expect(bounds.north).toBeCloseTo(1.1, 4);
+    expect(bounds.south).toBeCloseTo(-0.1, 4);
+    expect(bounds.east).toBeGreaterThan(2.09);
+    expect(bounds.west).toBeLessThan(-0.09);
+    expect(isWithinBounds({ lat: 1.05, lng: 2.05 }, bounds)).toBe(true);
+    expect(isWithinBounds({ lat: 1.2, lng: 1 }, bounds)).toBe(false);
+  });
+
+  it('returns null without points', () => {
+    expect(boundsAround([], 1)).toBeNull();
+  });
+});
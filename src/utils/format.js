@@ -0,0 +1,51 @@
+/**
+ * Locale-aware number, date and currency formatting.
+ * `locale` defaults to the browser's locale; pass one explicitly (e.g. 'de-DE') in tests.
+ */
+
+/**
+ * Format a number with a fixed number of decimals, e.g. 1234.5 -> "1,234.5" (en-US)
+ * @param {number} value
+ * @param {Object} options - {locale, decimals}
+ * @returns {string}
+ */
+export const formatNumber = (value, { locale, decimals = 0 } = {}) =>
+  new Intl.NumberFormat(locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(value);
+
+/**
+ * Format a date, e.g. for "Updated Mar 4, 2025" (or "Mar 4, 2025, 2:30 PM" with `withTime`)
+ * @param {string|number|Date} value - Anything `new Date()` accepts
+ * @param {Object} options - {locale, withTime}
+ * @returns {string|null} null for missing or invalid dates
+ */
+export const formatDate = (value, { locale, withTime = false } = {}) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: 'medium',
+    ...(withTime && { timeStyle: 'short' }),
+  }).format(date);
+};
+
+/**
+ * Format an amount of money, e.g. 2.5 USD -> "$2.50"
+ * @param {number} amount
+ * @param {string|null} currency - ISO 4217 code; without one the bare number is shown
+ * @param {Object} options - {locale}
+ * @returns {string}
+ */
+export const formatCurrency = (amount, currency, { locale } = {}) => {
+  if (!currency) return formatNumber(amount, { locale, decimals: 2 });
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 2 }).format(
+      amount
+    );
+  } catch {
+    // Unknown currency code
+    return `${formatNumber(amount, { locale, decimals: 2 })} ${currency}`;
+  }
+};
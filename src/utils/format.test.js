@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { formatNumber, formatDate, formatCurrency } from './format';
+
+describe('formatNumber', () => {
+  it('uses a fixed number of decimals', () => {
+    expect(formatNumber(1234.56, { locale: 'en-US', decimals: 1 })).toBe('1,234.6');
+    expect(formatNumber(1234.56, { locale: 'de-DE', decimals: 1 })).toBe('1.234,6');
+    expect(formatNumber(3, { locale: 'en-US' })).toBe('3');
+  });
+});
+
+describe('formatDate', () => {
+  it('formats dates for the locale', () => {
+    expect(formatDate('2025-03-04T12:00:00Z', { locale: 'en-US' })).toBe('Mar 4, 2025');
+    expect(formatDate('2025-03-04T12:00:00Z', { locale: 'en-GB' })).toBe('4 Mar 2025');
+  });
+
+  it('adds the time when asked', () => {
+    const value = new Date(2025, 2, 4, 14, 30);
+    expect(formatDate(value, { locale: 'en-US', withTime: true })).toMatch(/^Mar 4, 2025, 2:30\sPM$/);
+    expect(formatDate(value, { locale: 'en-GB', withTime: true })).toBe('4 Mar 2025, 14:30');
+  });
+
+  it('returns null for missing or invalid dates', () => {
+    expect(formatDate(null)).toBeNull();
+    expect(formatDate('not a date')).toBeNull();
+  });
+});
+
+describe('formatCurrency', () => {
+  it('formats amounts in their currency', () => {
+    expect(formatCurrency(2.5, 'USD', { locale: 'en-US' })).toBe('$2.50');
+    expect(formatCurrency(0.39, 'EUR', { locale: 'de-DE' })).toBe('0,39 €');
+  });
+
+  it('falls back to a plain number without a known currency', () => {
+    expect(formatCurrency(1.5, null, { locale: 'en-US' })).toBe('1.50');
+    expect(formatCurrency(1.5, 'XYZZY', { locale: 'en-US' })).toBe('1.50 XYZZY');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Keyboard navigation for result lists (the locations sidebar and the chargers panel)
+ *
+ * Lists are listboxes whose items are `[role="option"]` elements. Only one item is in the
+ * tab order at a time (the selected one, or the first); the arrow keys, Home and End move
+ * focus between items, and Enter or Space selects the focused one.
+ */
+
+const ITEM_SELECTOR = '[role="option"]';
+
+/**
+ * Index to move to for a navigation key
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} index - Index of the focused item, -1 when none is
+ * @param {number} count - Number of items
+ * @returns {number|null} null when the key doesn't move focus
+ */
+export const nextListIndex = (key, index, count) => {
+  if (count === 0) return null;
+  switch (key) {
+    case 'ArrowDown':
+      return index < 0 ? 0 : Math.min(count - 1, index + 1);
+    case 'ArrowUp':
+      return index < 0 ? count - 1 : Math.max(0, index - 1);
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+/**
+ * onKeyDown for a list container: moves focus between its items
+ * @param {KeyboardEvent} event - React keyboard event from the container
+ */
+export const handleListKeyDown = (event) => {
+  const items = Array.from(event.currentTarget.querySelectorAll(ITEM_SELECTOR));
+  const current = event.target.closest?.(ITEM_SELECTOR);
+  const next = nextListIndex(event.key, items.indexOf(current), items.length);
+  if (next === null) return;
+  event.preventDefault();
+  items[next].focus();
+  items[next].scrollIntoView?.({ block: 'nearest' });
+};
+
+/**
+ * Whether a key press should activate the focused item, like a click
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+export const isActivationKey = (event) => event.key === 'Enter' || event.key === ' ';
+
+/**
+ * Move focus to a list item by its element id and bring it into view
+ * @param {string} id - Element id
+ * @returns {boolean} Whether the item was found
+ */
+export const focusListItem = (id) => {
+  const element = document.getElementById(id);
+  if (!element) return false;
+  element.focus({ preventScroll: true });
+  element.scrollIntoView?.({ block: 'nearest' });
+  return true;
+};
@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from 'vitest';
+import { handleListKeyDown, isActivationKey, nextListIndex } from './listNavigation';
+
+describe('nextListIndex', () => {
+  it('moves down and up, stopping at the ends', () => {
+    expect(nextListIndex('ArrowDown', 0, 3)).toBe(1);
+    expect(nextListIndex('ArrowDown', 2, 3)).toBe(2);
+    expect(nextListIndex('ArrowUp', 1, 3)).toBe(0);
+    expect(nextListIndex('ArrowUp', 0, 3)).toBe(0);
+  });
+
+  it('jumps to the first and last items', () => {
+    expect(nextListIndex('Home', 2, 3)).toBe(0);
+    expect(nextListIndex('End', 0, 3)).toBe(2);
+  });
+
+  it('starts from the matching end when nothing is focused', () => {
+    expect(nextListIndex('ArrowDown', -1, 3)).toBe(0);
+    expect(nextListIndex('ArrowUp', -1, 3)).toBe(2);
+  });
+
+  it('ignores other keys and empty lists', () => {
+    expect(nextListIndex('a', 0, 3)).toBeNull();
+    expect(nextListIndex('ArrowDown', -1, 0)).toBeNull();
+  });
+});
+
+describe('handleListKeyDown', () => {
+  const setup = (key, focusedIndex) => {
+    const items = [0, 1, 2].map(() => ({ focus: vi.fn(), scrollIntoView: vi.fn() }));
+    const event = {
+      key,
+      currentTarget: { querySelectorAll: () => items },
+      target: { closest: () => items[focusedIndex] ?? null },
+      preventDefault: vi.fn(),
+    };
+    handleListKeyDown(event);
+    return { items, event };
+  };
+
+  it('focuses the next item and keeps the key from scrolling the list', () => {
+    const { items, event } = setup('ArrowDown', 0);
+    expect(items[1].focus).toHaveBeenCalled();
+    expect(items[1].scrollIntoView).toHaveBeenCalledWith({ block: 'nearest' });
+    expect(event.preventDefault).toHaveBeenCalled();
+  });
+
+  it('leaves other keys alone', () => {
+    const { items, event } = setup('Tab', 0);
+    expect(items.some((item) => item.focus.mock.calls.length)).toBe(false);
+    expect(event.preventDefault).not.toHaveBeenCalled();
+  });
+});
+
+describe('isActivationKey', () => {
+  it('accepts Enter and Space', () => {
+    expect(isActivationKey({ key: 'Enter' })).toBe(true);
+    expect(isActivationKey({ key: ' ' })).toBe(true);
+    expect(isActivationKey({ key: 'Escape' })).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Which map markers to create for a set of items
+ *
+ * Only items inside the visible area (plus a margin, so a small pan doesn't show empty
+ * edges) get a marker. Below MAX_CLUSTER_ZOOM, items that would overlap are grouped into
+ * one cluster marker: the map is divided into square cells of `gridPx` screen pixels at the
+ * current zoom, and items sharing a cell are clustered at their average position.
+ *
+ * Viewports are {north, south, east, west, zoom}; west > east means the view crosses the
+ * antimeridian.
+ */
+
+export const CLUSTER_GRID_PX = 60;
+// From this zoom in, every item gets its own marker
+export const MAX_CLUSTER_ZOOM = 16;
+// Fraction of the visible span added on every side
+const VIEWPORT_MARGIN = 0.25;
+
+const TILE_SIZE = 256;
+
+const lngSpan = (viewport) =>
+  viewport.east >= viewport.west ? viewport.east - viewport.west : viewport.east + 360 - viewport.west;
+
+/**
+ * Grow a viewport by a fraction of its size on every side
+ * @param {Object} viewport - {north, south, east, west}
+ * @param {number} ratio - e.g. 0.25 for a quarter of the height/width
+ * @returns {Object} Padded viewport (other fields kept)
+ */
+export const padViewport = (viewport, ratio = VIEWPORT_MARGIN) => {
+  const latPad = (viewport.north - viewport.south) * ratio;
+  const lngPad = lngSpan(viewport) * ratio;
+  return {
+    ...viewport,
+    north: Math.min(90, viewport.north + latPad),
+    south: Math.max(-90, viewport.south - latPad),
+    east: viewport.east + lngPad,
+    west: viewport.west - lngPad,
+  };
+};
+
+/**
+ * Whether a point is inside a viewport, including one that crosses the antimeridian
+ * @param {Object} point - {lat, lng}
+ * @param {Object} viewport - {north, south, east, west}
+ * @returns {boolean}
+ */
+export const isInViewport = (point, viewport) => {
+  if (point.lat > viewport.north || point.lat < viewport.south) return false;
+  const span = lngSpan(viewport);
+  if (span >= 360) return true;
+  return ((((point.lng - viewport.west) % 360) + 360) % 360) <= span;
+};
+
+// Web Mercator world coordinates (pixels at zoom 0), as the map itself uses
+const project = ({ lat, lng }) => {
+  const sinLat = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: TILE_SIZE * (0.5 + lng / 360),
+    y: TILE_SIZE * (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)),
+  };
+};
+
+const boundsOf = (positions) => ({
+  north: Math.max(...positions.map((p) => p.lat)),
+  south: Math.min(...positions.map((p) => p.lat)),
+  east: Math.max(...positions.map((p) => p.lng)),
+  west: Math.min(...positions.map((p) => p.lng)),
+});
+
+/**
+ * Plan the markers for a set of items
+ * @param {Array} items - e.g. chargers
+ * @param {Object} options
+ * @param {Function} options.getKey - Item -> unique key
+ * @param {Function} options.getPosition - Item -> {lat, lng} (default: item.location)
+ * @param {Object|null} options.viewport - {north, south, east, west, zoom}; null (map not
+ *   ready yet) returns a marker for every item, unclustered
+ * @param {boolean} options.cluster - false to only limit markers to the viewport
+ * @param {number} options.gridPx - Cluster cell size in screen pixels
+ * @returns {Array<{key: string, position: Object, items: Array, bounds?: Object}>} One entry per
+ *   marker; clusters have several items and the bounds around them
+ */
+export const planMarkers = (
+  items,
+  {
+    getKey,
+    getPosition = (item) => item.location,
+    viewport,
+    cluster = true,
+    gridPx = CLUSTER_GRID_PX,
+  }
+) => {
+  const withPosition = items.filter((item) => {
+    const position = getPosition(item);
+    return position && typeof position.lat === 'number' && typeof position.lng === 'number';
+  });
+  const single = (item) => ({ key: getKey(item), position: getPosition(item), items: [item] });
+
+  if (!viewport) return withPosition.map(single);
+
+  const area = padViewport(viewport);
+  const visible = withPosition.filter((item) => isInViewport(getPosition(item), area));
+  if (!cluster || viewport.zoom >= MAX_CLUSTER_ZOOM) return visible.map(single);
+
+  const scale = 2 ** viewport.zoom;
+  const cells = new Map();
+  visible.forEach((item) => {
+    const { x, y } = project(getPosition(item));
+    const cell = `${Math.floor((x * scale) / gridPx)}:${Math.floor((y * scale) / gridPx)}`;
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push(item);
+  });
+
+  return [...cells.entries()].map(([cell, cellItems]) => {
+    if (cellItems.length === 1) return single(cellItems[0]);
+    const positions = cellItems.map(getPosition);
+    return {
+      key: `cluster:${viewport.zoom}:${cell}`,
+      position: {
+        lat: positions.reduce((sum, p) => sum + p.lat, 0) / positions.length,
+        lng: positions.reduce((sum, p) => sum + p.lng, 0) / positions.length,
+      },
+      items: cellItems,
+      bounds: boundsOf(positions),
+    };
+  });
+};
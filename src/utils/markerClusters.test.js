@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_CLUSTER_ZOOM, isInViewport, padViewport, planMarkers } from './markerClusters';
+
+const viewport = { north: 37.8, south: 37.7, east: -122.35, west: -122.5, zoom: 13 };
+const charger = (id, lat, lng) => ({ id, location: { lat, lng } });
+const getKey = (c) => String(c.id);
+
+describe('isInViewport', () => {
+  it('checks latitude and longitude', () => {
+    expect(isInViewport({ lat: 37.75, lng: -122.4 }, viewport)).toBe(true);
+    expect(isInViewport({ lat: 37.9, lng: -122.4 }, viewport)).toBe(false);
+    expect(isInViewport({ lat: 37.75, lng: -122.3 }, viewport)).toBe(false);
+  });
+
+  it('handles views across the antimeridian', () => {
+    const pacific = { north: 10, south: -10, east: -170, west: 170 };
+    expect(isInViewport({ lat: 0, lng: 175 }, pacific)).toBe(true);
+    expect(isInViewport({ lat: 0, lng: -175 }, pacific)).toBe(true);
+    expect(isInViewport({ lat: 0, lng: 0 }, pacific)).toBe(false);
+  });
+});
+
+describe('padViewport', () => {
+  it('adds a fraction of the span on every side', () => {
+    const padded = padViewport({ north: 10, south: 0, east: 20, west: 0, zoom: 5 }, 0.5);
+    expect(padded).toEqual({ north: 15, south: -5, east: 30, west: -10, zoom: 5 });
+  });
+});
+
+describe('planMarkers', () => {
+  const chargers = [
+    charger(1, 37.7601, -122.4201),
+    charger(2, 37.7602, -122.4202), // a few meters from 1
+    charger(3, 37.7901, -122.4001), // a few km away
+    charger(4, 38.5, -121.5), // far outside the view
+  ];
+
+  it('returns every item unclustered before the viewport is known', () => {
+    const markers = planMarkers(chargers, { getKey, viewport: null });
+    expect(markers.map((m) => m.key)).toEqual(['1', '2', '3', '4']);
+  });
+
+  it('skips items outside the viewport and clusters ones that would overlap', () => {
+    const markers = planMarkers(chargers, { getKey, viewport });
+
+    expect(markers).toHaveLength(2);
+    const cluster = markers.find((m) => m.items.length > 1);
+    expect(cluster.items.map((c) => c.id)).toEqual([1, 2]);
+    expect(cluster.key).toMatch(/^cluster:13:/);
+    expect(cluster.position.lat).toBeCloseTo(37.76015, 5);
+    expect(cluster.bounds).toEqual({ north: 37.7602, south: 37.7601, east: -122.4201, west: -122.4202 });
+    expect(markers.find((m) => m.items.length === 1).key).toBe('3');
+  });
+
+  it('keeps a margin around the view so small pans still have markers', () => {
+    const justOutside = [charger(5, 37.81, -122.4)];
+    expect(planMarkers(justOutside, { getKey, viewport })).toHaveLength(1);
+  });
+
+  it('stops clustering when zoomed in', () => {
+    const markers = planMarkers(chargers, { getKey, viewport: { ...viewport, zoom: MAX_CLUSTER_ZOOM } });
+    expect(markers.map((m) => m.key)).toEqual(['1', '2', '3']);
+  });
+
+  it('can limit to the viewport without clustering', () => {
+    const markers = planMarkers(chargers, { getKey, viewport, cluster: false });
+    expect(markers.map((m) => m.key)).toEqual(['1', '2', '3']);
+  });
+
+  it('ignores items without a position', () => {
+    expect(planMarkers([{ id: 9 }], { getKey, viewport })).toEqual([]);
+  });
+});
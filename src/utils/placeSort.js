@@ -0,0 +1,76 @@
+import { calculateDistance } from './distance';
+import { isNearPlace } from './chargerFilters';
+
+/**
+ * Sorting places for the list view
+ *
+ * Distances come from the travel distances when they loaded and are straight-line from the
+ * search center otherwise, so the list still works without Distance Matrix or the map.
+ * Ties are broken by distance.
+ */
+
+export const PLACE_SORT_OPTIONS = [
+  { key: 'distance', label: 'Closest' },
+  { key: 'chargers', label: 'Most chargers' },
+  { key: 'power', label: 'Fastest charging' },
+  { key: 'free', label: 'Free charging' },
+];
+
+/**
+ * Distance to a place
+ * @param {Object} place - Place with geometry.location
+ * @param {Object} distance - Its travel distance result, if any ({distanceValue} meters)
+ * @param {Object|null} center - Search center {lat, lng}, for the straight-line fallback
+ * @returns {{km: number, approximate: boolean}|null} null when neither is known
+ */
+export const placeDistance = (place, distance, center) => {
+  if (typeof distance?.distanceValue === 'number') {
+    return { km: distance.distanceValue / 1000, approximate: !!distance.approximate };
+  }
+  const location = place.geometry?.location;
+  if (!center || typeof location?.lat !== 'number' || typeof location?.lng !== 'number') return null;
+  return { km: calculateDistance(center, location), approximate: true };
+};
+
+/**
+ * What the chargers near a place offer
+ * @param {Object} place
+ * @param {Array} chargers - Chargers tagged with their places (after filtering)
+ * @returns {{count: number, maxPower: number, freeCount: number}}
+ */
+export const summarizePlaceChargers = (place, chargers) => {
+  const nearby = chargers.filter((charger) => isNearPlace(charger, place.place_id));
+  return {
+    count: nearby.length,
+    maxPower: Math.max(0, ...nearby.map((charger) => charger.maxPower || 0)),
+    freeCount: nearby.filter((charger) => charger.isFree).length,
+  };
+};
+
+/**
+ * Sort places for the list view
+ * @param {Array} places
+ * @param {Object} options
+ * @param {string} options.sort - One of PLACE_SORT_OPTIONS keys
+ * @param {Array} options.chargers - Chargers tagged with their places
+ * @param {Object} options.distances - place_id -> travel distance result
+ * @param {Object|null} options.center - Search center {lat, lng}
+ * @returns {Array} A sorted copy
+ */
+export const sortPlaces = (places, { sort = 'distance', chargers = [], distances = {}, center = null } = {}) => {
+  const keyed = places.map((place) => ({
+    place,
+    km: placeDistance(place, distances[place.place_id], center)?.km ?? Infinity,
+    summary: summarizePlaceChargers(place, chargers),
+  }));
+
+  const byValue = {
+    chargers: ({ summary }) => summary.count,
+    power: ({ summary }) => summary.maxPower,
+    free: ({ summary }) => summary.freeCount,
+  }[sort];
+
+  return keyed
+    .sort((a, b) => (byValue ? byValue(b) - byValue(a) : 0) || a.km - b.km)
+    .map(({ place }) => place);
+};
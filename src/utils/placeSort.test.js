@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { placeDistance, sortPlaces, summarizePlaceChargers } from './placeSort';
+
+const center = { lat: 37.77, lng: -122.42 };
+const place = (id, lat) => ({ place_id: id, geometry: { location: { lat, lng: -122.42 } } });
+
+// near: ~1.1km, mid: ~3.3km, far: ~5.6km from the center
+const places = [place('far', 37.82), place('near', 37.78), place('mid', 37.8)];
+const chargers = [
+  { id: 1, placeId: 'far', maxPower: 150, isFree: false },
+  { id: 2, placeIds: ['far', 'mid'], maxPower: 7, isFree: true },
+  { id: 3, placeId: 'far', maxPower: 11, isFree: true },
+  { id: 4, placeId: 'mid', maxPower: 50, isFree: true },
+  { id: 5, placeId: 'near', maxPower: 22, isFree: false },
+];
+
+const ids = (list) => list.map((p) => p.place_id);
+
+describe('placeDistance', () => {
+  it('uses the travel distance when it loaded', () => {
+    expect(placeDistance(places[1], { distanceValue: 2500 }, center)).toEqual({ km: 2.5, approximate: false });
+  });
+
+  it('falls back to the straight-line distance from the center', () => {
+    const result = placeDistance(places[1], undefined, center);
+    expect(result.approximate).toBe(true);
+    expect(result.km).toBeCloseTo(1.11, 1);
+  });
+
+  it('is null without a distance or a center', () => {
+    expect(placeDistance(places[1], null, null)).toBeNull();
+  });
+});
+
+describe('summarizePlaceChargers', () => {
+  it('counts chargers, the fastest one and the free ones near a place', () => {
+    expect(summarizePlaceChargers(places[0], chargers)).toEqual({ count: 3, maxPower: 150, freeCount: 2 });
+    expect(summarizePlaceChargers(place('none', 0), chargers)).toEqual({ count: 0, maxPower: 0, freeCount: 0 });
+  });
+});
+
+describe('sortPlaces', () => {
+  it('sorts by straight-line distance when travel distances are missing', () => {
+    expect(ids(sortPlaces(places, { center }))).toEqual(['near', 'mid', 'far']);
+  });
+
+  it('prefers travel distances when they loaded', () => {
+    const distances = { far: { distanceValue: 500 }, near: { distanceValue: 9000 } };
+    expect(ids(sortPlaces(places, { center, distances }))).toEqual(['far', 'mid', 'near']);
+  });
+
+  it('sorts by charger count, max power or free chargers, closest first on ties', () => {
+    expect(ids(sortPlaces(places, { sort: 'chargers', chargers, center }))).toEqual(['far', 'mid', 'near']);
+    expect(ids(sortPlaces(places, { sort: 'power', chargers, center }))).toEqual(['far', 'mid', 'near']);
+    expect(ids(sortPlaces(places, { sort: 'free', chargers, center }))).toEqual(['mid', 'far', 'near']);
+  });
+
+  it('does not change the input', () => {
+    sortPlaces(places, { center });
+    expect(ids(places)).toEqual(['far', 'near', 'mid']);
+  });
+});
@@ -0,0 +1,132 @@
+import { calculateDistance } from './distance';
+
+/**
+ * Geometry helpers for searching along a driving route.
+ * Paths are arrays of {lat, lng}; distances are in kilometers.
+ */
+
+// How far off the route a place can be and still count as "on the way"
+export const DEFAULT_CORRIDOR_KM = 3;
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG_AT_EQUATOR = 111.32;
+
+/**
+ * Distance from the start of the path to each vertex
+ * @param {Array} path - Route vertices
+ * @returns {Array<number>} Cumulative km, same length as path
+ */
+export const cumulativeDistances = (path) => {
+  const totals = [];
+  path.forEach((point, index) => {
+    totals.push(index === 0 ? 0 : totals[index - 1] + calculateDistance(path[index - 1], point));
+  });
+  return totals;
+};
+
+/**
+ * Point at a given distance along the path
+ * @param {Array} path - Route vertices
+ * @param {number} distanceKm - Distance from the start
+ * @param {Array<number>} totals - cumulativeDistances(path), if already computed
+ * @returns {{lat: number, lng: number}}
+ */
+export const pointAlongRoute = (path, distanceKm, totals = cumulativeDistances(path)) => {
+  if (distanceKm <= 0) return { lat: path[0].lat, lng: path[0].lng };
+  for (let i = 1; i < path.length; i += 1) {
+    if (totals[i] >= distanceKm) {
+      const segment = totals[i] - totals[i - 1];
+      const t = segment > 0 ? (distanceKm - totals[i - 1]) / segment : 0;
+      return {
+        lat: path[i - 1].lat + (path[i].lat - path[i - 1].lat) * t,
+        lng: path[i - 1].lng + (path[i].lng - path[i - 1].lng) * t,
+      };
+    }
+  }
+  const last = path[path.length - 1];
+  return { lat: last.lat, lng: last.lng };
+};
+
+/**
+ * Where a point sits relative to the route
+ * Uses a flat-earth projection per segment, which is accurate at corridor scale.
+ * @param {Object} point - {lat, lng}
+ * @param {Array} path - Route vertices
+ * @param {Array<number>} totals - cumulativeDistances(path), if already computed
+ * @returns {{distanceAlongKm: number, offsetKm: number}} Distance along the route to the
+ *   closest point, and how far the point is from it
+ */
+export const projectOntoRoute = (point, path, totals = cumulativeDistances(path)) => {
+  if (path.length === 1) {
+    return { distanceAlongKm: 0, offsetKm: calculateDistance(path[0], point) };
+  }
+
+  let best = { distanceAlongKm: 0, offsetKm: Infinity };
+  for (let i = 1; i < path.length; i += 1) {
+    const a = path[i - 1];
+    const b = path[i];
+    const kmPerLng = KM_PER_DEGREE_LNG_AT_EQUATOR * Math.cos((a.lat * Math.PI) / 180);
+    const toXY = (p) => ({ x: (p.lng - a.lng) * kmPerLng, y: (p.lat - a.lat) * KM_PER_DEGREE_LAT });
+
+    const end = toXY(b);
+    const target = toXY(point);
+    const lengthSquared = end.x * end.x + end.y * end.y;
+    const t =
+      lengthSquared > 0
+        ? Math.min(1, Math.max(0, (target.x * end.x + target.y * end.y) / lengthSquared))
+        : 0;
+    const offsetKm = Math.hypot(target.x - end.x * t, target.y - end.y * t);
+
+    if (offsetKm < best.offsetKm) {
+      best = { distanceAlongKm: totals[i - 1] + (totals[i] - totals[i - 1]) * t, offsetKm };
+    }
+  }
+  return best;
+};
+
+/**
+ * Split a route into search segments: one search circle per segment, sized to cover
+ * the segment plus the corridor on either side. Long routes get longer segments so the
+ * number of searches stays bounded.
+ * @param {Array} path - Route vertices
+ * @param {Object} options - {corridorKm, maxSegments, minSegmentKm}
+ * @returns {Array<{center: Object, distanceAlongKm: number, radiusKm: number}>}
+ */
+export const planRouteSegments = (
+  path,
+  { corridorKm = DEFAULT_CORRIDOR_KM, maxSegments = 12, minSegmentKm = 10 } = {}
+) => {
+  if (!path?.length) return [];
+  const totals = cumulativeDistances(path);
+  const totalKm = totals[totals.length - 1];
+  const count = Math.max(1, Math.min(maxSegments, Math.ceil(totalKm / minSegmentKm)));
+  const segmentKm = totalKm / count;
+
+  return Array.from({ length: count }, (_, index) => {
+    const distanceAlongKm = segmentKm * (index + 0.5);
+    return {
+      center: pointAlongRoute(path, distanceAlongKm, totals),
+      distanceAlongKm,
+      radiusKm: segmentKm / 2 + corridorKm,
+    };
+  });
+};
+
+/**
+ * Group items into consecutive stretches of the route
+ * @param {Array} items - e.g. places with `routeDistanceKm`
+ * @param {number} bucketKm - Length of each stretch
+ * @param {Function} getDistance - Item -> km along the route
+ * @returns {Array<{startKm: number, endKm: number, items: Array}>} Non-empty groups in route order
+ */
+export const groupByRouteDistance = (items, bucketKm, getDistance = (item) => item.routeDistanceKm) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const index = Math.floor((getDistance(item) || 0) / bucketKm);
+    if (!groups.has(index)) {
+      groups.set(index, { startKm: index * bucketKm, endKm: (index + 1) * bucketKm, items: [] });
+    }
+    groups.get(index).items.push(item);
+  });
+  return [...groups.entries()].sort(([a], [b]) => a - b).map(([, group]) => group);
+};
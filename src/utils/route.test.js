@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  cumulativeDistances,
+  pointAlongRoute,
+  projectOntoRoute,
+  planRouteSegments,
+  groupByRouteDistance,
+} from './route';
+
+// Due east along the equator: 0.1° of longitude is ~11.1 km
+const path = [
+  { lat: 0, lng: 0 },
+  { lat: 0, lng: 0.1 },
+  { lat: 0, lng: 0.2 },
+];
+
+describe('cumulativeDistances', () => {
+  it('starts at zero and accumulates segment lengths', () => {
+    const totals = cumulativeDistances(path);
+    expect(totals[0]).toBe(0);
+    expect(totals[1]).toBeCloseTo(11.1, 1);
+    expect(totals[2]).toBeCloseTo(22.2, 1);
+  });
+});
+
+describe('pointAlongRoute', () => {
+  it('interpolates within a segment', () => {
+    const point = pointAlongRoute(path, cumulativeDistances(path)[2] * 0.75);
+    expect(point.lat).toBeCloseTo(0, 6);
+    expect(point.lng).toBeCloseTo(0.15, 4);
+  });
+
+  it('clamps to the ends of the route', () => {
+    expect(pointAlongRoute(path, -5)).toEqual({ lat: 0, lng: 0 });
+    expect(pointAlongRoute(path, 1000)).toEqual({ lat: 0, lng: 0.2 });
+  });
+});
+
+describe('projectOntoRoute', () => {
+  it('returns distance along the route and the perpendicular offset', () => {
+    const { distanceAlongKm, offsetKm } = projectOntoRoute({ lat: 0.01, lng: 0.05 }, path);
+    expect(distanceAlongKm).toBeCloseTo(5.57, 1);
+    expect(offsetKm).toBeCloseTo(1.11, 1);
+  });
+
+  it('measures from the nearest end for points beyond the route', () => {
+    const { distanceAlongKm, offsetKm } = projectOntoRoute({ lat: 0, lng: 0.25 }, path);
+    expect(distanceAlongKm).toBeCloseTo(22.2, 1);
+    expect(offsetKm).toBeCloseTo(5.57, 1);
+  });
+});
+
+describe('planRouteSegments', () => {
+  it('covers the route with evenly spaced search circles', () => {
+    const segments = planRouteSegments(path, { corridorKm: 2, minSegmentKm: 10 });
+    expect(segments).toHaveLength(3);
+    expect(segments[0].distanceAlongKm).toBeCloseTo(3.7, 1);
+    expect(segments[0].radiusKm).toBeCloseTo(3.7 + 2, 1);
+    expect(segments[1].center.lng).toBeCloseTo(0.1, 4);
+  });
+
+  it('caps the number of segments on long routes', () => {
+    const long = [
+      { lat: 0, lng: 0 },
+      { lat: 0, lng: 5 },
+    ];
+    const segments = planRouteSegments(long, { maxSegments: 4 });
+    expect(segments).toHaveLength(4);
+    expect(segments[0].radiusKm).toBeGreaterThan(60);
+  });
+
+  it('returns nothing for an empty path', () => {
+    expect(planRouteSegments([])).toEqual([]);
+  });
+});
+
+describe('groupByRouteDistance', () => {
+  it('groups items into non-empty stretches in route order', () => {
+    const items = [{ routeDistanceKm: 52 }, { routeDistanceKm: 3 }, { routeDistanceKm: 10 }];
+    const groups = groupByRouteDistance(items, 25);
+    expect(groups.map((g) => [g.startKm, g.endKm, g.items.length])).toEqual([
+      [0, 25, 2],
+      [50, 75, 1],
+    ]);
+  });
+});
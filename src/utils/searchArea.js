@@ -0,0 +1,61 @@
+import { calculateDistance } from './distance';
+
+/**
+ * "Search this area": searching the visible part of the map
+ *
+ * Areas are viewports ({north, south, east, west}, as in markerClusters). The prompt to
+ * search again only appears once the view has moved far enough from the area the current
+ * results came from that they no longer match what's on screen.
+ */
+
+// Pan by more than this fraction of the searched area's height/width...
+const PAN_THRESHOLD = 0.3;
+// ...or zoom so the visible span changes by more than this factor
+const ZOOM_THRESHOLD = 1.6;
+
+const lngSpan = (area) => (area.east >= area.west ? area.east - area.west : area.east + 360 - area.west);
+
+// Shortest signed difference between two longitudes
+const lngDelta = (from, to) => ((((to - from) % 360) + 540) % 360) - 180;
+
+/**
+ * Center of an area
+ * @param {Object} area - {north, south, east, west}
+ * @returns {{lat: number, lng: number}}
+ */
+export const areaCenter = (area) => {
+  const lng = area.west + lngSpan(area) / 2;
+  return { lat: (area.north + area.south) / 2, lng: lng > 180 ? lng - 360 : lng };
+};
+
+/**
+ * Distance from an area's center to its corners, i.e. the radius of a circle covering it
+ * @param {Object} area - {north, south, east, west}
+ * @returns {number} Kilometers
+ */
+export const areaRadiusKm = (area) =>
+  calculateDistance(areaCenter(area), { lat: area.north, lng: area.west + lngSpan(area) });
+
+/**
+ * Whether the view has moved far enough from the searched area to offer searching it
+ * @param {Object|null} searched - Area the current results are for; null when there's none
+ * @param {Object|null} current - Visible area
+ * @returns {boolean}
+ */
+export const hasAreaChanged = (searched, current) => {
+  if (!searched || !current) return false;
+  const searchedLat = searched.north - searched.south;
+  const searchedLng = lngSpan(searched);
+  if (searchedLat <= 0 || searchedLng <= 0) return true;
+
+  const from = areaCenter(searched);
+  const to = areaCenter(current);
+  const panned =
+    Math.abs(to.lat - from.lat) / searchedLat > PAN_THRESHOLD ||
+    Math.abs(lngDelta(from.lng, to.lng)) / searchedLng > PAN_THRESHOLD;
+
+  const zoomRatio = (current.north - current.south) / searchedLat;
+  const zoomed = zoomRatio > ZOOM_THRESHOLD || zoomRatio < 1 / ZOOM_THRESHOLD;
+
+  return panned || zoomed;
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { areaCenter, areaRadiusKm, hasAreaChanged } from './searchArea';
+
+const area = { north: 37.8, south: 37.7, east: -122.3, west: -122.5 };
+const shift = (a, dLat, dLng) => ({
+  north: a.north + dLat,
+  south: a.south + dLat,
+  east: a.east + dLng,
+  west: a.west + dLng,
+});
+
+describe('areaCenter', () => {
+  it('is the middle of the area', () => {
+    const center = areaCenter(area);
+    expect(center.lat).toBeCloseTo(37.75);
+    expect(center.lng).toBeCloseTo(-122.4);
+  });
+
+  it('handles areas across the antimeridian', () => {
+    const center = areaCenter({ north: 10, south: -10, east: -170, west: 170 });
+    expect(center.lat).toBeCloseTo(0);
+    expect(Math.abs(center.lng)).toBeCloseTo(180);
+  });
+});
+
+describe('areaRadiusKm', () => {
+  it('reaches the corners of the area', () => {
+    // ~11.1km tall and ~17.6km wide at this latitude
+    expect(areaRadiusKm(area)).toBeGreaterThan(10);
+    expect(areaRadiusKm(area)).toBeLessThan(11);
+  });
+});
+
+describe('hasAreaChanged', () => {
+  it('is false without a searched or visible area', () => {
+    expect(hasAreaChanged(null, area)).toBe(false);
+    expect(hasAreaChanged(area, null)).toBe(false);
+  });
+
+  it('ignores small pans', () => {
+    expect(hasAreaChanged(area, shift(area, 0.02, 0.04))).toBe(false);
+  });
+
+  it('notices a pan of about a third of the view', () => {
+    expect(hasAreaChanged(area, shift(area, 0.04, 0))).toBe(true);
+    expect(hasAreaChanged(area, shift(area, 0, -0.08))).toBe(true);
+  });
+
+  it('notices zooming in or out', () => {
+    const zoomedOut = { north: 37.85, south: 37.65, east: -122.2, west: -122.6 };
+    const zoomedIn = { north: 37.775, south: 37.725, east: -122.35, west: -122.45 };
+    expect(hasAreaChanged(area, zoomedOut)).toBe(true);
+    expect(hasAreaChanged(area, zoomedIn)).toBe(true);
+  });
+
+  it('compares longitudes across the antimeridian', () => {
+    const pacific = { north: 10, south: -10, east: -170, west: 170 };
+    expect(hasAreaChanged(pacific, shift(pacific, 0, 2))).toBe(false);
+  });
+});
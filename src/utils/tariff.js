@@ -0,0 +1,239 @@
+/**
+ * Parse free-text charger pricing (OCM UsageCost) into a structured tariff
+ *
+ *   "$0.48/kWh + $1.00 session fee"  -> { perKwh: 0.48, sessionFee: 1, currency: 'USD' }
+ *   "0,39 €/kWh + 0,10 €/min"        -> { perKwh: 0.39, perMinute: 0.1, currency: 'EUR' }
+ *   "$2/hr after 2 hours"            -> { perMinute: 0.0333, perMinuteAfterMinutes: 120 }
+ *   "$1.00 per 15 minutes"           -> { perMinute: 0.0667 }
+ *
+ * Price ranges ("$0.20-$0.40/kWh") and several per-kWh rates ("$0.25/kWh Level 2, $0.45/kWh DC")
+ * keep the highest price, so a price filter never lets through a charger that can cost more.
+ *
+ * UsageCost is entered by hand, so every tariff carries a 0-1 `confidence`: the share of
+ * the text that was understood, reduced when amounts have no currency or no unit.
+ */
+
+import { formatCurrency } from './format';
+
+const CURRENCY_SYMBOLS = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+// "AU$0.60", "CA$0.35"...
+const DOLLAR_PREFIXES = { AU: 'AUD', CA: 'CAD', NZ: 'NZD', US: 'USD' };
+export const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'JPY'];
+
+const NUMBER = String.raw`(\d+(?:[.,]\d+)?)`;
+const SYMBOL = String.raw`([$€£¥])`;
+const CODE = `(${CURRENCY_CODES.join('|')})`;
+
+// Parts of a tariff: "+", ";", "plus", "and", ", " before text (not "0,39"), sentence breaks
+const SEGMENT_SPLIT = /\s*(?:\+|;|\n|\b[Pp]lus\b|\band\b|,(?=\s*[^\d\s])|\.\s+(?=[A-Z]))\s*/;
+
+// The rest of a range after its first amount: "-$0.40", " to 0.40"
+const RANGE_END = new RegExp(String.raw`^\s*(?:-|–|to)\s*(?:[A-Z]{2})?[$€£¥]?\s*${NUMBER}`, 'i');
+
+// Amounts with their currency, most specific first: [pattern, (match) => [value, currency, divisor]]
+const AMOUNT_PATTERNS = [
+  // Before "$" so a prefixed dollar isn't read as USD
+  [new RegExp(String.raw`\b(AU|CA|NZ|US)\$\s*${NUMBER}`, 'i'), (m) => [m[2], DOLLAR_PREFIXES[m[1].toUpperCase()]]],
+  [new RegExp(`${SYMBOL}\\s*${NUMBER}`), (m) => [m[2], CURRENCY_SYMBOLS[m[1]]]],
+  [new RegExp(`${NUMBER}\\s*${SYMBOL}`), (m) => [m[1], CURRENCY_SYMBOLS[m[2]]]],
+  [new RegExp(`\\b${CODE}\\s*${NUMBER}`, 'i'), (m) => [m[2], m[1].toUpperCase()]],
+  [new RegExp(`${NUMBER}\\s*${CODE}\\b`, 'i'), (m) => [m[1], m[2].toUpperCase()]],
+  [new RegExp(`${NUMBER}\\s*(?:p|pence)\\b`, 'i'), (m) => [m[1], 'GBP', 100]],
+  [new RegExp(`${NUMBER}\\s*(?:¢|c\\b|cents?\\b)`, 'i'), (m) => [m[1], null, 100]],
+  [new RegExp(NUMBER), (m) => [m[1], null]],
+];
+
+const AFTER_PATTERN = /\b(?:after|beyond)\s+(?:the\s+)?(?:first\s+)?(\d+(?:[.,]\d+)?)\s*(min(?:ute)?s?|h(?:ou)?rs?|h)\b/i;
+// "first 2 hours free" / "free for the first 2 hours"
+const FIRST_FREE_PATTERNS = [
+  /\bfirst\s+(\d+(?:[.,]\d+)?)\s*(min(?:ute)?s?|h(?:ou)?rs?|h)\b[^.;+]*\bfree\b/i,
+  /\bfree\b[^.;+]*?\bfirst\s+(\d+(?:[.,]\d+)?)\s*(min(?:ute)?s?|h(?:ou)?rs?|h)\b/i,
+];
+
+// A rate for a block of time: "per 15 minutes", "/30 min", "per 2 hrs"
+const PER_DURATION_PATTERN = /(?:\/|\bper|\bevery)\s*(\d+(?:[.,]\d+)?)\s*(min(?:ute)?s?|h(?:ou)?rs?|h)\b/i;
+
+const UNIT_PATTERNS = {
+  kwh: /kwh/i,
+  minute: /(?:\/|\bper|\ba)\s*min(?:ute)?\b|\bmin(?:ute)?s?\b/i,
+  hour: /(?:\/|\bper|\ban?)\s*(?:h|hr|hour)\b|\bhourly\b/i,
+};
+
+const SESSION_PATTERN = /session|connection|start|flat|plug[- ]?in|per charge|per visit|activation/i;
+const IDLE_PATTERN = /idle|overstay|blocking|occupancy/i;
+
+const toNumber = (text) => parseFloat(text.replace(',', '.'));
+
+const toMinutes = (value, unit) => (/^h/i.test(unit) ? toNumber(value) * 60 : toNumber(value));
+
+/**
+ * Find the first amount in a piece of text along with its currency; for a range, its upper end
+ * @returns {{amount: number, currency: string|null}|null}
+ */
+const findAmount = (text) => {
+  for (const [pattern, read] of AMOUNT_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const [value, currency, divisor = 1] = read(match);
+      const rangeEnd = text.slice(match.index + match[0].length).match(RANGE_END);
+      return { amount: toNumber(rangeEnd ? rangeEnd[1] : value) / divisor, currency };
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse a UsageCost string
+ * @param {string|null} usageCost - Free-text pricing
+ * @returns {Object|null} {raw, isFree, currency, perKwh, perMinute, perMinuteAfterMinutes,
+ *   sessionFee, idleFeePerMinute, idleGraceMinutes, confidence}; null for empty input.
+ *   Components that weren't found are null.
+ */
+export const parseTariff = (usageCost) => {
+  const raw = typeof usageCost === 'string' ? usageCost.trim() : '';
+  if (!raw) return null;
+
+  const tariff = {
+    raw,
+    isFree: false,
+    currency: null,
+    perKwh: null,
+    perMinute: null,
+    perMinuteAfterMinutes: null,
+    sessionFee: null,
+    idleFeePerMinute: null,
+    idleGraceMinutes: null,
+    confidence: 0,
+  };
+
+  const firstFree = FIRST_FREE_PATTERNS.map((pattern) => raw.match(pattern)).find(Boolean);
+  const segments = raw.split(SEGMENT_SPLIT).filter((s) => s && /\w/.test(s));
+  let understood = 0;
+  let missingCurrency = false;
+
+  segments.forEach((segment) => {
+    const after = segment.match(AFTER_PATTERN);
+    // Drop "after 2 hours" so its unit isn't read as the rate's unit
+    let rateText = after ? segment.replace(after[0], ' ') : segment;
+    // ...and "first 2 hours free" so its duration isn't read as a price
+    const freeClause = FIRST_FREE_PATTERNS.map((pattern) => rateText.match(pattern)).find(Boolean);
+    if (freeClause) rateText = rateText.replace(freeClause[0], ' ');
+    // "per 15 minutes": the duration isn't the price either
+    const perDuration = rateText.match(PER_DURATION_PATTERN);
+    const found = findAmount(perDuration ? rateText.replace(perDuration[0], ' ') : rateText);
+
+    if (!found) {
+      // "Free", "Free for the first 2 hours": understood, but nothing to price
+      if (/\bfree\b/i.test(segment)) understood += 1;
+      return;
+    }
+
+    const { amount, currency } = found;
+    if (currency) tariff.currency = tariff.currency || currency;
+    else missingCurrency = true;
+
+    const afterMinutes = after ? toMinutes(after[1], after[2]) : null;
+    let perMinute = null;
+    if (perDuration) perMinute = amount / toMinutes(perDuration[1], perDuration[2]);
+    else if (UNIT_PATTERNS.minute.test(rateText)) perMinute = amount;
+    else if (UNIT_PATTERNS.hour.test(rateText)) perMinute = amount / 60;
+
+    if (IDLE_PATTERN.test(segment) && perMinute !== null) {
+      tariff.idleFeePerMinute = perMinute;
+      tariff.idleGraceMinutes = afterMinutes;
+      understood += 1;
+    } else if (UNIT_PATTERNS.kwh.test(rateText)) {
+      // Several rates (per charger type, time of day...): keep the highest
+      tariff.perKwh = Math.max(tariff.perKwh ?? 0, amount);
+      understood += 1;
+    } else if (perMinute !== null) {
+      tariff.perMinute = perMinute;
+      tariff.perMinuteAfterMinutes =
+        afterMinutes ?? (firstFree ? toMinutes(firstFree[1], firstFree[2]) : null);
+      understood += 1;
+    } else if (SESSION_PATTERN.test(segment)) {
+      tariff.sessionFee = amount;
+      understood += 1;
+    } else {
+      // An amount with no unit: most likely a flat fee, but we can't be sure
+      tariff.sessionFee = tariff.sessionFee ?? amount;
+      understood += 0.5;
+    }
+  });
+
+  const hasPrice = [tariff.perKwh, tariff.perMinute, tariff.sessionFee, tariff.idleFeePerMinute].some(
+    (value) => value !== null
+  );
+  tariff.isFree = !hasPrice && /\bfree\b/i.test(raw);
+
+  let confidence = segments.length ? understood / segments.length : 0;
+  if (missingCurrency && hasPrice) confidence *= 0.8;
+  tariff.confidence = Math.round(confidence * 100) / 100;
+
+  return tariff;
+};
+
+/**
+ * Whether a tariff has anything that can be priced (or is free)
+ * @param {Object|null} tariff - Result of parseTariff
+ * @returns {boolean}
+ */
+export const isPricedTariff = (tariff) =>
+  !!tariff &&
+  (tariff.isFree ||
+    [tariff.perKwh, tariff.perMinute, tariff.sessionFee, tariff.idleFeePerMinute].some((v) => v !== null));
+
+/**
+ * Whether charging is free. A tariff with prices decides, since "free" in UsageCost often
+ * refers to something else ("Free parking, $0.60/kWh").
+ * @param {Object} charger - Normalized charger ({isFree, tariff})
+ * @returns {boolean}
+ */
+export const isFreeCharging = (charger) =>
+  isPricedTariff(charger?.tariff) ? charger.tariff.isFree : !!charger?.isFree;
+
+/**
+ * Estimate what a session costs under a tariff
+ * @param {Object|null} tariff - Result of parseTariff
+ * @param {Object} session - {kWh, pluggedMinutes, chargingMinutes}; idle time is plugged minus charging
+ * @returns {number|null} Cost in the tariff's currency, or null when the tariff can't be priced
+ */
+export const estimateTariffCost = (tariff, { kWh = 0, pluggedMinutes = 0, chargingMinutes = 0 } = {}) => {
+  if (!isPricedTariff(tariff)) return null;
+  if (tariff.isFree) return 0;
+
+  let cost = tariff.sessionFee || 0;
+  cost += (tariff.perKwh || 0) * kWh;
+  if (tariff.perMinute) {
+    cost += tariff.perMinute * Math.max(0, pluggedMinutes - (tariff.perMinuteAfterMinutes || 0));
+  }
+  if (tariff.idleFeePerMinute) {
+    const idleMinutes = Math.max(0, pluggedMinutes - chargingMinutes - (tariff.idleGraceMinutes || 0));
+    cost += tariff.idleFeePerMinute * idleMinutes;
+  }
+  return Math.round(cost * 100) / 100;
+};
+
+/**
+ * Normalized description of a tariff, e.g. "$0.48/kWh + $1.00 session fee"
+ * @param {Object|null} tariff - Result of parseTariff
+ * @returns {string|null} null when nothing could be parsed
+ */
+export const describeTariff = (tariff) => {
+  if (!isPricedTariff(tariff)) return null;
+  if (tariff.isFree) return 'Free';
+
+  const { currency } = tariff;
+  const parts = [];
+  if (tariff.perKwh !== null) parts.push(`${formatCurrency(tariff.perKwh, currency)}/kWh`);
+  if (tariff.perMinute !== null) {
+    const after = tariff.perMinuteAfterMinutes ? ` after ${tariff.perMinuteAfterMinutes} min` : '';
+    parts.push(`${formatCurrency(tariff.perMinute * 60, currency)}/hr${after}`);
+  }
+  if (tariff.sessionFee !== null) parts.push(`${formatCurrency(tariff.sessionFee, currency)} session fee`);
+  if (tariff.idleFeePerMinute !== null) {
+    const grace = tariff.idleGraceMinutes ? ` after ${tariff.idleGraceMinutes} min` : '';
+    parts.push(`${formatCurrency(tariff.idleFeePerMinute, currency)}/min idle${grace}`);
+  }
+  return parts.join(' + ');
+};
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { parseTariff, estimateTariffCost, describeTariff } from './tariff';
+
+describe('parseTariff', () => {
+  it('returns null for empty pricing', () => {
+    expect(parseTariff(null)).toBeNull();
+    expect(parseTariff('  ')).toBeNull();
+  });
+
+  it('parses a per-kWh price', () => {
+    expect(parseTariff('$0.35/kWh')).toMatchObject({
+      currency: 'USD',
+      perKwh: 0.35,
+      perMinute: null,
+      sessionFee: null,
+      isFree: false,
+      confidence: 1,
+    });
+  });
+
+  it('parses a per-kWh price with a session fee', () => {
+    expect(parseTariff('$0.48/kWh + $1.00 session fee')).toMatchObject({
+      perKwh: 0.48,
+      sessionFee: 1,
+      confidence: 1,
+    });
+  });
+
+  it('parses an hourly rate that starts later', () => {
+    const tariff = parseTariff('$2/hr after 2 hours');
+    expect(tariff.perMinute).toBeCloseTo(2 / 60);
+    expect(tariff.perMinuteAfterMinutes).toBe(120);
+    expect(tariff.perKwh).toBeNull();
+    expect(tariff.confidence).toBe(1);
+  });
+
+  it('parses decimal commas and trailing currency symbols', () => {
+    expect(parseTariff('0,39 €/kWh + 0,10 €/min')).toMatchObject({
+      currency: 'EUR',
+      perKwh: 0.39,
+      perMinute: 0.1,
+      confidence: 1,
+    });
+  });
+
+  it('parses idle fees with a grace period', () => {
+    expect(parseTariff('$0.30/kWh; idle fee $0.40/min after 10 min')).toMatchObject({
+      perKwh: 0.3,
+      perMinute: null,
+      idleFeePerMinute: 0.4,
+      idleGraceMinutes: 10,
+    });
+  });
+
+  it('uses a "first hours free" clause as the start of time charges', () => {
+    expect(parseTariff('Free for the first 2 hours, then $1.50 per hour')).toMatchObject({
+      perMinute: 0.025,
+      perMinuteAfterMinutes: 120,
+      sessionFee: null,
+      isFree: false,
+      confidence: 1,
+    });
+  });
+
+  it('reads currency codes and cents', () => {
+    expect(parseTariff('EUR 0.59 per kWh')).toMatchObject({ currency: 'EUR', perKwh: 0.59 });
+    expect(parseTariff('30c/kWh').perKwh).toBeCloseTo(0.3);
+  });
+
+  it('divides rates for a block of time by its length', () => {
+    expect(parseTariff('$1.00 per 15 minutes').perMinute).toBeCloseTo(1 / 15);
+    expect(parseTariff('€2 /30 min').perMinute).toBeCloseTo(2 / 30);
+    expect(parseTariff('$3 per 2 hrs').perMinute).toBeCloseTo(3 / 120);
+    expect(parseTariff('$1.00 per 15 minutes').confidence).toBe(1);
+  });
+
+  it('takes the upper end of a price range', () => {
+    expect(parseTariff('$0.20-$0.40/kWh')).toMatchObject({ perKwh: 0.4, currency: 'USD' });
+    expect(parseTariff('0.20 to 0.40 EUR/kWh').perKwh).toBe(0.4);
+  });
+
+  it('keeps the highest of several per-kWh rates', () => {
+    expect(parseTariff('$0.25/kWh Level 2, $0.45/kWh DC').perKwh).toBe(0.45);
+    expect(parseTariff('$0.45/kWh DC, $0.25/kWh Level 2').perKwh).toBe(0.45);
+  });
+
+  it('reads pence and prefixed dollars', () => {
+    expect(parseTariff('25p/kWh')).toMatchObject({ currency: 'GBP', perKwh: 0.25 });
+    expect(parseTariff('45 pence per kWh')).toMatchObject({ currency: 'GBP', perKwh: 0.45 });
+    expect(parseTariff('AU$0.60/kWh')).toMatchObject({ currency: 'AUD', perKwh: 0.6 });
+    expect(parseTariff('CA$0.35/kWh').currency).toBe('CAD');
+    expect(parseTariff('NZ$0.50/kWh').currency).toBe('NZD');
+    expect(parseTariff('US$0.40/kWh').currency).toBe('USD');
+  });
+
+  it('recognizes free chargers', () => {
+    expect(parseTariff('Free')).toMatchObject({ isFree: true, confidence: 1 });
+    expect(parseTariff('Free for customers')).toMatchObject({ isFree: true });
+  });
+
+  it('has low confidence for amounts without currency or unit', () => {
+    expect(parseTariff('0.25 per kWh')).toMatchObject({ perKwh: 0.25, currency: null, confidence: 0.8 });
+    expect(parseTariff('$5').confidence).toBe(0.5);
+  });
+
+  it('has no confidence in text it cannot read', () => {
+    expect(parseTariff('Pay at location')).toMatchObject({ perKwh: null, isFree: false, confidence: 0 });
+  });
+});
+
+describe('estimateTariffCost', () => {
+  it('adds energy, session, time and idle charges', () => {
+    const tariff = parseTariff('$0.30/kWh + $1 session fee; idle fee $0.40/min after 10 min');
+    // 20kWh in 40 min, plugged in for 50: 10 idle minutes are within the grace period
+    expect(estimateTariffCost(tariff, { kWh: 20, pluggedMinutes: 50, chargingMinutes: 40 })).toBe(7);
+    // plugged in for 60: 20 idle minutes, 10 of them billable
+    expect(estimateTariffCost(tariff, { kWh: 20, pluggedMinutes: 60, chargingMinutes: 40 })).toBe(11);
+  });
+
+  it('is zero for free tariffs and null when nothing is priced', () => {
+    expect(estimateTariffCost(parseTariff('Free'), { kWh: 10 })).toBe(0);
+    expect(estimateTariffCost(parseTariff('Pay at location'), { kWh: 10 })).toBeNull();
+    expect(estimateTariffCost(null, { kWh: 10 })).toBeNull();
+  });
+});
+
+describe('describeTariff', () => {
+  it('normalizes parsed tariffs', () => {
+    expect(describeTariff(parseTariff('Free'))).toBe('Free');
+    expect(describeTariff(parseTariff('Pay at location'))).toBeNull();
+    expect(describeTariff(parseTariff('$2/hr after 2 hours'))).toMatch(/2\.00\/hr after 120 min$/);
+  });
+});
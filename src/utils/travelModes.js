@@ -0,0 +1,19 @@
+/**
+ * How the user gets to the places they search for. Keys match Google's TravelMode names
+ * (lower-cased), so they can be passed straight to the Maps services.
+ */
+
+export const DEFAULT_TRAVEL_MODE = 'driving';
+
+export const TRAVEL_MODES = [
+  { key: 'driving', label: 'Driving', noun: 'drive' },
+  { key: 'bicycling', label: 'Cycling', noun: 'cycling' },
+  { key: 'transit', label: 'Transit', noun: 'transit' },
+];
+
+/**
+ * Travel mode details for a key, falling back to driving for unknown keys
+ * @param {string} key - e.g. 'bicycling'
+ * @returns {{key: string, label: string, noun: string}}
+ */
+export const getTravelMode = (key) => TRAVEL_MODES.find((mode) => mode.key === key) || TRAVEL_MODES[0];
@@ -0,0 +1,13 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_TRAVEL_MODE, getTravelMode } from './travelModes';
+
+describe('getTravelMode', () => {
+  it('describes a travel mode', () => {
+    expect(getTravelMode('bicycling')).toEqual({ key: 'bicycling', label: 'Cycling', noun: 'cycling' });
+  });
+
+  it('falls back to driving for unknown or missing modes', () => {
+    expect(getTravelMode('teleport').key).toBe(DEFAULT_TRAVEL_MODE);
+    expect(getTravelMode(undefined).key).toBe('driving');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Range-aware charging stops for a road trip
+ *
+ * Greedy planner: from the current position, if the destination can't be reached with the
+ * reserve left, stop at the best DC fast charger that can be. "Best" favours progress along
+ * the route, then a matching amenity nearby, then charging power. Each stop charges just
+ * enough to finish the trip, up to `targetSoc`.
+ */
+
+import { DEFAULT_BATTERY_KWH, DEFAULT_EFFICIENCY, estimateChargeMinutes } from './chargeEstimate';
+import { KM_PER_MILE, formatDistance } from './distance';
+
+export const DEFAULT_TRIP_OPTIONS = {
+  startSoc: 80, // % when leaving
+  reserveSoc: 10, // never plan to arrive anywhere below this %
+  targetSoc: 80, // charge up to this % at a stop (DC charging slows down above it)
+};
+
+// Score weights, relative to 1 for a stop at the edge of the remaining range
+const AMENITY_BONUS = 0.3;
+const POWER_BONUS = 0.2;
+const POWER_BONUS_CAP_KW = 250;
+
+/**
+ * Kilometers of range per % of battery
+ * @param {Object|null} vehicle - {batteryKwh, efficiency (mi/kWh)}; defaults when missing
+ * @returns {number}
+ */
+export const rangeKmPerPercent = (vehicle) => {
+  const batteryKwh = vehicle?.batteryKwh > 0 ? vehicle.batteryKwh : DEFAULT_BATTERY_KWH;
+  const efficiency = vehicle?.efficiency > 0 ? vehicle.efficiency : DEFAULT_EFFICIENCY;
+  return (batteryKwh * efficiency * KM_PER_MILE) / 100;
+};
+
+/**
+ * Plan charging stops along a route
+ * @param {Array} candidates - DC fast chargers with `routeDistanceKm`, `routeOffsetKm`, `powerKw`
+ *   and optionally `amenity` (a nearby place matching the search)
+ * @param {Object} options - {routeKm, vehicle, startSoc, reserveSoc, targetSoc}
+ * @returns {Object} {feasible, stops, arrivalSoc, totalChargeMinutes, routeKm, stuckAtKm}. Each stop is
+ *   {charger, amenity, distanceAlongKm, arriveSoc, departSoc, chargeMinutes}. When the trip can't be
+ *   completed, `stuckAtKm` is where the plan ran out of reachable chargers.
+ */
+export const planChargingStops = (
+  candidates,
+  {
+    routeKm,
+    vehicle = null,
+    startSoc = DEFAULT_TRIP_OPTIONS.startSoc,
+    reserveSoc = DEFAULT_TRIP_OPTIONS.reserveSoc,
+    targetSoc = DEFAULT_TRIP_OPTIONS.targetSoc,
+  }
+) => {
+  const kmPerPercent = rangeKmPerPercent(vehicle);
+  const batteryKwh = vehicle?.batteryKwh > 0 ? vehicle.batteryKwh : DEFAULT_BATTERY_KWH;
+  const socUsed = (km) => km / kmPerPercent;
+
+  const stops = [];
+  const used = new Set();
+  let positionKm = 0;
+  let offsetKm = 0; // distance back to the route from the last stop
+  let soc = startSoc;
+
+  // Every stop moves forward, so this can't take more steps than there are candidates
+  for (let step = 0; step <= candidates.length; step += 1) {
+    const finalLegKm = routeKm - positionKm + offsetKm;
+    if (soc - socUsed(finalLegKm) >= reserveSoc) {
+      return {
+        feasible: true,
+        stops,
+        arrivalSoc: Math.round(soc - socUsed(finalLegKm)),
+        totalChargeMinutes: stops.reduce((sum, s) => sum + (s.chargeMinutes || 0), 0),
+        routeKm,
+        stuckAtKm: null,
+      };
+    }
+
+    const legKm = (c) => c.routeDistanceKm - positionKm + offsetKm + c.routeOffsetKm;
+    const reachKm = (soc - reserveSoc) * kmPerPercent;
+    const reachable = candidates.filter(
+      (c, index) =>
+        !used.has(index) &&
+        c.routeDistanceKm > positionKm &&
+        c.routeDistanceKm < routeKm &&
+        soc - socUsed(legKm(c)) >= reserveSoc
+    );
+    if (reachable.length === 0) break;
+
+    const score = (c) =>
+      (c.routeDistanceKm - positionKm) / reachKm +
+      (c.amenity ? AMENITY_BONUS : 0) +
+      (Math.min(c.powerKw || 0, POWER_BONUS_CAP_KW) / POWER_BONUS_CAP_KW) * POWER_BONUS;
+    const best = reachable.reduce((a, b) => (score(b) > score(a) ? b : a));
+
+    const arriveSoc = soc - socUsed(legKm(best));
+    const neededSoc = reserveSoc + socUsed(routeKm - best.routeDistanceKm + best.routeOffsetKm);
+    const departSoc = Math.max(arriveSoc, Math.min(targetSoc, Math.ceil(neededSoc)));
+
+    used.add(candidates.indexOf(best));
+    stops.push({
+      charger: best,
+      amenity: best.amenity || null,
+      distanceAlongKm: best.routeDistanceKm,
+      arriveSoc: Math.round(arriveSoc),
+      departSoc: Math.round(departSoc),
+      chargeMinutes: estimateChargeMinutes(best.powerKw, arriveSoc, departSoc, { batteryKwh }),
+    });
+
+    positionKm = best.routeDistanceKm;
+    offsetKm = best.routeOffsetKm;
+    soc = departSoc;
+  }
+
+  return {
+    feasible: false,
+    stops,
+    arrivalSoc: null,
+    totalChargeMinutes: stops.reduce((sum, s) => sum + (s.chargeMinutes || 0), 0),
+    routeKm,
+    stuckAtKm: positionKm,
+  };
+};
+
+/**
+ * Google Maps directions link with the charging stops as waypoints
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {Array} stops - Stops from planChargingStops
+ * @returns {string} URL
+ */
+export const buildDirectionsUrl = (origin, destination, stops = []) => {
+  const toParam = (point) => `${point.lat.toFixed(5)},${point.lng.toFixed(5)}`;
+  const params = new URLSearchParams({
+    api: '1',
+    origin: toParam(origin),
+    destination: toParam(destination),
+    travelmode: 'driving',
+  });
+  if (stops.length) {
+    params.set('waypoints', stops.map((stop) => toParam(stop.charger.location)).join('|'));
+  }
+  return `https://www.google.com/maps/dir/?${params.toString()}`;
+};
+
+/**
+ * Plain-text itinerary for download or sharing
+ * @param {Object} plan - Result of planChargingStops
+ * @param {Object} options - {from, to, units, vehicleName}
+ * @returns {string}
+ */
+export const buildItineraryText = (plan, { from = 'Start', to = 'Destination', units = 'imperial', vehicleName } = {}) => {
+  const distance = (km) => formatDistance(km, { units, decimals: 0 });
+  const lines = [
+    `Road trip: ${from} → ${to}`,
+    `${distance(plan.routeKm)}${vehicleName ? ` in ${vehicleName}` : ''}`,
+    '',
+  ];
+
+  plan.stops.forEach((stop, index) => {
+    const { charger } = stop;
+    lines.push(`${index + 1}. ${charger.name} (${distance(stop.distanceAlongKm)} along the route)`);
+    if (charger.address) lines.push(`   ${charger.address}`);
+    const time = stop.chargeMinutes !== null ? ` (~${stop.chargeMinutes} min)` : '';
+    lines.push(`   Arrive ${stop.arriveSoc}%, charge to ${stop.departSoc}%${time}`);
+    if (stop.amenity) lines.push(`   Nearby: ${stop.amenity.name}`);
+  });
+
+  if (plan.stops.length) lines.push('');
+  if (plan.feasible) {
+    lines.push(`Arrive at ${to} with about ${plan.arrivalSoc}%`);
+    if (plan.totalChargeMinutes) lines.push(`Total charging time: ~${plan.totalChargeMinutes} min`);
+  } else {
+    lines.push(`No reachable DC fast charger after ${distance(plan.stuckAtKm)}; this trip needs another plan.`);
+  }
+  return lines.join('\n');
+};
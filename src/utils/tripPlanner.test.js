@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { planChargingStops, rangeKmPerPercent, buildDirectionsUrl, buildItineraryText } from './tripPlanner';
+
+// 60 kWh at 4 mi/kWh: ~3.86 km per %
+const vehicle = { name: 'Test EV', batteryKwh: 60, efficiency: 4 };
+
+const charger = (id, routeDistanceKm, extra = {}) => ({
+  id,
+  name: `Charger ${id}`,
+  address: `${id} Main St`,
+  location: { lat: 0, lng: routeDistanceKm / 111 },
+  routeDistanceKm,
+  routeOffsetKm: 0,
+  powerKw: 150,
+  ...extra,
+});
+
+describe('rangeKmPerPercent', () => {
+  it('uses battery size and efficiency', () => {
+    expect(rangeKmPerPercent(vehicle)).toBeCloseTo(3.862, 3);
+  });
+});
+
+describe('planChargingStops', () => {
+  it('needs no stops when the destination is in range', () => {
+    const plan = planChargingStops([charger(1, 50)], { routeKm: 100, vehicle, startSoc: 80, reserveSoc: 10 });
+    expect(plan.feasible).toBe(true);
+    expect(plan.stops).toEqual([]);
+    expect(plan.arrivalSoc).toBe(54);
+  });
+
+  it('prefers a stop with an amenity nearby and charges just enough to finish', () => {
+    const candidates = [
+      charger(1, 100),
+      charger(2, 200, { amenity: { name: 'Coffee' } }),
+      charger(3, 250),
+      charger(4, 300),
+    ];
+    const plan = planChargingStops(candidates, { routeKm: 400, vehicle, startSoc: 80, reserveSoc: 10 });
+
+    expect(plan.feasible).toBe(true);
+    expect(plan.stops).toHaveLength(1);
+    const [stop] = plan.stops;
+    expect(stop.charger.id).toBe(2);
+    expect(stop.amenity.name).toBe('Coffee');
+    expect(stop.arriveSoc).toBe(28);
+    expect(stop.departSoc).toBe(62);
+    expect(stop.chargeMinutes).toBe(8);
+    expect(plan.arrivalSoc).toBe(10);
+  });
+
+  it('chains several stops, capping each charge at the target', () => {
+    const candidates = [100, 200, 300, 400, 500, 600, 700].map((km) => charger(km, km));
+    const plan = planChargingStops(candidates, { routeKm: 800, vehicle, startSoc: 80, reserveSoc: 10 });
+
+    expect(plan.feasible).toBe(true);
+    expect(plan.stops.length).toBeGreaterThan(1);
+    plan.stops.forEach((stop) => {
+      expect(stop.arriveSoc).toBeGreaterThanOrEqual(10);
+      expect(stop.departSoc).toBeLessThanOrEqual(80);
+    });
+    expect(plan.arrivalSoc).toBeGreaterThanOrEqual(10);
+  });
+
+  it('reports where the plan got stuck', () => {
+    const plan = planChargingStops([charger(1, 300)], { routeKm: 400, vehicle, startSoc: 80, reserveSoc: 10 });
+    expect(plan.feasible).toBe(false);
+    expect(plan.stuckAtKm).toBe(0);
+  });
+});
+
+describe('itinerary export', () => {
+  const plan = planChargingStops([charger(2, 200, { amenity: { name: 'Coffee' } })], {
+    routeKm: 400,
+    vehicle,
+    startSoc: 80,
+    reserveSoc: 10,
+  });
+
+  it('builds a Google Maps link with stops as waypoints', () => {
+    const url = new URL(buildDirectionsUrl({ lat: 0, lng: 0 }, { lat: 0, lng: 3.6 }, plan.stops));
+    expect(url.searchParams.get('origin')).toBe('0.00000,0.00000');
+    expect(url.searchParams.get('destination')).toBe('0.00000,3.60000');
+    expect(url.searchParams.get('waypoints')).toBe('0.00000,1.80180');
+    expect(url.searchParams.get('travelmode')).toBe('driving');
+  });
+
+  it('writes a readable text itinerary', () => {
+    const text = buildItineraryText(plan, { from: 'Home', to: 'Lake', units: 'metric', vehicleName: 'Test EV' });
+    expect(text).toContain('Road trip: Home → Lake');
+    expect(text).toContain('1. Charger 2 (200km along the route)');
+    expect(text).toContain('Arrive 28%, charge to 62% (~8 min)');
+    expect(text).toContain('Nearby: Coffee');
+    expect(text).toContain('Arrive at Lake with about 10%');
+  });
+});
@@ -0,0 +1,143 @@
+import { DEFAULT_FILTERS } from './chargerFilters';
+
+/**
+ * Shareable URLs for searches
+ *
+ *   /                      landing page
+ *   /map?q=coffee&...      map view for a search
+ *   /map?q=coffee&to=...   map view for a search along a route (origin is `near` or lat/lng)
+ *   /map?q=coffee&area=... a saved area (see services/savedAreas), viewable offline
+ *
+ * Map URLs carry the query, the location (custom text and/or resolved lat/lng), any
+ * filters that differ from DEFAULT_FILTERS and the selected place/charger.
+ */
+
+export const MAP_PATH = '/map';
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) ? number : undefined;
+};
+
+// filter key -> URL param and how to (de)serialize it
+const FILTER_PARAMS = {
+  operational: {
+    param: 'open',
+    encode: (value) => (value ? '1' : null),
+    decode: (value) => value === '1',
+  },
+  access: { param: 'access' },
+  cost: { param: 'cost' },
+  maxPricePerKwh: { param: 'maxkwh', decode: toNumber },
+  priceCurrency: { param: 'cur' },
+  speed: { param: 'speed' },
+  connectors: {
+    param: 'conn',
+    // OCM connector titles can contain commas, so use a pipe separator
+    encode: (value) => (value?.length ? value.join('|') : null),
+    decode: (value) => value.split('|').filter(Boolean),
+  },
+  walkingTime: { param: 'walk', decode: toNumber },
+  searchRadius: { param: 'radius', decode: toNumber },
+  match: { param: 'match' },
+  compatibleOnly: {
+    param: 'compat',
+    encode: (value) => (value ? '1' : '0'),
+    decode: (value) => value !== '0',
+  },
+};
+
+const isDefaultValue = (key, value) =>
+  JSON.stringify(value) === JSON.stringify(DEFAULT_FILTERS[key]);
+
+/**
+ * Build the URL for a map search
+ * @param {Object} state
+ * @param {Object} state.searchData - {query, locationType, customLocation, mode, destination, savedAreaId}
+ * @param {Object} state.center - Resolved search center {lat, lng} (optional)
+ * @param {Object} state.filters - Options panel filters (optional)
+ * @param {Object} state.selection - {placeId, chargerId} (optional)
+ * @returns {string} Path and query string
+ */
+export const buildSearchUrl = ({ searchData, center, filters, selection }) => {
+  const params = new URLSearchParams();
+  params.set('q', searchData?.query || '');
+
+  if (searchData?.locationType === 'custom' && searchData.customLocation) {
+    params.set('near', searchData.customLocation);
+  }
+
+  if (searchData?.mode === 'route' && searchData.destination) {
+    params.set('to', searchData.destination);
+  }
+
+  if (searchData?.savedAreaId) {
+    params.set('area', searchData.savedAreaId);
+  }
+
+  if (center && Number.isFinite(center.lat) && Number.isFinite(center.lng)) {
+    params.set('lat', center.lat.toFixed(5));
+    params.set('lng', center.lng.toFixed(5));
+  }
+
+  Object.entries(FILTER_PARAMS).forEach(([key, { param, encode }]) => {
+    const value = filters?.[key];
+    if (value === undefined || isDefaultValue(key, value)) return;
+    const encoded = encode ? encode(value) : String(value);
+    if (encoded !== null && encoded !== '') params.set(param, encoded);
+  });
+
+  if (selection?.placeId) params.set('place', selection.placeId);
+  if (selection?.chargerId !== undefined && selection?.chargerId !== null) {
+    params.set('charger', String(selection.chargerId));
+  }
+
+  return `${MAP_PATH}?${params.toString()}`;
+};
+
+/**
+ * Read the view and search state from a URL
+ * @param {{pathname: string, search: string}} location - e.g. window.location
+ * @returns {{view: 'landing'|'map', searchData: Object|null}} searchData also carries
+ *   `center`, `filters` (non-default values only) and `selection` when present
+ */
+export const parseSearchUrl = ({ pathname, search }) => {
+  const params = new URLSearchParams(search || '');
+  const query = (params.get('q') || '').trim();
+
+  if (pathname !== MAP_PATH || !query) {
+    return { view: 'landing', searchData: null };
+  }
+
+  const near = params.get('near');
+  const to = params.get('to');
+  const area = params.get('area');
+  const lat = toNumber(params.get('lat'));
+  const lng = toNumber(params.get('lng'));
+
+  const filters = {};
+  Object.entries(FILTER_PARAMS).forEach(([key, { param, decode }]) => {
+    const raw = params.get(param);
+    if (raw === null) return;
+    const value = decode ? decode(raw) : raw;
+    if (value !== undefined) filters[key] = value;
+  });
+
+  const selection = {};
+  if (params.get('place')) selection.placeId = params.get('place');
+  if (params.get('charger')) selection.chargerId = params.get('charger');
+
+  return {
+    view: 'map',
+    searchData: {
+      query,
+      locationType: near ? 'custom' : 'my-location',
+      customLocation: near || null,
+      ...(to ? { mode: 'route', destination: to } : {}),
+      ...(area ? { savedAreaId: area } : {}),
+      center: lat !== undefined && lng !== undefined ? { lat, lng } : null,
+      filters,
+      selection,
+    },
+  };
+};
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { buildSearchUrl, parseSearchUrl } from './urlState';
+import { DEFAULT_FILTERS } from './chargerFilters';
+
+const toLocation = (url) => {
+  const [pathname, search = ''] = url.split('?');
+  return { pathname, search: search ? `?${search}` : '' };
+};
+
+describe('buildSearchUrl', () => {
+  it('encodes just the query for a plain search', () => {
+    expect(
+      buildSearchUrl({ searchData: { query: 'coffee', locationType: 'my-location' } })
+    ).toBe('/map?q=coffee');
+  });
+
+  it('omits filters that match the defaults', () => {
+    const url = buildSearchUrl({
+      searchData: { query: 'coffee' },
+      filters: { ...DEFAULT_FILTERS, cost: 'free' },
+    });
+    expect(url).toBe('/map?q=coffee&cost=free');
+  });
+
+  it('encodes a disabled vehicle compatibility filter', () => {
+    const url = buildSearchUrl({
+      searchData: { query: 'coffee' },
+      filters: { ...DEFAULT_FILTERS, compatibleOnly: false },
+    });
+    expect(url).toBe('/map?q=coffee&compat=0');
+    expect(parseSearchUrl(toLocation(url)).searchData.filters).toEqual({ compatibleOnly: false });
+  });
+
+  it('rounds the center to five decimals', () => {
+    const url = buildSearchUrl({
+      searchData: { query: 'gym' },
+      center: { lat: 37.774929, lng: -122.419416 },
+    });
+    expect(url).toBe('/map?q=gym&lat=37.77493&lng=-122.41942');
+  });
+});
+
+describe('parseSearchUrl', () => {
+  it('returns the landing view for the root path', () => {
+    expect(parseSearchUrl({ pathname: '/', search: '' })).toEqual({ view: 'landing', searchData: null });
+  });
+
+  it('returns the landing view for a map URL without a query', () => {
+    expect(parseSearchUrl({ pathname: '/map', search: '?lat=1&lng=2' }).view).toBe('landing');
+  });
+
+  it('ignores a malformed center', () => {
+    const { searchData } = parseSearchUrl({ pathname: '/map', search: '?q=tea&lat=abc&lng=2' });
+    expect(searchData.center).toBeNull();
+  });
+
+  it('round-trips a full search', () => {
+    const filters = {
+      ...DEFAULT_FILTERS,
+      operational: true,
+      access: 'public',
+      speed: 'dc_fast',
+      connectors: ['CCS (Type 1)', 'Europlug 2-Pin (CEE 7/16), Type C'],
+      walkingTime: 12,
+      searchRadius: 25,
+      match: 'any',
+    };
+    const url = buildSearchUrl({
+      searchData: { query: 'whole foods', locationType: 'custom', customLocation: 'Mission District, SF' },
+      center: { lat: 37.7599, lng: -122.4148 },
+      filters,
+      selection: { placeId: 'ChIJabc', chargerId: 163902 },
+    });
+
+    const { view, searchData } = parseSearchUrl(toLocation(url));
+
+    expect(view).toBe('map');
+    expect(searchData).toEqual({
+      query: 'whole foods',
+      locationType: 'custom',
+      customLocation: 'Mission District, SF',
+      center: { lat: 37.7599, lng: -122.4148 },
+      filters: {
+        operational: true,
+        access: 'public',
+        speed: 'dc_fast',
+        connectors: ['CCS (Type 1)', 'Europlug 2-Pin (CEE 7/16), Type C'],
+        walkingTime: 12,
+        searchRadius: 25,
+        match: 'any',
+      },
+      selection: { placeId: 'ChIJabc', chargerId: '163902' },
+    });
+  });
+
+  it('round-trips a route search', () => {
+    const url = buildSearchUrl({
+      searchData: { query: 'coffee', locationType: 'my-location', mode: 'route', destination: 'Sacramento, CA' },
+      center: { lat: 37.7749, lng: -122.4194 },
+    });
+    expect(url).toBe('/map?q=coffee&to=Sacramento%2C+CA&lat=37.77490&lng=-122.41940');
+
+    const { searchData } = parseSearchUrl(toLocation(url));
+    expect(searchData.mode).toBe('route');
+    expect(searchData.destination).toBe('Sacramento, CA');
+    expect(searchData.center).toEqual({ lat: 37.7749, lng: -122.4194 });
+  });
+
+  it('round-trips a saved area', () => {
+    const url = buildSearchUrl({ searchData: { query: 'coffee', savedAreaId: 'lx3k9a1b' } });
+    expect(url).toBe('/map?q=coffee&area=lx3k9a1b');
+    expect(parseSearchUrl(toLocation(url)).searchData.savedAreaId).toBe('lx3k9a1b');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Vehicle <-> charger connector compatibility
+ *
+ * Open Charge Map connector titles ("CCS (Type 1)", "NACS / Tesla Supercharger", ...) are
+ * grouped into connector families. A vehicle lists the families its charge ports accept
+ * natively plus the adapters its owner carries, and the maximum AC and DC power it can take.
+ */
+
+export const CONNECTOR_FAMILIES = [
+  { id: 'j1772', label: 'J1772 (Type 1)', current: 'AC' },
+  { id: 'ccs1', label: 'CCS1', current: 'DC' },
+  { id: 'nacs', label: 'NACS / Tesla', current: null }, // NACS carries both AC and DC
+  { id: 'chademo', label: 'CHAdeMO', current: 'DC' },
+  { id: 'type2', label: 'Type 2 (Mennekes)', current: 'AC' },
+  { id: 'ccs2', label: 'CCS2', current: 'DC' },
+  { id: 'nema', label: 'Household outlet (NEMA)', current: 'AC' },
+];
+
+// Families each charge port accepts without an adapter (combo inlets also take their AC plug)
+const NATIVE_ACCEPTS = {
+  j1772: ['j1772'],
+  ccs1: ['ccs1', 'j1772'],
+  nacs: ['nacs'],
+  chademo: ['chademo'],
+  type2: ['type2'],
+  ccs2: ['ccs2', 'type2'],
+};
+
+export const VEHICLE_PORTS = CONNECTOR_FAMILIES.filter((f) => NATIVE_ACCEPTS[f.id]);
+
+export const DEFAULT_VEHICLE = {
+  name: 'My EV',
+  ports: ['ccs1'],
+  adapters: [],
+  maxAcKw: 11,
+  maxDcKw: 150,
+  batteryKwh: 65,
+  efficiency: 3.5, // miles per kWh
+};
+
+// Quick-fill templates for common vehicles (North American specs)
+export const VEHICLE_TEMPLATES = [
+  {
+    name: 'Tesla Model 3 / Y',
+    ports: ['nacs'],
+    adapters: ['j1772'],
+    maxAcKw: 11.5,
+    maxDcKw: 250,
+    batteryKwh: 75,
+    efficiency: 4,
+  },
+  {
+    name: 'Chevrolet Bolt EV',
+    ports: ['ccs1'],
+    adapters: [],
+    maxAcKw: 11.5,
+    maxDcKw: 55,
+    batteryKwh: 65,
+    efficiency: 3.6,
+  },
+  {
+    name: 'Hyundai Ioniq 5',
+    ports: ['ccs1'],
+    adapters: ['nacs'],
+    maxAcKw: 10.9,
+    maxDcKw: 235,
+    batteryKwh: 77.4,
+    efficiency: 3.3,
+  },
+  {
+    name: 'Nissan Leaf',
+    ports: ['chademo', 'j1772'],
+    adapters: [],
+    maxAcKw: 6.6,
+    maxDcKw: 50,
+    batteryKwh: 40,
+    efficiency: 3.8,
+  },
+];
+
+/**
+ * Map an OCM connection type title to a connector family id
+ * @param {string} title - e.g. "CCS (Type 1)"
+ * @returns {string|null} Family id, or null when unrecognised
+ */
+export const getConnectorFamily = (title) => {
+  const t = (title || '').toLowerCase();
+  // Order matters: "CCS (Type 1)" also contains "type 1"
+  if (t.includes('ccs') || t.includes('combo')) {
+    return t.includes('type 2') || t.includes('type2') ? 'ccs2' : 'ccs1';
+  }
+  if (t.includes('chademo')) return 'chademo';
+  if (t.includes('nacs') || t.includes('tesla') || t.includes('j3400')) return 'nacs';
+  if (t.includes('j1772') || t.includes('type 1')) return 'j1772';
+  if (t.includes('type 2') || t.includes('mennekes')) return 'type2';
+  if (t.includes('nema')) return 'nema';
+  return null;
+};
+
+/**
+ * Whether a connector delivers AC or DC
+ * @param {Object} connector - Normalized connector ({type, power, currentType})
+ * @returns {'AC'|'DC'}
+ */
+const getCurrentType = (connector) => {
+  if (connector.currentType) return connector.currentType;
+  const family = CONNECTOR_FAMILIES.find((f) => f.id === getConnectorFamily(connector.type));
+  if (family?.current) return family.current;
+  return (connector.power || 0) > 22 ? 'DC' : 'AC';
+};
+
+/**
+ * How a vehicle can use a charger
+ * @param {Object} charger - Normalized charger
+ * @param {Object} vehicle - {ports, adapters, maxAcKw, maxDcKw}
+ * @returns {Object|null} {compatible, viaAdapter, effectivePower, connectors} or null without a vehicle.
+ *   effectivePower is min(vehicle max for the current type, connector power) for the best connector,
+ *   or null when the charger doesn't report power.
+ */
+export const getChargerCompatibility = (charger, vehicle) => {
+  if (!vehicle) return null;
+
+  const ports = vehicle.ports || [];
+  const adapters = vehicle.adapters || [];
+  const native = new Set(ports.flatMap((port) => NATIVE_ACCEPTS[port] || []));
+
+  const connectors = (charger.connectors || []).map((connector) => {
+    const family = getConnectorFamily(connector.type);
+    const isNative = !!family && native.has(family);
+    const viaAdapter = !isNative && !!family && adapters.includes(family);
+    const currentType = getCurrentType(connector);
+    const vehicleMax = currentType === 'DC' ? vehicle.maxDcKw : vehicle.maxAcKw;
+    const usable = isNative || viaAdapter;
+
+    let effectivePower = null;
+    if (usable && connector.power > 0) {
+      effectivePower = vehicleMax > 0 ? Math.min(vehicleMax, connector.power) : connector.power;
+    }
+
+    return { type: connector.type, family, currentType, usable, viaAdapter, effectivePower };
+  });
+
+  const usable = connectors.filter((c) => c.usable);
+  // Best connector: highest effective power, native before adapter on ties
+  const best = [...usable].sort((a, b) => {
+    const diff = (b.effectivePower || 0) - (a.effectivePower || 0);
+    if (diff !== 0) return diff;
+    return Number(a.viaAdapter) - Number(b.viaAdapter);
+  })[0];
+
+  return {
+    compatible: usable.length > 0,
+    viaAdapter: !!best?.viaAdapter,
+    effectivePower: best?.effectivePower ?? null,
+    currentType: best?.currentType ?? null,
+    connectors,
+  };
+};
+
+/**
+ * Sort chargers so the best ones for the vehicle come first:
+ * compatible before incompatible, native before adapter, then by effective power.
+ * Chargers without compatibility data keep their relative order.
+ * @param {Array} chargers - Chargers annotated with `compatibility`
+ * @returns {Array} Sorted copy
+ */
+export const rankByCompatibility = (chargers) =>
+  [...chargers].sort((a, b) => {
+    const ca = a.compatibility;
+    const cb = b.compatibility;
+    if (!ca || !cb) return 0;
+    if (ca.compatible !== cb.compatible) return ca.compatible ? -1 : 1;
+    if (ca.viaAdapter !== cb.viaAdapter) return ca.viaAdapter ? 1 : -1;
+    return (cb.effectivePower || 0) - (ca.effectivePower || 0);
+  });
+
+/**
+ * Short label for a charger card or info window
+ * @param {Object|null} compatibility - Result of getChargerCompatibility
+ * @returns {string|null} e.g. "Up to 55kW for your vehicle", or null without a vehicle
+ */
+export const describeCompatibility = (compatibility) => {
+  if (!compatibility) return null;
+  if (!compatibility.compatible) return 'Not compatible with your vehicle';
+  const adapter = compatibility.viaAdapter ? ' (with adapter)' : '';
+  if (compatibility.effectivePower === null) return `Compatible${adapter}, power unknown`;
+  return `Up to ${compatibility.effectivePower}kW for your vehicle${adapter}`;
+};
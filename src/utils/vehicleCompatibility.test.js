@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getConnectorFamily,
+  getChargerCompatibility,
+  rankByCompatibility,
+  describeCompatibility,
+} from './vehicleCompatibility';
+import { parseChargerData } from '../services/openChargeMap';
+import ocmPois from '../fixtures/ocmPois.json';
+
+const charger = (id) => parseChargerData(ocmPois.find((p) => p.ID === id));
+
+const bolt = { ports: ['ccs1'], adapters: [], maxAcKw: 11.5, maxDcKw: 55 };
+const model3 = { ports: ['nacs'], adapters: ['j1772'], maxAcKw: 11.5, maxDcKw: 250 };
+
+describe('getConnectorFamily', () => {
+  it('groups OCM connection titles', () => {
+    expect(getConnectorFamily('CCS (Type 1)')).toBe('ccs1');
+    expect(getConnectorFamily('CCS (Type 2)')).toBe('ccs2');
+    expect(getConnectorFamily('Type 1 (J1772)')).toBe('j1772');
+    expect(getConnectorFamily('Type 2 (Socket Only)')).toBe('type2');
+    expect(getConnectorFamily('NACS / Tesla Supercharger')).toBe('nacs');
+    expect(getConnectorFamily('CHAdeMO')).toBe('chademo');
+    expect(getConnectorFamily('NEMA 5-20R')).toBe('nema');
+    expect(getConnectorFamily('Unknown')).toBeNull();
+  });
+});
+
+describe('getChargerCompatibility', () => {
+  it('returns null without a vehicle', () => {
+    expect(getChargerCompatibility(charger(163902), null)).toBeNull();
+  });
+
+  it('caps effective power at the vehicle DC limit', () => {
+    // EVgo: CCS 100kW, CHAdeMO 50kW, J1772 6.6kW
+    const result = getChargerCompatibility(charger(163902), bolt);
+    expect(result).toMatchObject({ compatible: true, viaAdapter: false, effectivePower: 55 });
+  });
+
+  it('lets a CCS1 inlet use J1772 at the AC limit', () => {
+    const result = getChargerCompatibility(charger(98844), bolt);
+    expect(result).toMatchObject({ compatible: true, viaAdapter: false, effectivePower: 7.2 });
+  });
+
+  it('rejects chargers without a usable connector', () => {
+    const result = getChargerCompatibility(charger(118734), bolt);
+    expect(result).toMatchObject({ compatible: false, effectivePower: null });
+  });
+
+  it('uses adapters the owner carries', () => {
+    const result = getChargerCompatibility(charger(98844), model3);
+    expect(result).toMatchObject({ compatible: true, viaAdapter: true, effectivePower: 7.2 });
+    expect(getChargerCompatibility(charger(171455), model3).compatible).toBe(false);
+  });
+
+  it('uses the three-phase AC limit for Type 2', () => {
+    const result = getChargerCompatibility(charger(176600), {
+      ports: ['ccs2'],
+      adapters: [],
+      maxAcKw: 7.4,
+      maxDcKw: 100,
+    });
+    expect(result.effectivePower).toBe(7.4);
+  });
+
+  it('falls back to connector power when the vehicle limit is unset', () => {
+    const result = getChargerCompatibility(charger(118734), { ports: ['nacs'], maxAcKw: 0, maxDcKw: 0 });
+    expect(result.effectivePower).toBe(250);
+  });
+});
+
+describe('rankByCompatibility', () => {
+  it('puts compatible, native and faster chargers first', () => {
+    const annotated = [98844, 118734, 163902, 171455].map((id) => {
+      const c = charger(id);
+      return { ...c, compatibility: getChargerCompatibility(c, bolt) };
+    });
+    expect(rankByCompatibility(annotated).map((c) => c.id)).toEqual([163902, 171455, 98844, 118734]);
+  });
+});
+
+describe('describeCompatibility', () => {
+  it('labels each outcome', () => {
+    expect(describeCompatibility(null)).toBeNull();
+    expect(describeCompatibility({ compatible: false })).toBe('Not compatible with your vehicle');
+    expect(describeCompatibility({ compatible: true, viaAdapter: true, effectivePower: 7.2 })).toBe(
+      'Up to 7.2kW for your vehicle (with adapter)'
+    );
+    expect(describeCompatibility({ compatible: true, viaAdapter: false, effectivePower: null })).toBe(
+      'Compatible, power unknown'
+    );
+  });
+});